@@ -18,4 +18,94 @@ function toCamelCase(obj) {
   return obj;
 }
 
-module.exports = { toCamelCase };
+/**
+ * Parse a boolean-ish value (e.g. a query string flag)
+ * @param {any} value
+ * @param {boolean} [defaultValue=false]
+ * @returns {boolean}
+ */
+function parseBoolean(value, defaultValue = false) {
+  if (value === undefined || value === null || value === "") {
+    return defaultValue;
+  }
+
+  if (typeof value === "boolean") {
+    return value;
+  }
+
+  return ["true", "1", "yes"].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Rounds a money amount to cents
+ * @param {any} value
+ * @returns {number}
+ */
+function roundAmount(value) {
+  return Math.round(((Number(value) || 0) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Loose email check used to validate recipient overrides
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || ""));
+}
+
+/**
+ * Maps items with an async function, running at most `limit` calls at once.
+ * Results keep the order of the input.
+ * @param {Array<any>} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<any>} fn
+ * @returns {Promise<Array<any>>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Calls fn until it resolves, up to `attempts` times, with exponential backoff
+ * @param {(attempt: number) => Promise<any>} fn
+ * @param {{attempts?: number, delayMs?: number}} [options]
+ * @returns {Promise<any>} The first successful result; rethrows the last error
+ */
+async function withRetry(fn, { attempts = 3, delayMs = 200 } = {}) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      lastError = e;
+      if (attempt < attempts) {
+        await new Promise((r) => setTimeout(r, delayMs * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  toCamelCase,
+  parseBoolean,
+  isValidEmail,
+  roundAmount,
+  mapWithConcurrency,
+  withRetry,
+};
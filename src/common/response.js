@@ -3,13 +3,15 @@ function successResponse(
   res,
   data = null,
   message = "Success",
-  statusCode = 200
+  statusCode = 200,
+  meta = null
 ) {
   return res.status(statusCode).json({
     success: true,
     data,
     message,
     error: null,
+    ...(meta ? { meta } : {}),
   });
 }
 
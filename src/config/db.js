@@ -7,6 +7,13 @@ const {
   QB_TOKEN_COLLECTION,
   QB_HUBSPOT_CUSTOMER_COLLECTION,
   QB_INVOICE_COLLECTION,
+  INVOICE_JOB_COLLECTION,
+  QB_ITEM_MAPPING_COLLECTION,
+  QB_TAX_RULE_COLLECTION,
+  INVOICE_SCHEDULE_COLLECTION,
+  QB_CREDIT_MEMO_COLLECTION,
+  QB_ESTIMATE_COLLECTION,
+  INVOICE_SEQUENCE_COLLECTION,
 } = require("../models/constants");
 
 const fs = require("fs");
@@ -22,6 +29,20 @@ const MONGODB_URI = process.env.MONGODB_URI || "mongodb://localhost:27017";
 let dbInstance = null;
 let client = null;
 
+// Collections the service expects to exist; missing ones are created on connect
+const REQUIRED_COLLECTIONS = [
+  QB_INVOICE_COLLECTION,
+  QB_TOKEN_COLLECTION,
+  QB_HUBSPOT_CUSTOMER_COLLECTION,
+  INVOICE_JOB_COLLECTION,
+  QB_ITEM_MAPPING_COLLECTION,
+  QB_TAX_RULE_COLLECTION,
+  INVOICE_SCHEDULE_COLLECTION,
+  QB_CREDIT_MEMO_COLLECTION,
+  QB_ESTIMATE_COLLECTION,
+  INVOICE_SEQUENCE_COLLECTION,
+];
+
 // Helper to fetch secret from AWS Secrets Manager
 async function fetchDocDBPasswordFromSecretsManager() {
   const secretId =
@@ -252,6 +273,8 @@ const connectDB = async () => {
         "🔄 MongoDB not initialized, running initialization script..."
       );
       await initMongo();
+    } else {
+      await ensureIndexes();
     }
 
     return dbInstance;
@@ -284,10 +307,27 @@ const closeDB = async () => {
 const initMongo = async () => {
   logMessage("INFO", "🔄 Initializing MongoDB collections and indexes...");
 
-  await dbInstance.createCollection(QB_INVOICE_COLLECTION);
-  await dbInstance.createCollection(QB_TOKEN_COLLECTION);
-  await dbInstance.createCollection(QB_HUBSPOT_CUSTOMER_COLLECTION);
+  const existing = (await dbInstance.listCollections().toArray()).map(
+    (col) => col.name
+  );
+
+  for (const name of REQUIRED_COLLECTIONS) {
+    if (!existing.includes(name)) {
+      await dbInstance.createCollection(name);
+    }
+  }
+
+  await ensureIndexes();
+
+  logMessage(
+    "INFO",
+    "✅ MongoDB initialized successfully for HubSpot-QuickBooks integration"
+  );
+};
 
+// createIndex is a no-op when the index already exists, so this also runs on
+// already-initialized databases to pick up indexes added after first deploy.
+const ensureIndexes = async () => {
   await dbInstance
     .collection(QB_INVOICE_COLLECTION)
     .createIndex({ invoiceId: 1 }, { unique: true });
@@ -295,6 +335,22 @@ const initMongo = async () => {
     .collection(QB_INVOICE_COLLECTION)
     .createIndex({ createdAt: 1 });
   await dbInstance.collection(QB_INVOICE_COLLECTION).createIndex({ status: 1 });
+  await dbInstance.collection(QB_INVOICE_COLLECTION).createIndex({ dealId: 1 });
+  await dbInstance
+    .collection(QB_INVOICE_COLLECTION)
+    .createIndex({ idempotencyKey: 1 }, { unique: true, sparse: true });
+  await dbInstance
+    .collection(QB_INVOICE_COLLECTION)
+    .createIndex({ lockKey: 1 }, { unique: true, sparse: true });
+  await dbInstance
+    .collection(QB_INVOICE_COLLECTION)
+    .createIndex({ pendingDealId: 1 }, { unique: true, sparse: true });
+  await dbInstance
+    .collection(QB_INVOICE_COLLECTION)
+    .createIndex({ lockId: 1 }, { sparse: true });
+  await dbInstance
+    .collection(QB_INVOICE_COLLECTION)
+    .createIndex({ "payment.status": 1 });
 
   await dbInstance
     .collection(QB_TOKEN_COLLECTION)
@@ -310,23 +366,73 @@ const initMongo = async () => {
     .collection(QB_HUBSPOT_CUSTOMER_COLLECTION)
     .createIndex({ email: 1 });
 
-  logMessage(
-    "INFO",
-    "✅ MongoDB initialized successfully for HubSpot-QuickBooks integration"
-  );
+  await dbInstance
+    .collection(INVOICE_JOB_COLLECTION)
+    .createIndex({ jobId: 1 }, { unique: true });
+  await dbInstance
+    .collection(INVOICE_JOB_COLLECTION)
+    .createIndex({ status: 1, createdAt: 1 });
+  await dbInstance
+    .collection(INVOICE_JOB_COLLECTION)
+    .createIndex({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+  await dbInstance
+    .collection(QB_ITEM_MAPPING_COLLECTION)
+    .createIndex({ hubspotProductId: 1 }, { unique: true });
+
+  await dbInstance
+    .collection(QB_TAX_RULE_COLLECTION)
+    .createIndex({ ruleId: 1 }, { unique: true });
+  await dbInstance
+    .collection(QB_TAX_RULE_COLLECTION)
+    .createIndex({ country: 1, region: 1 });
+
+  await dbInstance
+    .collection(INVOICE_SCHEDULE_COLLECTION)
+    .createIndex({ scheduleId: 1 }, { unique: true });
+  await dbInstance
+    .collection(INVOICE_SCHEDULE_COLLECTION)
+    .createIndex({ status: 1, nextRunAt: 1 });
+  await dbInstance
+    .collection(INVOICE_SCHEDULE_COLLECTION)
+    .createIndex({ dealId: 1 });
+  await dbInstance
+    .collection(INVOICE_SCHEDULE_COLLECTION)
+    .createIndex({ openDealId: 1 }, { unique: true, sparse: true });
+
+  await dbInstance
+    .collection(QB_CREDIT_MEMO_COLLECTION)
+    .createIndex({ creditMemoId: 1 }, { unique: true });
+  await dbInstance
+    .collection(QB_CREDIT_MEMO_COLLECTION)
+    .createIndex({ invoiceId: 1 });
+  await dbInstance
+    .collection(QB_CREDIT_MEMO_COLLECTION)
+    .createIndex({ dealId: 1 });
+  await dbInstance
+    .collection(QB_CREDIT_MEMO_COLLECTION)
+    .createIndex({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+  await dbInstance
+    .collection(QB_ESTIMATE_COLLECTION)
+    .createIndex({ quoteId: 1 }, { unique: true });
+  await dbInstance
+    .collection(QB_ESTIMATE_COLLECTION)
+    .createIndex({ estimateId: 1 });
+  await dbInstance
+    .collection(QB_ESTIMATE_COLLECTION)
+    .createIndex({ dealId: 1 });
+
+  await dbInstance
+    .collection(INVOICE_SEQUENCE_COLLECTION)
+    .createIndex({ dealId: 1 }, { unique: true });
 };
 
 const isMongoInitialized = async () => {
-  const requiredCollections = [
-    QB_INVOICE_COLLECTION,
-    QB_TOKEN_COLLECTION,
-    QB_HUBSPOT_CUSTOMER_COLLECTION,
-  ];
-
   const collections = await dbInstance.listCollections().toArray();
   const collectioncollectionNames = collections.map((col) => col.name);
 
-  const allExist = requiredCollections.every((name) =>
+  const allExist = REQUIRED_COLLECTIONS.every((name) =>
     collectioncollectionNames.includes(name)
   );
 
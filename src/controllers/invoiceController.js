@@ -1,12 +1,108 @@
 const invoiceService = require("../services/invoiceService");
+const paymentSyncService = require("../services/paymentSyncService");
+const invoiceJobService = require("../services/invoiceJobService");
+const followUpService = require("../services/followUpService");
+const recurringInvoiceService = require("../services/recurringInvoiceService");
+const creditMemoService = require("../services/creditMemoService");
+const estimateService = require("../services/estimateService");
 const { successResponse, errorResponse } = require("../common/response");
+const { parseBoolean, isValidEmail } = require("../common/helpers");
 
 exports.createInvoice = async (req, res) => {
-  const { userId, dealId, contactId } = req.query;
+  const {
+    userId,
+    dealId,
+    contactId,
+    sendTo,
+    quoteId,
+    quoteSelection,
+    percentage,
+    amount,
+    milestone,
+  } = req.query;
+  const idempotencyKey = req.get("Idempotency-Key") || undefined;
+  const sendEmail = parseBoolean(req.query.sendEmail);
+  const exchangeRate =
+    req.query.exchangeRate != null ? Number(req.query.exchangeRate) : undefined;
+
+  if (sendTo && !isValidEmail(sendTo)) {
+    return errorResponse(
+      res,
+      "sendTo must be a valid email address",
+      "❌ Invalid request",
+      400
+    );
+  }
+
+  if (exchangeRate !== undefined && !(exchangeRate > 0)) {
+    return errorResponse(
+      res,
+      "exchangeRate must be a positive number",
+      "❌ Invalid request",
+      400
+    );
+  }
+
+  if (parseBoolean(req.query.async)) {
+    if (!dealId || !contactId) {
+      return errorResponse(
+        res,
+        "Deal ID and Contact ID are required",
+        "❌ Invalid request",
+        400
+      );
+    }
+
+    const job = await invoiceJobService.enqueueInvoiceJob({
+      userId,
+      dealId,
+      contactId,
+      idempotencyKey,
+      sendEmail,
+      sendTo,
+      quoteId,
+      quoteSelection,
+      exchangeRate,
+      percentage,
+      amount,
+      milestone,
+    });
+
+    if (job.error) {
+      return errorResponse(
+        res,
+        job.error,
+        "❌ Failed to queue invoice job",
+        job.status || 500
+      );
+    }
+
+    return successResponse(
+      res,
+      {
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.jobId}`,
+        ...(job.duplicate ? { duplicate: true } : {}),
+      },
+      "✅ Invoice job accepted",
+      202
+    );
+  }
+
   const result = await invoiceService.handleCreateInvoice({
     userId,
     dealId,
     contactId,
+    idempotencyKey,
+    sendEmail,
+    sendTo,
+    quoteId,
+    quoteSelection,
+    exchangeRate,
+    percentage,
+    amount,
+    milestone,
   });
 
   if (result.error) {
@@ -18,13 +114,334 @@ exports.createInvoice = async (req, res) => {
     );
   }
 
+  if (result.duplicate) {
+    return successResponse(
+      res,
+      {
+        invoiceNumber: result.invoiceNumber,
+        invoiceUrl: result.invoiceUrl,
+        duplicate: true,
+      },
+      "✅ Invoice already exists for this request"
+    );
+  }
+
   successResponse(
     res,
-    { invoiceNumber: result.invoiceNumber, invoiceUrl: result.invoiceUrl },
+    {
+      invoiceNumber: result.invoiceNumber,
+      invoiceUrl: result.invoiceUrl,
+      ...(result.docNumber ? { docNumber: result.docNumber } : {}),
+      ...(result.taxCheck ? { taxCheck: result.taxCheck } : {}),
+      ...(result.billing ? { billing: result.billing } : {}),
+      ...(result.delivery ? { delivery: result.delivery } : {}),
+      ...(result.warnings?.length ? { warnings: result.warnings } : {}),
+    },
     "✅ Invoice created successfully"
   );
 };
 
+exports.createInvoiceBatch = async (req, res) => {
+  const { userId } = req.query;
+  const { items, quoteSelection } = { ...req.query, ...(req.body || {}) };
+
+  const result = await invoiceService.handleBatchCreateInvoices({
+    userId,
+    items,
+    quoteSelection,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to process invoice batch",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice batch processed");
+};
+
+exports.previewInvoice = async (req, res) => {
+  const {
+    userId,
+    dealId,
+    contactId,
+    quoteId,
+    quoteSelection,
+    exchangeRate,
+    percentage,
+    amount,
+    milestone,
+  } = {
+    ...req.query,
+    ...(req.body || {}),
+  };
+
+  if (!dealId || !contactId) {
+    return errorResponse(
+      res,
+      "Deal ID and Contact ID are required",
+      "❌ Invalid request",
+      400
+    );
+  }
+
+  if (exchangeRate != null && !(Number(exchangeRate) > 0)) {
+    return errorResponse(
+      res,
+      "exchangeRate must be a positive number",
+      "❌ Invalid request",
+      400
+    );
+  }
+
+  const result = await invoiceService.previewInvoice({
+    userId,
+    dealId,
+    contactId,
+    quoteId,
+    quoteSelection,
+    exchangeRate: exchangeRate != null ? Number(exchangeRate) : undefined,
+    percentage,
+    amount,
+    milestone,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to build invoice preview",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice preview built successfully");
+};
+
+exports.resyncInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  const force = parseBoolean(req.query.force);
+
+  const result = await invoiceService.resyncInvoice({ invoiceId, force });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to resync invoice",
+      result.status || 500
+    );
+  }
+
+  successResponse(
+    res,
+    result,
+    result.updated
+      ? "✅ Invoice resynced successfully"
+      : "✅ Invoice already up to date"
+  );
+};
+
+exports.voidInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  const { reason } = req.body || {};
+
+  const result = await invoiceService.cancelInvoice({
+    invoiceId,
+    mode: "void",
+    reason,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to void invoice",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice voided successfully");
+};
+
+exports.deleteInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  const { reason } = req.body || {};
+
+  const result = await invoiceService.cancelInvoice({
+    invoiceId,
+    mode: "delete",
+    reason,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to delete invoice",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice deleted successfully");
+};
+
+exports.sendInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  const { sendTo } = { ...req.query, ...(req.body || {}) };
+
+  if (sendTo && !isValidEmail(sendTo)) {
+    return errorResponse(
+      res,
+      "sendTo must be a valid email address",
+      "❌ Invalid request",
+      400
+    );
+  }
+
+  const result = await invoiceService.sendInvoice({ invoiceId, sendTo });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to send invoice",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice sent successfully");
+};
+
+exports.creditInvoice = async (req, res) => {
+  const { invoiceId } = req.params;
+  const { lines, amount, reason } = req.body || {};
+  const idempotencyKey = req.get("Idempotency-Key") || undefined;
+
+  const result = await creditMemoService.createCreditMemo({
+    invoiceId,
+    lines,
+    amount,
+    reason,
+    idempotencyKey,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to credit invoice",
+      result.status || 500
+    );
+  }
+
+  if (result.duplicate) {
+    return successResponse(
+      res,
+      result,
+      "✅ Credit memo already exists for this request"
+    );
+  }
+
+  successResponse(res, result, "✅ Credit memo created successfully", 201);
+};
+
+exports.listInvoiceCredits = async (req, res) => {
+  const { invoiceId } = req.params;
+
+  const result = await creditMemoService.listCreditMemos(invoiceId);
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to list credit memos",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Credit memos fetched successfully");
+};
+
+exports.createQuoteEstimate = async (req, res) => {
+  const { quoteId } = req.params;
+  const { userId, dealId, contactId } = req.query;
+
+  if (!dealId || !contactId) {
+    return errorResponse(
+      res,
+      "Deal ID and Contact ID are required",
+      "❌ Invalid request",
+      400
+    );
+  }
+
+  const result = await estimateService.createEstimateForQuote({
+    quoteId,
+    dealId,
+    contactId,
+    userId,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to create estimate",
+      result.status || 500
+    );
+  }
+
+  if (result.existing) {
+    return successResponse(res, result, "✅ Estimate synced with the quote");
+  }
+
+  successResponse(res, result, "✅ Estimate created successfully", 201);
+};
+
+exports.getQuoteEstimate = async (req, res) => {
+  const { quoteId } = req.params;
+
+  const result = await estimateService.getEstimateForQuote(quoteId);
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to fetch estimate",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Estimate fetched successfully");
+};
+
+exports.getInvoicePdf = async (req, res) => {
+  const { invoiceId } = req.params;
+  const result = await invoiceService.getInvoicePdf({ invoiceId });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to fetch invoice PDF",
+      result.status || 500
+    );
+  }
+
+  res.status(200);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${result.filename}"`
+  );
+  res.setHeader("Content-Length", result.pdf.length);
+  res.end(result.pdf);
+};
+
 exports.getInvoicesForDeal = async (req, res) => {
   const { dealId } = req.params;
   const { userId } = req.query;
@@ -41,12 +458,264 @@ exports.getInvoicesForDeal = async (req, res) => {
   try {
     const result = await invoiceService.getInvoicesForDeal(dealId, userId);
 
+    const meta = result.billing ? { billing: result.billing } : null;
+
     if (!result.invoices || result.invoices.length === 0) {
-      return successResponse(res, [], "✅ No invoices found for this deal");
+      return successResponse(
+        res,
+        [],
+        "✅ No invoices found for this deal",
+        200,
+        meta
+      );
     }
 
-    successResponse(res, result.invoices, "✅ Invoices retrieved successfully");
+    successResponse(
+      res,
+      result.invoices,
+      "✅ Invoices retrieved successfully",
+      200,
+      meta
+    );
   } catch (error) {
     errorResponse(res, error.message, "❌ Failed to retrieve invoices", 500);
   }
 };
+
+exports.findQuickBooksInvoicesForDeal = async (req, res) => {
+  const { dealId } = req.params;
+  const { customerId } = req.query;
+
+  const result = await invoiceService.findQuickBooksInvoicesForDeal({
+    dealId,
+    customerId,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to look up invoices in QuickBooks",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ QuickBooks invoices retrieved successfully");
+};
+
+exports.syncPayments = async (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+
+  const result = await paymentSyncService.syncInvoicePayments({
+    invoiceId: params.invoiceId,
+    dealId: params.dealId,
+    force: parseBoolean(params.force),
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to sync invoice payments",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice payments synced successfully");
+};
+
+exports.getInvoiceJob = async (req, res) => {
+  const { jobId } = req.params;
+
+  const result = await invoiceJobService.getInvoiceJob(jobId);
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to fetch invoice job",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice job fetched successfully");
+};
+
+exports.listFollowUps = async (req, res) => {
+  const result = await followUpService.listStuckFollowUps();
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to list invoice follow-ups",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice follow-ups fetched successfully");
+};
+
+exports.replayFollowUps = async (req, res) => {
+  const { invoiceId } = req.params;
+  const { step } = { ...req.query, ...(req.body || {}) };
+
+  const result = await followUpService.replayFollowUps({ invoiceId, step });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to replay invoice follow-ups",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice follow-ups replayed");
+};
+
+exports.resolveInvoiceLock = async (req, res) => {
+  const { lockId } = req.params;
+  const { invoiceNumber } = { ...req.query, ...(req.body || {}) };
+
+  const result = await followUpService.resolveInvoiceLock({
+    lockId,
+    invoiceNumber,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to resolve invoice lock",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice lock resolved");
+};
+
+exports.createSchedule = async (req, res) => {
+  const result = await recurringInvoiceService.createSchedule({
+    ...req.query,
+    ...(req.body || {}),
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to create invoice schedule",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice schedule created", 201);
+};
+
+exports.listSchedules = async (req, res) => {
+  const { dealId, status } = req.query;
+
+  const result = await recurringInvoiceService.listSchedules({
+    dealId,
+    status,
+  });
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to list invoice schedules",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice schedules fetched successfully");
+};
+
+exports.getSchedule = async (req, res) => {
+  const { scheduleId } = req.params;
+
+  const result = await recurringInvoiceService.getSchedule(scheduleId);
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to fetch invoice schedule",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice schedule fetched successfully");
+};
+
+exports.pauseSchedule = async (req, res) => {
+  const { scheduleId } = req.params;
+  const { reason } = req.body || {};
+
+  const result = await recurringInvoiceService.updateScheduleStatus(
+    scheduleId,
+    "pause",
+    { reason }
+  );
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to pause invoice schedule",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice schedule paused");
+};
+
+exports.resumeSchedule = async (req, res) => {
+  const { scheduleId } = req.params;
+
+  const result = await recurringInvoiceService.updateScheduleStatus(
+    scheduleId,
+    "resume"
+  );
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to resume invoice schedule",
+      result.status || 500
+    );
+  }
+
+  successResponse(
+    res,
+    result,
+    result.status === "completed"
+      ? "✅ Invoice schedule has no cycles left"
+      : "✅ Invoice schedule resumed"
+  );
+};
+
+exports.cancelSchedule = async (req, res) => {
+  const { scheduleId } = req.params;
+  const { reason } = req.body || {};
+
+  const result = await recurringInvoiceService.updateScheduleStatus(
+    scheduleId,
+    "cancel",
+    { reason }
+  );
+
+  if (result.error) {
+    return errorResponse(
+      res,
+      result.error,
+      "❌ Failed to cancel invoice schedule",
+      result.status || 500
+    );
+  }
+
+  successResponse(res, result, "✅ Invoice schedule cancelled");
+};
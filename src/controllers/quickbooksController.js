@@ -1,4 +1,9 @@
 const quickbooksService = require("../services/quickbooksService");
+const itemMappingService = require("../services/itemMappingService");
+const productSyncService = require("../services/productSyncService");
+const taxRuleService = require("../services/taxRuleService");
+const paymentTermsService = require("../services/paymentTermsService");
+const { parseBoolean } = require("../common/helpers");
 const { successResponse, errorResponse } = require("../common/response");
 
 exports.createConnection = async (req, res) => {
@@ -79,3 +84,211 @@ exports.refreshToken = async (req, res) => {
     );
   }
 };
+
+exports.listItemMappings = async (req, res) => {
+  try {
+    const result = await itemMappingService.listItemMappings();
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to list item mappings",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Item mappings retrieved successfully");
+  } catch (error) {
+    console.error("Error listing item mappings:", error);
+    errorResponse(res, error.message, "❌ Failed to list item mappings", 500);
+  }
+};
+
+exports.upsertItemMapping = async (req, res) => {
+  const { productId } = req.params;
+  const qboItemId = req.body?.qboItemId;
+  if (!qboItemId) {
+    return errorResponse(
+      res,
+      "❌ QuickBooks item ID is required",
+      "Invalid request",
+      400
+    );
+  }
+
+  try {
+    const result = await itemMappingService.upsertItemMapping({
+      hubspotProductId: productId,
+      qboItemId,
+    });
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to save item mapping",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Item mapping saved successfully");
+  } catch (error) {
+    console.error("Error saving item mapping:", error);
+    errorResponse(res, error.message, "❌ Failed to save item mapping", 500);
+  }
+};
+
+exports.deleteItemMapping = async (req, res) => {
+  try {
+    const result = await itemMappingService.deleteItemMapping(
+      req.params.productId
+    );
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to delete item mapping",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Item mapping deleted successfully");
+  } catch (error) {
+    console.error("Error deleting item mapping:", error);
+    errorResponse(res, error.message, "❌ Failed to delete item mapping", 500);
+  }
+};
+
+exports.syncProducts = async (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+
+  try {
+    const result = await productSyncService.syncProductsToQuickBooks({
+      dryRun: parseBoolean(params.dryRun),
+    });
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to sync products",
+        result.status || 500
+      );
+    }
+
+    successResponse(
+      res,
+      result,
+      result.dryRun
+        ? "✅ Product sync dry run completed"
+        : "✅ Products synced successfully"
+    );
+  } catch (error) {
+    console.error("Error syncing products:", error);
+    errorResponse(res, error.message, "❌ Failed to sync products", 500);
+  }
+};
+
+exports.listTaxRules = async (req, res) => {
+  try {
+    const result = await taxRuleService.listTaxRules();
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to list tax rules",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Tax rules retrieved successfully");
+  } catch (error) {
+    console.error("Error listing tax rules:", error);
+    errorResponse(res, error.message, "❌ Failed to list tax rules", 500);
+  }
+};
+
+exports.createTaxRule = async (req, res) => {
+  try {
+    const result = await taxRuleService.createTaxRule(req.body || {});
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to create tax rule",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Tax rule created successfully");
+  } catch (error) {
+    console.error("Error creating tax rule:", error);
+    errorResponse(res, error.message, "❌ Failed to create tax rule", 500);
+  }
+};
+
+exports.updateTaxRule = async (req, res) => {
+  try {
+    const result = await taxRuleService.updateTaxRule(
+      req.params.ruleId,
+      req.body || {}
+    );
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to update tax rule",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Tax rule updated successfully");
+  } catch (error) {
+    console.error("Error updating tax rule:", error);
+    errorResponse(res, error.message, "❌ Failed to update tax rule", 500);
+  }
+};
+
+exports.deleteTaxRule = async (req, res) => {
+  try {
+    const result = await taxRuleService.deleteTaxRule(req.params.ruleId);
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to delete tax rule",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Tax rule deleted successfully");
+  } catch (error) {
+    console.error("Error deleting tax rule:", error);
+    errorResponse(res, error.message, "❌ Failed to delete tax rule", 500);
+  }
+};
+
+exports.setCustomerTerms = async (req, res) => {
+  const terms = req.method === "DELETE" ? null : req.body?.terms;
+  if (req.method !== "DELETE" && !terms) {
+    return errorResponse(res, "❌ terms is required", "Invalid request", 400);
+  }
+
+  try {
+    const result = await paymentTermsService.setCustomerDefaultTerms(
+      req.params.customerId,
+      terms
+    );
+    if (result.error) {
+      return errorResponse(
+        res,
+        result.error,
+        "❌ Failed to save customer terms",
+        result.status || 500
+      );
+    }
+
+    successResponse(res, result, "✅ Customer terms saved successfully");
+  } catch (error) {
+    console.error("Error saving customer terms:", error);
+    errorResponse(res, error.message, "❌ Failed to save customer terms", 500);
+  }
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+const { logMessage } = require("./common/logger");
+const { connectDB } = require("./config/db");
+const { processInvoiceJobs } = require("./services/invoiceJobService");
+const { retryFollowUps } = require("./services/followUpService");
+
+// Lambda handler that runs queued invoice jobs.
+// Invoked async by the API with { "jobId": "..." }; the scheduled run (no jobId)
+// requeues stale jobs, drains the queue and retries unfinished invoice follow-ups.
+let dbInitialized = false;
+
+exports.handler = async (event = {}) => {
+  const jobId = (event && event.jobId) || undefined;
+
+  try {
+    if (!dbInitialized) {
+      logMessage(
+        "INFO",
+        "[invoiceWorker] Initializing DB connection (cold start)"
+      );
+      await connectDB();
+      dbInitialized = true;
+    }
+
+    logMessage("INFO", "🔄 Invoice worker invoked", { jobId });
+    const result = await processInvoiceJobs({ jobId });
+
+    if (!jobId) {
+      result.followUps = await retryFollowUps();
+    }
+
+    logMessage("INFO", "✅ Invoice worker finished", {
+      processed: result.processed.length,
+      followUpsRetried: result.followUps?.retried,
+    });
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    logMessage("ERROR", "❌ Invoice worker failed", e?.message || e);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: e.message || String(e) }),
+    };
+  }
+};
@@ -39,7 +39,11 @@ exports.handler = async (event, context) => {
       if (!cachedHandler) {
         // Ensure DB is connected before creating the handler (cold start)
         await connectDB();
-        cachedHandler = serverlessExpress({ app });
+        cachedHandler = serverlessExpress({
+          app,
+          // Invoice PDFs must be base64-encoded for API Gateway
+          binarySettings: { contentTypes: ["image/*", "application/pdf"] },
+        });
         isColdStart = false;
       }
 
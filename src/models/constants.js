@@ -2,4 +2,11 @@ module.exports = {
   QB_TOKEN_COLLECTION: "quickbooks_tokens",
   QB_INVOICE_COLLECTION: "quickbooks_invoices",
   QB_HUBSPOT_CUSTOMER_COLLECTION: "quickbooks_hubspot_customers",
+  INVOICE_JOB_COLLECTION: "invoice_jobs",
+  QB_ITEM_MAPPING_COLLECTION: "quickbooks_item_mappings",
+  QB_TAX_RULE_COLLECTION: "quickbooks_tax_rules",
+  INVOICE_SCHEDULE_COLLECTION: "invoice_schedules",
+  QB_CREDIT_MEMO_COLLECTION: "quickbooks_credit_memos",
+  QB_ESTIMATE_COLLECTION: "quickbooks_estimates",
+  INVOICE_SEQUENCE_COLLECTION: "invoice_sequences",
 };
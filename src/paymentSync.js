@@ -0,0 +1,61 @@
+"use strict";
+
+const { logMessage } = require("./common/logger");
+const { connectDB } = require("./config/db");
+const { parseBoolean } = require("./common/helpers");
+const { syncInvoicePayments } = require("./services/paymentSyncService");
+const { syncEstimateStatuses } = require("./services/estimateService");
+
+// Lambda handler to sync invoice payment status from QuickBooks to HubSpot.
+// Runs on a schedule; invoke manually with { "invoiceId"?, "dealId"?, "force"? }
+// The scheduled run (no invoiceId or dealId) also syncs open estimates with
+// their HubSpot quotes.
+let dbInitialized = false;
+
+exports.handler = async (event = {}) => {
+  const { invoiceId, dealId, force } = event || {};
+
+  try {
+    if (!dbInitialized) {
+      logMessage(
+        "INFO",
+        "[paymentSync] Initializing DB connection (cold start)"
+      );
+      await connectDB();
+      dbInitialized = true;
+    }
+
+    logMessage("INFO", "🔄 Payment sync invoked", { invoiceId, dealId, force });
+    const result = await syncInvoicePayments({
+      invoiceId,
+      dealId,
+      force: parseBoolean(force),
+    });
+
+    if (!invoiceId && !dealId) {
+      result.estimates = await syncEstimateStatuses();
+    }
+
+    if (result.error) {
+      logMessage("ERROR", "❌ Payment sync failed", result.error);
+      return {
+        statusCode: result.status || 500,
+        body: JSON.stringify({ success: false, error: result.error }),
+      };
+    }
+
+    logMessage("INFO", "✅ Payment sync result", {
+      checked: result.checked,
+      updated: result.updated,
+      estimates: result.estimates,
+    });
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    logMessage("ERROR", "❌ Payment sync failed", e?.message || e);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: e.message || String(e) }),
+    };
+  }
+};
@@ -0,0 +1,46 @@
+"use strict";
+
+const { logMessage } = require("./common/logger");
+const { connectDB } = require("./config/db");
+const { parseBoolean } = require("./common/helpers");
+const { syncProductsToQuickBooks } = require("./services/productSyncService");
+
+// Lambda handler to sync the HubSpot product library to QuickBooks Items.
+// Invoke from AWS Console and pass event like: { "dryRun": true }
+let dbInitialized = false;
+
+exports.handler = async (event = {}) => {
+  const dryRun = parseBoolean(event && event.dryRun);
+
+  try {
+    if (!dbInitialized) {
+      logMessage(
+        "INFO",
+        "[productSync] Initializing DB connection (cold start)"
+      );
+      await connectDB();
+      dbInitialized = true;
+    }
+
+    logMessage("INFO", "🔄 Product sync invoked", { dryRun });
+    const result = await syncProductsToQuickBooks({ dryRun });
+
+    if (result.error) {
+      logMessage("ERROR", "❌ Product sync failed", result.error);
+      return {
+        statusCode: result.status || 500,
+        body: JSON.stringify({ success: false, error: result.error }),
+      };
+    }
+
+    logMessage("INFO", "✅ Product sync result", result.summary);
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    logMessage("ERROR", "❌ Product sync failed", e?.message || e);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: e.message || String(e) }),
+    };
+  }
+};
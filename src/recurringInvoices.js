@@ -0,0 +1,56 @@
+"use strict";
+
+const { logMessage } = require("./common/logger");
+const { connectDB } = require("./config/db");
+const { runDueSchedules } = require("./services/recurringInvoiceService");
+
+// Lambda handler that invoices the due cycles of recurring invoice schedules.
+// Runs on a schedule; invoke manually with { "limit"? }
+let dbInitialized = false;
+
+exports.handler = async (event = {}) => {
+  const limit = Number(event && event.limit) > 0 ? Number(event.limit) : 25;
+
+  try {
+    if (!dbInitialized) {
+      logMessage(
+        "INFO",
+        "[recurringInvoices] Initializing DB connection (cold start)"
+      );
+      await connectDB();
+      dbInitialized = true;
+    }
+
+    logMessage("INFO", "🔄 Recurring invoice scheduler invoked", { limit });
+    const result = await runDueSchedules({ limit });
+
+    if (result.error) {
+      logMessage(
+        "ERROR",
+        "❌ Recurring invoice scheduler failed",
+        result.error
+      );
+      return {
+        statusCode: result.status || 500,
+        body: JSON.stringify({ success: false, error: result.error }),
+      };
+    }
+
+    logMessage("INFO", "✅ Recurring invoice scheduler result", {
+      processed: result.processed.length,
+      failed: result.processed.filter((p) => p.status === "failed").length,
+    });
+    return { statusCode: 200, body: JSON.stringify(result) };
+  } catch (e) {
+    logMessage(
+      "ERROR",
+      "❌ Recurring invoice scheduler failed",
+      e?.message || e
+    );
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ success: false, error: e.message || String(e) }),
+    };
+  }
+};
@@ -3,6 +3,35 @@ const router = express.Router();
 const invoiceController = require("../controllers/invoiceController");
 
 router.post("/create-invoice", invoiceController.createInvoice);
+router.post("/batch", invoiceController.createInvoiceBatch);
+router.post("/preview", invoiceController.previewInvoice);
 router.get("/deals/:dealId", invoiceController.getInvoicesForDeal);
+router.get(
+  "/deals/:dealId/quickbooks",
+  invoiceController.findQuickBooksInvoicesForDeal
+);
+router.post("/payments/sync", invoiceController.syncPayments);
+router.get("/jobs/:jobId", invoiceController.getInvoiceJob);
+router.get("/follow-ups", invoiceController.listFollowUps);
+router.post("/follow-ups/:invoiceId/replay", invoiceController.replayFollowUps);
+router.post(
+  "/follow-ups/locks/:lockId/resolve",
+  invoiceController.resolveInvoiceLock
+);
+router.post("/schedules", invoiceController.createSchedule);
+router.get("/schedules", invoiceController.listSchedules);
+router.get("/schedules/:scheduleId", invoiceController.getSchedule);
+router.post("/schedules/:scheduleId/pause", invoiceController.pauseSchedule);
+router.post("/schedules/:scheduleId/resume", invoiceController.resumeSchedule);
+router.post("/schedules/:scheduleId/cancel", invoiceController.cancelSchedule);
+router.post("/quotes/:quoteId/estimate", invoiceController.createQuoteEstimate);
+router.get("/quotes/:quoteId/estimate", invoiceController.getQuoteEstimate);
+router.put("/:invoiceId/resync", invoiceController.resyncInvoice);
+router.post("/:invoiceId/void", invoiceController.voidInvoice);
+router.post("/:invoiceId/send", invoiceController.sendInvoice);
+router.post("/:invoiceId/credit", invoiceController.creditInvoice);
+router.get("/:invoiceId/credits", invoiceController.listInvoiceCredits);
+router.get("/:invoiceId/pdf", invoiceController.getInvoicePdf);
+router.delete("/:invoiceId", invoiceController.deleteInvoice);
 
 module.exports = router;
@@ -7,5 +7,24 @@ router.get("/checkConnection", quickbooksController.checkConnection);
 router.get("/authUrl", quickbooksController.createConnection);
 router.get("/callback", quickbooksController.quickBooksCallback);
 router.get("/refresh-token", quickbooksController.refreshToken);
+router.post("/items/sync", quickbooksController.syncProducts);
+router.get("/item-mappings", quickbooksController.listItemMappings);
+router.put("/item-mappings/:productId", quickbooksController.upsertItemMapping);
+router.delete(
+  "/item-mappings/:productId",
+  quickbooksController.deleteItemMapping
+);
+router.get("/tax-rules", quickbooksController.listTaxRules);
+router.post("/tax-rules", quickbooksController.createTaxRule);
+router.put("/tax-rules/:ruleId", quickbooksController.updateTaxRule);
+router.delete("/tax-rules/:ruleId", quickbooksController.deleteTaxRule);
+router.put(
+  "/customers/:customerId/terms",
+  quickbooksController.setCustomerTerms
+);
+router.delete(
+  "/customers/:customerId/terms",
+  quickbooksController.setCustomerTerms
+);
 
 module.exports = router;
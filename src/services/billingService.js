@@ -0,0 +1,265 @@
+const { getDB } = require("../config/db");
+
+const { logMessage } = require("../common/logger");
+const { roundAmount } = require("../common/helpers");
+const { QB_INVOICE_COLLECTION } = require("../models/constants");
+
+// Invoice records that no longer count towards the billed amount
+const UNBILLED_STATUSES = ["voided", "deleted"];
+
+function toAmount(raw) {
+  return raw != null && raw !== "" && Number.isFinite(Number(raw))
+    ? Number(raw)
+    : undefined;
+}
+
+function billingError(message, status) {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+}
+
+/**
+ * Parses the progress billing parameters of a create-invoice request. Either
+ * a percentage of the deal amount or a fixed amount may be given, with an
+ * optional milestone label.
+ * @param {Object} params - percentage, amount and milestone from the request
+ * @returns {Object} {billing} (null for a full invoice) or {error, status}
+ */
+function parseBillingRequest({ percentage, amount, milestone } = {}) {
+  const pct = toAmount(percentage);
+  const fixed = toAmount(amount);
+
+  if (percentage != null && amount != null) {
+    return {
+      error: "❌ Use either percentage or amount, not both",
+      status: 400,
+    };
+  }
+
+  if (percentage != null && !(pct > 0 && pct <= 100)) {
+    return {
+      error: "❌ percentage must be a number above 0 and at most 100",
+      status: 400,
+    };
+  }
+
+  if (amount != null && !(fixed > 0)) {
+    return { error: "❌ amount must be a positive number", status: 400 };
+  }
+
+  if (pct === undefined && fixed === undefined) {
+    if (milestone) {
+      return {
+        error: "❌ milestone requires a percentage or amount",
+        status: 400,
+      };
+    }
+    return { billing: null };
+  }
+
+  return {
+    billing: {
+      type: "progress",
+      ...(pct !== undefined ? { percentage: pct } : { amount: fixed }),
+      ...(milestone ? { milestone: String(milestone).trim() } : {}),
+    },
+  };
+}
+
+/**
+ * Sums what has been invoiced for a deal so far: created and in-flight
+ * invoices, minus voided and deleted ones. Records without a billedAmount
+ * (full invoices from before progress billing) count as the whole deal.
+ * Recurring schedule cycles bill the deal amount per period and are left out.
+ * @param {string} dealId - HubSpot deal ID
+ * @param {number} dealAmount - Current deal amount
+ * @param {Object} [options] - excludeLockId to leave out the caller's own lock,
+ *   excludePending to count finished invoices only
+ * @returns {Promise<number>} The billed amount
+ */
+async function getBilledAmount(
+  dealId,
+  dealAmount,
+  { excludeLockId, excludePending = false } = {}
+) {
+  const records = await getDB()
+    .collection(QB_INVOICE_COLLECTION)
+    .find({
+      dealId: String(dealId),
+      status: {
+        $nin: excludePending
+          ? [...UNBILLED_STATUSES, "pending"]
+          : UNBILLED_STATUSES,
+      },
+      schedule: { $exists: false },
+      ...(excludeLockId ? { lockId: { $ne: excludeLockId } } : {}),
+    })
+    .project({ billedAmount: 1 })
+    .toArray();
+
+  return roundAmount(
+    records.reduce(
+      (sum, r) => sum + (toAmount(r.billedAmount) ?? dealAmount),
+      0
+    )
+  );
+}
+
+/**
+ * Turns the request's billing into the invoice lines and the amount to bill.
+ * A progress invoice is a single line for its share of the deal amount; a
+ * full invoice keeps the deal's lines and bills the whole deal.
+ * @param {Object} deal - HubSpot deal properties (amount)
+ * @param {Array<Object>} qbLines - Lines built from the deal's quotes
+ * @param {Object|null} billing - Result of parseBillingRequest
+ * @returns {{qbLines: Array<Object>, billing: Object}} billing with the
+ *   resolved amount and the deal amount
+ */
+function applyBilling(deal, qbLines, billing) {
+  const dealAmount = toAmount(deal?.amount);
+
+  if (!billing) {
+    return {
+      qbLines,
+      billing: {
+        type: "full",
+        ...(dealAmount !== undefined
+          ? { amount: roundAmount(dealAmount) }
+          : {}),
+        dealAmount: dealAmount ?? null,
+      },
+    };
+  }
+
+  if (!(dealAmount > 0)) {
+    throw billingError(
+      `❌ Deal has no amount; progress billing needs one (received "${deal?.amount}")`,
+      422
+    );
+  }
+
+  const amount =
+    billing.amount ?? roundAmount((dealAmount * billing.percentage) / 100);
+  const label =
+    billing.milestone ||
+    (billing.percentage !== undefined
+      ? `Progress billing ${billing.percentage}%`
+      : "Progress billing");
+  const itemId = process.env.QUICKBOOKS_PROGRESS_ITEM_ID;
+
+  return {
+    qbLines: [
+      {
+        name: label,
+        description:
+          billing.percentage !== undefined
+            ? `${billing.percentage}% of ${roundAmount(dealAmount).toFixed(2)}`
+            : undefined,
+        qty: 1,
+        unitPrice: amount,
+        amount,
+        discount: 0,
+        ...(itemId ? { itemId, itemSource: "progress" } : {}),
+      },
+    ],
+    billing: { ...billing, amount, dealAmount: roundAmount(dealAmount) },
+  };
+}
+
+/**
+ * Tells a progress invoice apart from an earlier one with the same amount and
+ * label, for its fingerprint: the Idempotency-Key when the client sent one,
+ * else the amount billed by finished invoices. A second deposit then bills
+ * on top of the first and gets its own lock, while a retry of an invoice
+ * still in flight computes the same value and finds that lock.
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Object} billing - Billing from applyBilling
+ * @param {string} [idempotencyKey] - Client supplied idempotency key
+ * @returns {Promise<Object|null>} The discriminator, null for a full invoice
+ */
+async function getProgressDiscriminator(dealId, billing, idempotencyKey) {
+  if (billing.type !== "progress") {
+    return null;
+  }
+
+  if (idempotencyKey) {
+    return { idempotencyKey };
+  }
+
+  return {
+    billedBefore: await getBilledAmount(dealId, billing.dealAmount, {
+      excludePending: true,
+    }),
+  };
+}
+
+/**
+ * Refuses an invoice that would bill more than the deal amount
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Object} billing - Billing from applyBilling
+ * @param {Object} [options] - excludeLockId for the caller's own lock
+ * @returns {Promise<Object>} {billedAmount, remainingAmount} before this invoice
+ * @throws {Error} With statusCode 409 when the deal would be over-invoiced
+ */
+async function assertWithinDealAmount(dealId, billing, options = {}) {
+  const { dealAmount } = billing;
+  if (dealAmount == null) {
+    return { billedAmount: null, remainingAmount: null };
+  }
+
+  const billedAmount = await getBilledAmount(dealId, dealAmount, options);
+  const remainingAmount = roundAmount(Math.max(dealAmount - billedAmount, 0));
+
+  if (billing.type === "full" && billedAmount > 0) {
+    throw billingError(
+      `❌ Deal ${dealId} is already invoiced for ${billedAmount.toFixed(2)} of ${dealAmount.toFixed(2)}; invoice the remaining ${remainingAmount.toFixed(2)} with amount=${remainingAmount.toFixed(2)}`,
+      409
+    );
+  }
+
+  if (billing.type === "progress" && billing.amount > remainingAmount) {
+    throw billingError(
+      `❌ Invoicing ${billing.amount.toFixed(2)} would exceed the deal amount ${dealAmount.toFixed(2)}; ${billedAmount.toFixed(2)} is already invoiced and ${remainingAmount.toFixed(2)} remains`,
+      409
+    );
+  }
+
+  logMessage("DEBUG", "🐛 Deal billing checked", {
+    dealId,
+    type: billing.type,
+    amount: billing.amount,
+    billedAmount,
+    remainingAmount,
+  });
+  return { billedAmount, remainingAmount };
+}
+
+/**
+ * Summarizes how much of a deal has been invoiced
+ * @param {string} dealId - HubSpot deal ID
+ * @param {number|string} dealAmount - HubSpot deal amount
+ * @returns {Promise<Object|null>} {dealAmount, billedAmount, remainingAmount},
+ *   or null when the deal has no amount
+ */
+async function getDealBillingSummary(dealId, dealAmount) {
+  const amount = toAmount(dealAmount);
+  if (amount === undefined) {
+    return null;
+  }
+
+  const billedAmount = await getBilledAmount(dealId, amount);
+  return {
+    dealAmount: roundAmount(amount),
+    billedAmount,
+    remainingAmount: roundAmount(Math.max(amount - billedAmount, 0)),
+  };
+}
+
+module.exports = {
+  parseBillingRequest,
+  applyBilling,
+  assertWithinDealAmount,
+  getProgressDiscriminator,
+  getDealBillingSummary,
+};
@@ -0,0 +1,519 @@
+const crypto = require("crypto");
+const { getDB } = require("../config/db");
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+const taxRuleService = require("./taxRuleService");
+
+const { logMessage } = require("../common/logger");
+const { roundAmount, withRetry } = require("../common/helpers");
+const {
+  QB_INVOICE_COLLECTION,
+  QB_CREDIT_MEMO_COLLECTION,
+} = require("../models/constants");
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Invoice records that can no longer be credited or counted as invoiced
+const INACTIVE_STATUSES = ["pending", "voided", "deleted"];
+
+function creditError(message, status) {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+}
+
+function toCreditView(doc) {
+  return {
+    creditMemoId: doc.creditMemoId,
+    creditMemoUrl: doc.creditMemoUrl,
+    invoiceId: doc.invoiceId,
+    dealId: doc.dealId,
+    amount: doc.amount,
+    totalAmount: doc.totalAmount,
+    totalTax: doc.totalTax,
+    lines: doc.lines,
+    reason: doc.reason,
+    createdAt: doc.createdAt,
+  };
+}
+
+/**
+ * Turns the requested credit into normalized lines. Invoice lines are
+ * referenced by their QBO line Id and keep their item, price and tax code; a
+ * plain amount becomes one line resolved like any invoice line.
+ * @param {Object} invoice - QBO Invoice being credited
+ * @param {Object} params - lines ([{lineId, qty?, amount?}]) or amount, and reason
+ * @returns {Array<Object>} Normalized credit lines
+ * @throws {Error} With statusCode 400 or 422 for invalid lines
+ */
+function buildCreditLines(invoice, { lines, amount, reason }) {
+  if (amount != null) {
+    const value = Number(amount);
+    if (!(value > 0)) {
+      throw creditError("❌ amount must be a positive number", 400);
+    }
+    return [
+      {
+        name: reason || "Credit",
+        description: `Credit for invoice ${invoice.DocNumber || invoice.Id}`,
+        qty: 1,
+        unitPrice: roundAmount(value),
+        amount: roundAmount(value),
+      },
+    ];
+  }
+
+  const salesLines = new Map(
+    (invoice.Line || [])
+      .filter((l) => l?.DetailType === "SalesItemLineDetail")
+      .map((l) => [String(l.Id), l])
+  );
+
+  return lines.map((req, index) => {
+    const line = salesLines.get(String(req?.lineId));
+    if (!line) {
+      throw creditError(
+        `❌ lines[${index}].lineId "${req?.lineId}" is not an item line of invoice ${invoice.Id}`,
+        422
+      );
+    }
+
+    const detail = line.SalesItemLineDetail;
+    const lineQty = Number(detail.Qty ?? 1);
+    const unitPrice = Number(detail.UnitPrice ?? line.Amount / lineQty);
+    const qty = req.qty != null ? Number(req.qty) : lineQty;
+    if (!(qty > 0) || qty > lineQty) {
+      throw creditError(
+        `❌ lines[${index}].qty must be above 0 and at most ${lineQty}`,
+        400
+      );
+    }
+
+    const lineAmount =
+      req.amount != null ? Number(req.amount) : roundAmount(qty * unitPrice);
+    if (!(lineAmount > 0) || lineAmount > Number(line.Amount)) {
+      throw creditError(
+        `❌ lines[${index}].amount must be above 0 and at most ${Number(line.Amount).toFixed(2)}`,
+        400
+      );
+    }
+
+    return {
+      description: line.Description,
+      qty,
+      unitPrice: req.amount != null ? roundAmount(lineAmount / qty) : unitPrice,
+      amount: roundAmount(lineAmount),
+      itemId: detail.ItemRef?.value,
+      itemName: detail.ItemRef?.name,
+      itemSource: "invoice",
+      ...(detail.TaxCodeRef?.value
+        ? { taxCodeId: detail.TaxCodeRef.value }
+        : {}),
+      lineId: String(line.Id),
+    };
+  });
+}
+
+/**
+ * Checks a credit against the memos already issued for the invoice: the
+ * total must stay within the invoice subtotal (credits are compared before
+ * tax) and each invoice line within its own amount
+ * @param {Object} invoice - QBO Invoice being credited
+ * @param {Array<Object>} creditLines - Lines of the new credit
+ * @param {Array<Object>} previous - Other pending or created memo documents
+ * @throws {Error} With statusCode 409 when the credit exceeds a limit
+ */
+function checkCreditLimits(invoice, creditLines, previous) {
+  const creditAmount = roundAmount(
+    creditLines.reduce((sum, l) => sum + l.amount, 0)
+  );
+  const creditedBefore = roundAmount(
+    previous.reduce((sum, c) => sum + (c.amount || 0), 0)
+  );
+  const invoiceSubtotal = roundAmount(
+    Number(invoice.TotalAmt || 0) - Number(invoice.TxnTaxDetail?.TotalTax || 0)
+  );
+  if (creditedBefore + creditAmount > invoiceSubtotal) {
+    throw creditError(
+      `❌ Crediting ${creditAmount.toFixed(2)} would exceed invoice ${invoice.Id} (${invoiceSubtotal.toFixed(2)} before tax, ${creditedBefore.toFixed(2)} already credited)`,
+      409
+    );
+  }
+
+  const lineAmounts = new Map(
+    (invoice.Line || []).map((l) => [String(l.Id), Number(l.Amount || 0)])
+  );
+  const creditedByLine = new Map();
+  for (const line of previous.flatMap((c) => c.lines || [])) {
+    if (line.lineId) {
+      creditedByLine.set(
+        line.lineId,
+        (creditedByLine.get(line.lineId) || 0) + line.amount
+      );
+    }
+  }
+
+  for (const line of creditLines.filter((l) => l.lineId)) {
+    const before = roundAmount(creditedByLine.get(line.lineId) || 0);
+    const lineAmount = lineAmounts.get(line.lineId);
+    if (roundAmount(before + line.amount) > lineAmount) {
+      throw creditError(
+        `❌ Crediting ${line.amount.toFixed(2)} on line ${line.lineId} would exceed its amount (${lineAmount.toFixed(2)}, ${before.toFixed(2)} already credited)`,
+        409
+      );
+    }
+    creditedByLine.set(line.lineId, before + line.amount);
+  }
+}
+
+/**
+ * Net amount invoiced for a deal: QBO totals of its active invoices minus
+ * the credit memos issued against them
+ * @param {Object} tokens - {realmId, accessToken, refreshToken}
+ * @param {string} dealId - HubSpot deal ID
+ * @returns {Promise<Object>} {invoicedAmount, creditedAmount, netAmount}
+ */
+async function computeDealNetAmount(
+  { realmId, accessToken, refreshToken },
+  dealId
+) {
+  const db = getDB();
+  const records = await db
+    .collection(QB_INVOICE_COLLECTION)
+    .find({ dealId, status: { $nin: INACTIVE_STATUSES } })
+    .toArray();
+  const invoiceIds = records.map((r) => r.invoiceNumber || r.invoiceId);
+
+  const invoices = await quickbooksService.findInvoicesByIds(
+    realmId,
+    accessToken,
+    refreshToken,
+    invoiceIds
+  );
+  const invoicedAmount = roundAmount(
+    invoices.reduce((sum, inv) => sum + Number(inv.TotalAmt || 0), 0)
+  );
+
+  const credits = await db
+    .collection(QB_CREDIT_MEMO_COLLECTION)
+    .find({ dealId, invoiceId: { $in: invoiceIds }, status: "created" })
+    .toArray();
+  const creditedAmount = roundAmount(
+    credits.reduce((sum, c) => sum + (c.totalAmount || 0), 0)
+  );
+
+  return {
+    invoicedAmount,
+    creditedAmount,
+    netAmount: roundAmount(invoicedAmount - creditedAmount),
+  };
+}
+
+/**
+ * Issues a QuickBooks CreditMemo against an invoice created by this service,
+ * for specific invoice lines or a fixed amount. The memo is recorded in
+ * Mongo and the deal's net invoiced amount is written to HubSpot. A memo
+ * left pending (QBO outcome unknown or not saved) is completed by a retry
+ * with the same Idempotency-Key, which posts with the same QBO requestid;
+ * the key is therefore required.
+ * @param {Object} params - invoiceId, lines ([{lineId, qty?, amount?}]) or
+ *   amount, idempotencyKey and an optional reason
+ * @returns {Promise<Object>} - The credit memo (with netAmount and warnings) or error
+ */
+async function createCreditMemo({
+  invoiceId,
+  lines,
+  amount,
+  reason,
+  idempotencyKey,
+}) {
+  const db = getDB();
+  const collection = db.collection(QB_CREDIT_MEMO_COLLECTION);
+  logMessage("DEBUG", "🐛 createCreditMemo called", {
+    invoiceId,
+    lines: Array.isArray(lines) ? lines.length : undefined,
+    amount,
+    idempotencyKey,
+  });
+
+  const hasLines = Array.isArray(lines) && lines.length > 0;
+  if (hasLines === (amount != null)) {
+    return {
+      error: "❌ Provide either lines ([{ lineId, qty?, amount? }]) or amount",
+      status: 400,
+    };
+  }
+
+  if (!idempotencyKey) {
+    return {
+      error:
+        "❌ An Idempotency-Key header is required, so a credit whose outcome is unknown can be completed by a retry",
+      status: 400,
+    };
+  }
+
+  let pending = null;
+  let resumed = null;
+  let qboCalled = false;
+  let memoCreated = false;
+
+  try {
+    const existing = await collection.findOne({ idempotencyKey });
+    if (existing && existing.status !== "pending") {
+      return { ...toCreditView(existing), duplicate: true };
+    }
+    resumed = existing;
+
+    const record = await db
+      .collection(QB_INVOICE_COLLECTION)
+      .findOne({ invoiceId: String(invoiceId) });
+
+    if (!record || record.status === "pending") {
+      return { error: "❌ Invoice not found", status: 404 };
+    }
+
+    if (["voided", "deleted"].includes(record.status)) {
+      return {
+        error: `❌ Invoice is ${record.status} and cannot be credited`,
+        status: 409,
+      };
+    }
+
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokens;
+    const qbInvoiceId = record.invoiceNumber || record.invoiceId;
+    const invoice = await quickbooksService.getInvoiceById(
+      realmId,
+      accessToken,
+      refreshToken,
+      qbInvoiceId
+    );
+
+    const creditLines = buildCreditLines(invoice, { lines, amount, reason });
+    const creditAmount = roundAmount(
+      creditLines.reduce((sum, l) => sum + l.amount, 0)
+    );
+
+    if (
+      resumed &&
+      (resumed.invoiceId !== String(qbInvoiceId) ||
+        JSON.stringify(resumed.lines) !== JSON.stringify(creditLines))
+    ) {
+      return {
+        error: "❌ Idempotency-Key was already used for a different credit",
+        status: 422,
+      };
+    }
+
+    // Invoice lines keep the invoice's tax code; a plain amount gets the
+    // tax code of the customer's region, as invoices do
+    let taxCodeId = hasLines
+      ? invoice.TxnTaxDetail?.TxnTaxCodeRef?.value
+      : undefined;
+    if (!hasLines && record.contactId) {
+      const contact = await hubspotService.getContactById(record.contactId, [
+        "email",
+        "state",
+        "country",
+      ]);
+      ({ taxCodeId } = await taxRuleService.resolveTaxRule(
+        contact,
+        record.contactId,
+        { dealId: record.dealId }
+      ));
+    }
+
+    if (resumed) {
+      pending = resumed;
+      logMessage("INFO", "🔄 Resuming pending credit memo", {
+        invoiceId: qbInvoiceId,
+        lockId: pending.lockId,
+      });
+    } else {
+      // The pending document reserves the Idempotency-Key while QBO is
+      // called, and counts toward the limits of concurrent credits
+      const lockId = crypto.randomUUID();
+      pending = {
+        creditMemoId: `pending:${lockId}`,
+        lockId,
+        invoiceId: String(qbInvoiceId),
+        dealId: record.dealId,
+        customerId: invoice.CustomerRef?.value,
+        amount: creditAmount,
+        lines: creditLines,
+        ...(reason ? { reason } : {}),
+        status: "pending",
+        createdAt: new Date(),
+        idempotencyKey,
+      };
+      try {
+        await collection.insertOne(pending);
+      } catch (e) {
+        if (e?.code === DUPLICATE_KEY_ERROR) {
+          pending = null;
+          return {
+            error: "❌ A credit memo with this Idempotency-Key is in progress",
+            status: 409,
+          };
+        }
+        throw e;
+      }
+
+      // Checked after the insert so concurrent credits see each other; the
+      // catch below removes the pending document when a limit is exceeded
+      const previous = await collection
+        .find({
+          invoiceId: String(qbInvoiceId),
+          status: { $in: ["pending", "created"] },
+          _id: { $ne: pending._id },
+        })
+        .toArray();
+      checkCreditLimits(invoice, creditLines, previous);
+    }
+
+    qboCalled = true;
+    const memo = await quickbooksService.createCreditMemo(
+      realmId,
+      accessToken,
+      refreshToken,
+      invoice.CustomerRef?.value,
+      { id: record.dealId, amount: creditAmount },
+      {
+        qbLines: creditLines,
+        taxCodeId,
+        currency: invoice.CurrencyRef?.value,
+        exchangeRate: invoice.ExchangeRate,
+        memo: reason,
+        privateNote: `Credit for invoice ${invoice.DocNumber || qbInvoiceId} (HubSpot deal ${record.dealId})`,
+        requestId: pending.lockId,
+      }
+    );
+    memoCreated = true;
+
+    const doc = {
+      ...pending,
+      creditMemoId: memo.creditMemoId,
+      creditMemoUrl: memo.creditMemoUrl,
+      totalAmount: memo.totalAmount,
+      totalTax: memo.totalTax,
+      status: "created",
+    };
+    // Transient DB errors must not orphan a memo that already exists in QBO
+    await withRetry(() =>
+      collection.updateOne(
+        { _id: pending._id },
+        {
+          $set: {
+            creditMemoId: doc.creditMemoId,
+            creditMemoUrl: doc.creditMemoUrl,
+            totalAmount: doc.totalAmount,
+            totalTax: doc.totalTax,
+            status: "created",
+          },
+        }
+      )
+    );
+    logMessage("INFO", "✅ Credit memo created", {
+      invoiceId: qbInvoiceId,
+      dealId: record.dealId,
+      creditMemoId: memo.creditMemoId,
+      totalAmount: memo.totalAmount,
+    });
+
+    const warnings = [...memo.warnings];
+    let net = null;
+    try {
+      net = await computeDealNetAmount(tokens, record.dealId);
+      await hubspotService.updateHubSpotDealProperties(record.dealId, {
+        invoice_credited_amount: String(net.creditedAmount),
+        invoice_net_amount: String(net.netAmount),
+      });
+    } catch (e) {
+      logMessage("WARN", "⚠️ Failed updating deal net invoiced amount", {
+        dealId: record.dealId,
+        message: e?.message,
+      });
+      warnings.push(
+        `HubSpot deal net amount could not be updated (${e?.message})`
+      );
+    }
+
+    return {
+      ...toCreditView(doc),
+      ...(net ? net : {}),
+      ...(warnings.length ? { warnings } : {}),
+    };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in createCreditMemo:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    // Keep the pending document when QBO may hold the memo: a retry with the
+    // same Idempotency-Key completes it
+    const rejected = error.qbo?.type || error.statusCode === 401;
+    const unsent = !qboCalled && !resumed;
+    if (pending && (unsent || (!memoCreated && rejected))) {
+      await collection
+        .deleteOne({ _id: pending._id, status: "pending" })
+        .catch(() => {});
+    } else if (pending) {
+      logMessage("WARN", "⚠️ Credit memo left pending", {
+        lockId: pending.lockId,
+        invoiceId: pending.invoiceId,
+        memoCreated,
+      });
+      return {
+        error: `❌ Credit memo ${memoCreated ? "was created but not saved" : "outcome is unknown"} (${error.message}); retry with the same Idempotency-Key to complete it`,
+        status: 500,
+      };
+    }
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    if ([400, 409, 422].includes(error.statusCode)) {
+      return { error: error.message, status: error.statusCode };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Lists the credit memos issued against an invoice
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise<Object>} - {credits} or error
+ */
+async function listCreditMemos(invoiceId) {
+  try {
+    const docs = await getDB()
+      .collection(QB_CREDIT_MEMO_COLLECTION)
+      .find({ invoiceId: String(invoiceId), status: "created" })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    return { credits: docs.map(toCreditView) };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in listCreditMemos:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  createCreditMemo,
+  listCreditMemos,
+  buildCreditLines,
+  checkCreditLimits,
+};
@@ -0,0 +1,435 @@
+const crypto = require("crypto");
+const { getDB } = require("../config/db");
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+const invoiceService = require("./invoiceService");
+const taxRuleService = require("./taxRuleService");
+
+const { logMessage } = require("../common/logger");
+const { withRetry } = require("../common/helpers");
+const { QB_ESTIMATE_COLLECTION } = require("../models/constants");
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Open estimates checked against their quote per scheduled sync run
+const ESTIMATE_SYNC_LIMIT = 50;
+
+const QUOTE_PROPERTIES = [
+  "hs_title",
+  "hs_status",
+  "hs_expiration_date",
+  "hs_quote_amount",
+];
+
+function estimateError(message, status) {
+  const error = new Error(message);
+  error.statusCode = status;
+  return error;
+}
+
+function toEstimateView(doc) {
+  return {
+    estimateId: doc.estimateId,
+    estimateUrl: doc.estimateUrl,
+    quoteId: doc.quoteId,
+    dealId: doc.dealId,
+    txnStatus: doc.txnStatus,
+    totalAmount: doc.totalAmount,
+    status: doc.status,
+    ...(doc.invoiceId ? { invoiceId: doc.invoiceId } : {}),
+    createdAt: doc.createdAt,
+    ...(doc.syncedAt ? { syncedAt: doc.syncedAt } : {}),
+  };
+}
+
+function parseQuoteDate(raw) {
+  if (raw == null || raw === "") {
+    return null;
+  }
+
+  const time = /^\d+$/.test(String(raw)) ? Number(raw) : Date.parse(raw);
+  return Number.isFinite(time) ? new Date(time) : null;
+}
+
+/**
+ * Maps a HubSpot quote's hs_status onto a QuickBooks Estimate TxnStatus.
+ * QuickBooks has no expired status, so an expired open quote closes the
+ * estimate.
+ * @param {Object} quote - HubSpot quote properties (hs_status, hs_expiration_date)
+ * @returns {string} Pending, Accepted, Rejected or Closed
+ */
+function toTxnStatus(quote) {
+  const status = String(quote?.hs_status || "").toUpperCase();
+  if (invoiceService.ACCEPTED_QUOTE_STATUSES.includes(status)) {
+    return "Accepted";
+  }
+
+  if (status === "REJECTED") {
+    return "Rejected";
+  }
+
+  const expiresAt = parseQuoteDate(quote?.hs_expiration_date);
+  if (expiresAt && expiresAt.getTime() < Date.now()) {
+    return "Closed";
+  }
+
+  return "Pending";
+}
+
+/**
+ * Brings an estimate's TxnStatus in line with its HubSpot quote. Estimates
+ * already converted into an invoice are left alone.
+ * @param {Object} tokens - {realmId, accessToken, refreshToken}
+ * @param {Object} doc - Estimate document
+ * @param {Object} quote - HubSpot quote properties
+ * @returns {Promise<Object>} The (updated) estimate document
+ */
+async function syncEstimateStatus(
+  { realmId, accessToken, refreshToken },
+  doc,
+  quote
+) {
+  const txnStatus = toTxnStatus(quote);
+  if (doc.status !== "created" || doc.txnStatus === txnStatus) {
+    return doc;
+  }
+
+  await quickbooksService.updateEstimateStatus(
+    realmId,
+    accessToken,
+    refreshToken,
+    doc.estimateId,
+    txnStatus
+  );
+
+  const syncedAt = new Date();
+  await getDB()
+    .collection(QB_ESTIMATE_COLLECTION)
+    .updateOne(
+      { _id: doc._id },
+      { $set: { txnStatus, syncedAt, statusCheckedAt: syncedAt } }
+    );
+  logMessage("INFO", "✅ Estimate status synced from HubSpot quote", {
+    quoteId: doc.quoteId,
+    estimateId: doc.estimateId,
+    from: doc.txnStatus,
+    to: txnStatus,
+  });
+
+  return { ...doc, txnStatus, syncedAt };
+}
+
+/**
+ * Pushes a HubSpot quote to QuickBooks as an Estimate. Lines come from the
+ * quote's line items with the same item mappings, tax code and currency as
+ * invoices. A quote is pushed once; calling again syncs the estimate's
+ * status with the quote. Invoicing the quote later links the estimate. A
+ * pending estimate (QBO outcome unknown or not saved) is completed by calling
+ * again, which posts with the same QBO requestid.
+ * @param {Object} params - quoteId, dealId, contactId and optional userId
+ * @returns {Promise<Object>} - The estimate (existing: true when it was
+ *   already pushed) or error
+ */
+async function createEstimateForQuote({ quoteId, dealId, contactId, userId }) {
+  const collection = getDB().collection(QB_ESTIMATE_COLLECTION);
+  logMessage("DEBUG", "🐛 createEstimateForQuote called", {
+    quoteId,
+    dealId,
+    contactId,
+  });
+
+  let pending = null;
+  let resumed = null;
+  let qboCalled = false;
+  let estimateCreated = false;
+
+  try {
+    const existing = await collection.findOne({ quoteId: String(quoteId) });
+
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokens;
+    const quote = await hubspotService.getQuoteById(quoteId, QUOTE_PROPERTIES);
+
+    if (existing && existing.dealId !== String(dealId)) {
+      return {
+        error: `❌ Quote ${quoteId} was already pushed for deal ${existing.dealId}`,
+        status: 409,
+      };
+    }
+
+    if (existing?.status === "pending") {
+      pending = resumed = existing;
+      logMessage("INFO", "🔄 Resuming pending estimate", {
+        quoteId,
+        lockId: pending.lockId,
+      });
+    } else if (existing) {
+      const synced = await syncEstimateStatus(tokens, existing, quote);
+      return { ...toEstimateView(synced), existing: true };
+    } else {
+      // Invoices link estimates by quote, so the quote must belong to the deal
+      if (!(await hubspotService.isQuoteAssociatedWithDeal(quoteId, dealId))) {
+        return {
+          error: `❌ Quote ${quoteId} is not associated with deal ${dealId}`,
+          status: 422,
+        };
+      }
+
+      // The pending document reserves the quote while QBO is called
+      const lockId = crypto.randomUUID();
+      pending = {
+        estimateId: `pending:${lockId}`,
+        lockId,
+        quoteId: String(quoteId),
+        dealId: String(dealId),
+        contactId,
+        userId,
+        status: "pending",
+        createdAt: new Date(),
+      };
+      try {
+        await collection.insertOne(pending);
+      } catch (e) {
+        if (e?.code === DUPLICATE_KEY_ERROR) {
+          pending = null;
+          return {
+            error: "❌ An estimate for this quote is already being created",
+            status: 409,
+          };
+        }
+        throw e;
+      }
+    }
+
+    const { deal, contact } = await hubspotService.getHubSpotData(
+      dealId,
+      contactId
+    );
+    deal.id = dealId;
+
+    const { qbLines, warnings } =
+      await invoiceService.buildQbLinesForQuote(quoteId);
+    if (qbLines.length === 0) {
+      throw estimateError(`❌ Quote ${quoteId} has no line items`, 422);
+    }
+
+    const { taxCodeId } = await taxRuleService.resolveTaxRule(
+      contact,
+      contactId,
+      { dealId }
+    );
+
+    const currencyResult = await quickbooksService.resolveInvoiceCurrency(
+      realmId,
+      accessToken,
+      refreshToken,
+      { currency: invoiceService.getDealCurrency(deal, qbLines) }
+    );
+    warnings.push(...currencyResult.warnings);
+
+    const customerId = await quickbooksService.getOrCreateCustomer(
+      realmId,
+      accessToken,
+      { ...contact, id: contact.hs_object_id },
+      refreshToken,
+      { currency: currencyResult.currency }
+    );
+
+    const expiresAt = parseQuoteDate(quote.hs_expiration_date);
+    qboCalled = true;
+    const estimate = await quickbooksService.createEstimate(
+      realmId,
+      accessToken,
+      refreshToken,
+      customerId,
+      deal,
+      contact?.email,
+      {
+        qbLines,
+        quoteAmount: quote.hs_quote_amount,
+        taxCodeId,
+        currency: currencyResult.currency,
+        exchangeRate: currencyResult.exchangeRate,
+        txnStatus: toTxnStatus(quote),
+        ...(expiresAt
+          ? { expirationDate: expiresAt.toISOString().slice(0, 10) }
+          : {}),
+        privateNote: `HubSpot quote ${quoteId} (deal ${dealId})`,
+        requestId: pending.lockId,
+      }
+    );
+    estimateCreated = true;
+
+    const fields = {
+      estimateId: estimate.estimateId,
+      estimateUrl: estimate.estimateUrl,
+      customerId,
+      txnStatus: estimate.txnStatus,
+      totalAmount: estimate.totalAmount,
+      status: "created",
+    };
+    // Transient DB errors must not orphan an estimate that exists in QBO
+    await withRetry(() =>
+      collection.updateOne({ _id: pending._id }, { $set: fields })
+    );
+    logMessage("INFO", "✅ Estimate created from HubSpot quote", {
+      quoteId,
+      dealId,
+      estimateId: estimate.estimateId,
+      totalAmount: estimate.totalAmount,
+    });
+
+    warnings.push(...estimate.warnings);
+    return {
+      ...toEstimateView({ ...pending, ...fields }),
+      ...(warnings.length ? { warnings } : {}),
+    };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in createEstimateForQuote:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    // Keep the pending document when QBO may hold the estimate: calling
+    // again completes it
+    const rejected = error.qbo?.type || error.statusCode === 401;
+    const unsent = !qboCalled && !resumed;
+    if (pending && (unsent || (!estimateCreated && rejected))) {
+      await collection
+        .deleteOne({ _id: pending._id, status: "pending" })
+        .catch(() => {});
+    } else if (pending) {
+      logMessage("WARN", "⚠️ Estimate left pending", {
+        quoteId,
+        lockId: pending.lockId,
+        estimateCreated,
+      });
+      return {
+        error: `❌ Estimate ${estimateCreated ? "was created but not saved" : "outcome is unknown"} (${error.message}); push the quote again to complete it`,
+        status: 500,
+      };
+    }
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    if (error.code === 404) {
+      return { error: `❌ Quote ${quoteId} not found in HubSpot`, status: 404 };
+    }
+
+    if ([400, 422].includes(error.statusCode)) {
+      return { error: error.message, status: error.statusCode };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Syncs the status of open (Pending) estimates with their HubSpot quotes,
+ * least recently checked first. Run by the scheduled payment sync.
+ * @param {Object} [params] - Optional limit (default ESTIMATE_SYNC_LIMIT)
+ * @returns {Promise<Object>} - {checked, updated, failed} or error
+ */
+async function syncEstimateStatuses({ limit = ESTIMATE_SYNC_LIMIT } = {}) {
+  const collection = getDB().collection(QB_ESTIMATE_COLLECTION);
+  const summary = { checked: 0, updated: 0, failed: 0 };
+
+  try {
+    const docs = await collection
+      .find({ status: "created", txnStatus: "Pending" })
+      .sort({ statusCheckedAt: 1 })
+      .limit(limit)
+      .toArray();
+    if (docs.length === 0) {
+      return summary;
+    }
+
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    for (const doc of docs) {
+      summary.checked++;
+      try {
+        const quote = await hubspotService.getQuoteById(
+          doc.quoteId,
+          QUOTE_PROPERTIES
+        );
+        const { txnStatus } = doc;
+        const synced = await syncEstimateStatus(tokens, doc, quote);
+        if (synced.txnStatus !== txnStatus) {
+          summary.updated++;
+        } else {
+          await collection.updateOne(
+            { _id: doc._id },
+            { $set: { statusCheckedAt: new Date() } }
+          );
+        }
+      } catch (e) {
+        summary.failed++;
+        logMessage("WARN", "⚠️ Failed syncing estimate status", {
+          quoteId: doc.quoteId,
+          estimateId: doc.estimateId,
+          message: e?.message,
+        });
+
+        if (e?.statusCode === 401) {
+          await quickbooksService.getGlobalTokens();
+          break;
+        }
+      }
+    }
+
+    logMessage("INFO", "✅ Estimate statuses synced", summary);
+    return summary;
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in syncEstimateStatuses:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Returns the estimate pushed for a HubSpot quote
+ * @param {string} quoteId - HubSpot quote ID
+ * @returns {Promise<Object>} - The estimate or error
+ */
+async function getEstimateForQuote(quoteId) {
+  try {
+    const doc = await getDB()
+      .collection(QB_ESTIMATE_COLLECTION)
+      .findOne({ quoteId: String(quoteId), status: { $ne: "pending" } });
+
+    if (!doc) {
+      return { error: "❌ No estimate for this quote", status: 404 };
+    }
+
+    return toEstimateView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in getEstimateForQuote:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  createEstimateForQuote,
+  getEstimateForQuote,
+  syncEstimateStatuses,
+  toTxnStatus,
+};
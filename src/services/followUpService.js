@@ -0,0 +1,540 @@
+const { getDB } = require("../config/db");
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+const idempotencyService = require("./idempotencyService");
+
+const { logMessage } = require("../common/logger");
+const { QB_INVOICE_COLLECTION } = require("../models/constants");
+
+/**
+ * Uploads the PDF of each invoiced HubSpot quote to QuickBooks as an
+ * Attachable linked to the invoice. Quotes attached on an earlier attempt
+ * are not uploaded again. The outcome is stored as quoteAttachment on the
+ * record: status "attached", "skipped" (no quote or no downloadable PDF) or
+ * "failed" with the error.
+ * @param {Object} record - Invoice record (needs _id, invoiceNumber, quoteIds)
+ * @returns {Promise<void>}
+ */
+async function attachQuotePdfs(record) {
+  const collection = getDB().collection(QB_INVOICE_COLLECTION);
+  const quoteIds = (record.quoteIds || []).map(String);
+  const attachments = [...(record.quoteAttachment?.attachments || [])];
+  const skipped = [];
+
+  try {
+    const remaining = quoteIds.filter(
+      (quoteId) => !attachments.some((a) => a.quoteId === quoteId)
+    );
+    const tokens =
+      remaining.length > 0
+        ? await quickbooksService.resolveGlobalTokens()
+        : null;
+    if (tokens?.error) {
+      throw new Error(tokens.error);
+    }
+
+    for (const quoteId of remaining) {
+      const file = await hubspotService.downloadQuotePdf(quoteId);
+      if (!file) {
+        skipped.push({ quoteId, reason: "Quote has no downloadable PDF" });
+        continue;
+      }
+
+      const { attachableId } = await quickbooksService.attachPdfToInvoice(
+        tokens.realmId,
+        tokens.accessToken,
+        tokens.refreshToken,
+        record.invoiceNumber || record.invoiceId,
+        file.fileName,
+        file.pdf
+      );
+      attachments.push({
+        quoteId,
+        attachableId,
+        fileName: file.fileName,
+        source: file.source,
+        attachedAt: new Date(),
+      });
+    }
+  } catch (e) {
+    await collection
+      .updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            quoteAttachment: {
+              status: "failed",
+              attachments,
+              error: e?.message || String(e),
+            },
+          },
+        }
+      )
+      .catch(() => {});
+    throw e;
+  }
+
+  const quoteAttachment = {
+    status: attachments.length > 0 ? "attached" : "skipped",
+    attachments,
+    ...(skipped.length > 0 ? { skipped } : {}),
+    ...(quoteIds.length === 0
+      ? { reason: "Invoice has no HubSpot quote" }
+      : {}),
+  };
+  await collection.updateOne(
+    { _id: record._id },
+    { $set: { quoteAttachment } }
+  );
+  logMessage("INFO", "✅ Quote PDF attachment finished", {
+    invoiceId: record.invoiceId,
+    status: quoteAttachment.status,
+    attached: attachments.length,
+  });
+}
+
+// Steps that must happen after the QBO invoice exists. Each one is tracked
+// as followUps.<step> = {status, attempts, lastError, updatedAt} on the record.
+// saveRecord turns the pending lock (which already holds the QBO invoice)
+// into the invoice record and runs first.
+const FOLLOW_UP_STEPS = {
+  saveRecord: (record) =>
+    idempotencyService.completeInvoiceLock(record, {
+      invoiceNumber: record.invoiceNumber,
+    }),
+  hubspotDeal: (record) =>
+    hubspotService.updateHubSpotDeal(
+      record.dealId,
+      record.invoiceNumber,
+      record.invoiceUrl
+    ),
+  quoteAttachment: attachQuotePdfs,
+};
+
+// Automatic retries stop after this many attempts; replay still works
+const FOLLOW_UP_MAX_ATTEMPTS = 5;
+
+// Steps still pending after this are treated as interrupted (e.g. Lambda
+// timeout between the save and the HubSpot update)
+const FOLLOW_UP_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Initial follow-up state stored together with a newly created invoice
+ * @returns {Object} followUps with every step pending
+ */
+function initialFollowUps() {
+  return Object.keys(FOLLOW_UP_STEPS).reduce((acc, step) => {
+    acc[step] = { status: "pending", attempts: 0, updatedAt: new Date() };
+    return acc;
+  }, {});
+}
+
+/**
+ * Runs one follow-up step for an invoice record and stores the outcome
+ * @param {Object} record - Invoice record (needs _id, dealId, invoiceNumber,
+ *   invoiceUrl and quoteIds)
+ * @param {string} step - Step name (see FOLLOW_UP_STEPS)
+ * @returns {Promise<{step: string, status: string, error?: string}>}
+ */
+async function runFollowUp(record, step) {
+  const handler = FOLLOW_UP_STEPS[step];
+  if (!handler) {
+    throw new Error(`Unknown follow-up step: ${step}`);
+  }
+
+  let error = null;
+  try {
+    await handler(record);
+  } catch (e) {
+    error = e;
+    logMessage("WARN", "⚠️ Invoice follow-up step failed", {
+      invoiceId: record.invoiceId,
+      step,
+      message: e?.message,
+    });
+  }
+
+  const now = new Date();
+  const prefix = `followUps.${step}`;
+
+  try {
+    await getDB()
+      .collection(QB_INVOICE_COLLECTION)
+      .updateOne(
+        { _id: record._id },
+        error
+          ? {
+              $set: {
+                [`${prefix}.status`]: "failed",
+                [`${prefix}.lastError`]: error.message || String(error),
+                [`${prefix}.updatedAt`]: now,
+              },
+              $inc: { [`${prefix}.attempts`]: 1 },
+            }
+          : {
+              $set: {
+                [`${prefix}.status`]: "done",
+                [`${prefix}.updatedAt`]: now,
+                [`${prefix}.completedAt`]: now,
+              },
+              $inc: { [`${prefix}.attempts`]: 1 },
+              $unset: { [`${prefix}.lastError`]: "" },
+            }
+      );
+  } catch (e) {
+    logMessage("WARN", "⚠️ Failed to record follow-up outcome", {
+      invoiceId: record.invoiceId,
+      step,
+      message: e?.message,
+    });
+  }
+
+  return error
+    ? { step, status: "failed", error: error.message || String(error) }
+    : { step, status: "done" };
+}
+
+function stepsToRetry(record) {
+  const retryBefore = Date.now() - FOLLOW_UP_RETRY_AFTER_MS;
+
+  return Object.keys(FOLLOW_UP_STEPS).filter((step) => {
+    const state = record.followUps?.[step];
+    return (
+      state &&
+      ["pending", "failed"].includes(state.status) &&
+      (state.attempts || 0) < FOLLOW_UP_MAX_ATTEMPTS &&
+      new Date(state.updatedAt).getTime() < retryBefore
+    );
+  });
+}
+
+// Created records, and pending locks that already hold their QBO invoice.
+// With retryBefore only steps due for an automatic retry match (attempts
+// left, last attempt before the cutoff), and a pending lock only when its
+// saveRecord step is due, so exhausted records never fill the batch.
+function unfinishedStepsQuery({ retryBefore } = {}) {
+  const unfinished = (step) => ({
+    [`followUps.${step}.status`]: { $in: ["pending", "failed"] },
+    ...(retryBefore
+      ? {
+          [`followUps.${step}.attempts`]: { $lt: FOLLOW_UP_MAX_ATTEMPTS },
+          [`followUps.${step}.updatedAt`]: { $lt: retryBefore },
+        }
+      : {}),
+  });
+
+  return {
+    $and: [
+      {
+        $or: [
+          { status: "created" },
+          {
+            status: "pending",
+            invoiceNumber: { $exists: true },
+            ...(retryBefore ? unfinished("saveRecord") : {}),
+          },
+        ],
+      },
+      { $or: Object.keys(FOLLOW_UP_STEPS).map(unfinished) },
+    ],
+  };
+}
+
+/**
+ * Runs follow-up steps in order. The other steps wait while saveRecord
+ * fails, so the invoice record exists before HubSpot points to it.
+ * @param {Object} record - Invoice record or pending lock holding the invoice
+ * @param {Array<string>} steps - Step names
+ * @returns {Promise<Array<Object>>} One outcome per step run
+ */
+async function runFollowUps(record, steps) {
+  const results = [];
+  for (const step of steps) {
+    const result = await runFollowUp(record, step);
+    results.push(result);
+
+    if (step === "saveRecord" && result.status === "failed") {
+      break;
+    }
+  }
+  return results;
+}
+
+/**
+ * Retries unfinished follow-up steps (run by the scheduled worker)
+ * @param {Object} [params] - Optional limit on records per run
+ * @returns {Promise<{retried: number, results: Array<Object>}>}
+ */
+async function retryFollowUps({ limit = 25 } = {}) {
+  const records = await getDB()
+    .collection(QB_INVOICE_COLLECTION)
+    .find(
+      unfinishedStepsQuery({
+        retryBefore: new Date(Date.now() - FOLLOW_UP_RETRY_AFTER_MS),
+      })
+    )
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  const results = [];
+  for (const record of records) {
+    const steps = stepsToRetry(record);
+    // A pending lock waits until its saveRecord step can run again
+    if (record.status === "pending" && steps[0] !== "saveRecord") {
+      continue;
+    }
+
+    for (const result of await runFollowUps(record, steps)) {
+      results.push({ invoiceId: record.invoiceNumber, ...result });
+    }
+  }
+
+  if (results.length > 0) {
+    logMessage("INFO", "🔁 Retried invoice follow-ups", {
+      retried: results.length,
+      failed: results.filter((r) => r.status === "failed").length,
+    });
+  }
+
+  return { retried: results.length, results };
+}
+
+/**
+ * Lists invoices with unfinished follow-up steps, plus pending invoice locks
+ * that outlived their TTL (the QBO invoice may exist without a saved record)
+ * @returns {Promise<Object>} - {followUps, staleLocks} or error
+ */
+async function listStuckFollowUps() {
+  try {
+    const records = await getDB()
+      .collection(QB_INVOICE_COLLECTION)
+      .find(unfinishedStepsQuery())
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const followUps = records.map((record) => ({
+      invoiceId: record.invoiceNumber,
+      invoiceNumber: record.invoiceNumber,
+      status: record.status,
+      ...(record.status === "pending" ? { lockId: record.lockId } : {}),
+      dealId: record.dealId,
+      createdAt: record.createdAt,
+      steps: Object.fromEntries(
+        Object.entries(record.followUps || {})
+          .filter(([, state]) => state?.status !== "done")
+          .map(([step, state]) => [
+            step,
+            {
+              ...state,
+              exhausted: (state.attempts || 0) >= FOLLOW_UP_MAX_ATTEMPTS,
+            },
+          ])
+      ),
+    }));
+
+    const staleLocks = (await idempotencyService.findStaleLocks()).map(
+      (lock) => ({
+        lockId: lock.lockId,
+        dealId: lock.dealId,
+        contactId: lock.contactId,
+        lockedAt: lock.lockedAt,
+        ...(lock.invoiceNumber ? { invoiceNumber: lock.invoiceNumber } : {}),
+        ...(lock.qboOutcome ? { qboOutcome: lock.qboOutcome } : {}),
+      })
+    );
+
+    return { followUps, staleLocks };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in listStuckFollowUps:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Runs the unfinished follow-up steps of one invoice now, regardless of the
+ * automatic retry limit. The invoice can also be a pending lock that holds
+ * its QBO invoice (found by QBO invoice ID or lockId); saveRecord then runs
+ * first and completes the record.
+ * @param {Object} params - invoiceId (or lockId) and an optional step name
+ * @returns {Promise<Object>} - {invoiceId, results} or error
+ */
+async function replayFollowUps({ invoiceId, step }) {
+  logMessage("DEBUG", "🐛 replayFollowUps called", { invoiceId, step });
+
+  if (step && !FOLLOW_UP_STEPS[step]) {
+    return {
+      error: `❌ Unknown step. Use one of: ${Object.keys(FOLLOW_UP_STEPS).join(", ")}`,
+      status: 400,
+    };
+  }
+
+  try {
+    const id = String(invoiceId);
+    const record = await getDB()
+      .collection(QB_INVOICE_COLLECTION)
+      .findOne({
+        $or: [
+          { invoiceId: id },
+          { lockId: id },
+          { status: "pending", invoiceNumber: id },
+        ],
+      });
+
+    if (!record) {
+      return { error: "❌ Invoice not found", status: 404 };
+    }
+
+    if (record.status === "pending" && !record.invoiceNumber) {
+      return {
+        error: `❌ No QuickBooks invoice is recorded for lock ${record.lockId}; resolve the lock instead`,
+        status: 409,
+      };
+    }
+
+    if (!["created", "pending"].includes(record.status)) {
+      return {
+        error: `❌ Invoice is ${record.status}, follow-ups are not replayed`,
+        status: 409,
+      };
+    }
+
+    const unfinished = Object.keys(FOLLOW_UP_STEPS).filter(
+      (s) => record.followUps?.[s]?.status !== "done"
+    );
+    let steps = step ? [step] : unfinished;
+    if (record.status === "pending" && steps[0] !== "saveRecord") {
+      steps = ["saveRecord", ...steps];
+    }
+
+    const results = await runFollowUps(record, steps);
+    return { invoiceId: record.invoiceNumber, results };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in replayFollowUps:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Settles a pending invoice lock that no request will finish: a post whose
+ * QBO outcome is unknown (batch timeout) or a lock past its TTL. With the
+ * invoiceNumber found in QuickBooks the lock records that invoice and its
+ * follow-ups run, saveRecord first; without one the lock is released so the deal can
+ * be invoiced again.
+ * @param {Object} params - lockId and an optional invoiceNumber (QBO invoice ID)
+ * @returns {Promise<Object>} - {lockId, dealId, status, invoiceNumber?, results?} or error
+ */
+async function resolveInvoiceLock({ lockId, invoiceNumber }) {
+  logMessage("DEBUG", "🐛 resolveInvoiceLock called", {
+    lockId,
+    invoiceNumber,
+  });
+
+  try {
+    const lock = await idempotencyService.findPendingLock(lockId);
+    if (!lock) {
+      return { error: "❌ Pending invoice lock not found", status: 404 };
+    }
+
+    if (lock.invoiceNumber) {
+      return {
+        error: `❌ Lock ${lock.lockId} already holds QuickBooks invoice ${lock.invoiceNumber}; replay its follow-ups instead`,
+        status: 409,
+      };
+    }
+
+    if (
+      lock.qboOutcome !== "unknown" &&
+      !idempotencyService.isLockStale(lock)
+    ) {
+      return {
+        error: "❌ The invoice is still being created, please retry later",
+        status: 409,
+      };
+    }
+
+    if (!invoiceNumber) {
+      await idempotencyService.releaseInvoiceLock(lock);
+      logMessage("INFO", "✅ Invoice lock released", {
+        lockId: lock.lockId,
+        dealId: lock.dealId,
+      });
+      return { lockId: lock.lockId, dealId: lock.dealId, status: "released" };
+    }
+
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    const invoice = await quickbooksService.getInvoiceById(
+      tokens.realmId,
+      tokens.accessToken,
+      tokens.refreshToken,
+      String(invoiceNumber)
+    );
+    if (!quickbooksService.matchDealReference(invoice, lock.dealId)) {
+      return {
+        error: `❌ QuickBooks invoice ${invoiceNumber} does not reference deal ${lock.dealId}`,
+        status: 422,
+      };
+    }
+
+    const fields = {
+      invoiceNumber: String(invoice.Id),
+      invoiceUrl: quickbooksService.buildInvoiceUrl(invoice.Id),
+      ...(invoice.DocNumber ? { docNumber: invoice.DocNumber } : {}),
+      followUps: initialFollowUps(),
+    };
+    await idempotencyService.recordLockInvoice(lock, fields);
+    logMessage("INFO", "✅ Invoice lock resolved to QuickBooks invoice", {
+      lockId: lock.lockId,
+      dealId: lock.dealId,
+      invoiceNumber: fields.invoiceNumber,
+    });
+
+    const results = await runFollowUps(
+      { ...lock, ...fields },
+      Object.keys(FOLLOW_UP_STEPS)
+    );
+
+    return {
+      lockId: lock.lockId,
+      dealId: lock.dealId,
+      status: results[0]?.status === "done" ? "created" : "pending",
+      invoiceNumber: fields.invoiceNumber,
+      invoiceUrl: fields.invoiceUrl,
+      results,
+    };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in resolveInvoiceLock:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  initialFollowUps,
+  runFollowUp,
+  retryFollowUps,
+  listStuckFollowUps,
+  replayFollowUps,
+  resolveInvoiceLock,
+};
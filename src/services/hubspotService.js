@@ -49,6 +49,10 @@ async function getHubspotClient() {
   });
 }
 
+// Deal/company property holding the payment terms (e.g. "Net 30")
+const PAYMENT_TERMS_PROPERTY =
+  process.env.HUBSPOT_PAYMENT_TERMS_PROPERTY || "payment_terms";
+
 async function getHubSpotData(dealId, contactId) {
   // Get deal
   const hubspotClient = await getHubspotClient();
@@ -56,13 +60,15 @@ async function getHubSpotData(dealId, contactId) {
     "amount",
     "job_completion_date",
     "description",
+    "deal_currency_code",
+    PAYMENT_TERMS_PROPERTY,
   ]);
   logMessage("DEBUG", "📄 Fetched HubSpot deal", { dealId });
 
   // Get contact
   const contactResponse = await hubspotClient.crm.contacts.basicApi.getById(
     contactId,
-    ["email", "firstname", "lastname"]
+    ["email", "firstname", "lastname", "state", "country"]
   );
   logMessage("DEBUG", "📄 Fetched HubSpot contact", { contactId });
 
@@ -87,6 +93,32 @@ async function updateHubSpotDeal(dealId, invoiceNumber, invoiceUrl) {
   logMessage("DEBUG", "✅ HubSpot deal updated", { dealId });
 }
 
+async function updateHubSpotDealDelivery(dealId, { status, sentAt }) {
+  const hubspotClient = await getHubspotClient();
+  logMessage("INFO", "🔄 Updating HubSpot deal invoice delivery", {
+    dealId,
+    status,
+  });
+  await hubspotClient.crm.deals.basicApi.update(dealId, {
+    properties: {
+      invoice_delivery_status: status,
+      invoice_sent_at: sentAt ? new Date(sentAt).toISOString() : "",
+    },
+  });
+  logMessage("DEBUG", "✅ HubSpot deal delivery updated", { dealId });
+}
+
+// Update arbitrary properties on a deal
+async function updateHubSpotDealProperties(dealId, properties) {
+  const hubspotClient = await getHubspotClient();
+  logMessage("INFO", "🔄 Updating HubSpot deal properties", {
+    dealId,
+    properties: Object.keys(properties || {}),
+  });
+  await hubspotClient.crm.deals.basicApi.update(dealId, { properties });
+  logMessage("DEBUG", "✅ HubSpot deal properties updated", { dealId });
+}
+
 // Get contact by ID with custom properties
 async function getContactById(
   contactId,
@@ -102,6 +134,41 @@ async function getContactById(
   return contactResponse.properties;
 }
 
+// Get the primary company of a contact (first associated company otherwise)
+async function getPrimaryCompanyForContact(
+  contactId,
+  properties = ["name", "state", "country"]
+) {
+  const hubspotClient = await getHubspotClient();
+  const assoc = await hubspotClient.crm.associations.v4.basicApi.getPage(
+    "contacts",
+    contactId,
+    "companies"
+  );
+
+  const results = assoc.results || [];
+  // typeId 1 is HubSpot's "primary company" contact-to-company association
+  const primary =
+    results.find((r) =>
+      (r.associationTypes || []).some((type) => type.typeId === 1)
+    ) || results[0];
+
+  if (!primary?.toObjectId) {
+    return null;
+  }
+
+  const company = await hubspotClient.crm.companies.basicApi.getById(
+    primary.toObjectId,
+    properties
+  );
+  logMessage("DEBUG", "📄 Fetched primary company for contact", {
+    contactId,
+    companyId: primary.toObjectId,
+  });
+
+  return { id: primary.toObjectId, ...company.properties };
+}
+
 // Get deal by ID with custom properties
 async function getDealById(dealId, properties = ["amount"]) {
   const hubspotClient = await getHubspotClient();
@@ -179,6 +246,27 @@ async function getAllDeals(limit = 10, after = undefined) {
   return response.results.map((d) => d.properties);
 }
 
+// Get one page of products from the HubSpot product library
+async function getProductsPage(
+  limit = 100,
+  after = undefined,
+  properties = ["name", "hs_sku", "description", "price", "hs_product_type"]
+) {
+  const hubspotClient = await getHubspotClient();
+  const response = await hubspotClient.crm.products.basicApi.getPage(
+    limit,
+    after,
+    properties
+  );
+  return {
+    products: (response.results || []).map((p) => ({
+      id: p.id,
+      ...p.properties,
+    })),
+    after: response.paging?.next?.after,
+  };
+}
+
 // Get CRM card details (custom objects or associations)
 async function getCrmCardDetails(objectType, objectId, associationType) {
   const hubspotClient = await getHubspotClient();
@@ -278,28 +366,101 @@ async function getQuoteById(
   return quote.properties;
 }
 
-// Fetch all line items for a given Quote ID
-async function getQuoteLineItems(
-  quoteId,
-  properties = [
-    "name",
-    "description",
-    "quantity",
-    "price",
-    "amount",
-    "hs_currency",
-    "hs_discount_amount",
-    "hs_discount_percentage",
-    "hs_tax_amount",
-    "tax",
-    "hs_sku",
-    "hs_product_id",
-  ]
-) {
+// Quote properties that may link to a PDF of the quote, in order of preference
+const QUOTE_PDF_PROPERTIES = ["hs_pdf_download_link", "hs_public_url"];
+
+const QUOTE_PDF_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Downloads the PDF of a quote from its hs_pdf_download_link, else from its
+ * hs_public_url when that link serves a PDF. A link that fails falls through
+ * to the next one.
+ * @param {string} quoteId - HubSpot quote ID
+ * @returns {Promise<{pdf: Buffer, fileName: string, source: string}|null>}
+ *   null when the quote has no downloadable PDF
+ * @throws {Error} When no link served a PDF and at least one download failed
+ */
+async function downloadQuotePdf(quoteId) {
+  const quote = await getQuoteById(quoteId, QUOTE_PDF_PROPERTIES);
+  const failures = [];
+
+  for (const property of QUOTE_PDF_PROPERTIES) {
+    const url = quote?.[property];
+    if (!url) {
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        signal: AbortSignal.timeout(QUOTE_PDF_TIMEOUT_MS),
+      });
+    } catch (e) {
+      failures.push(`${property}: ${e?.message || e}`);
+      continue;
+    }
+    if (!response.ok) {
+      logMessage("WARN", "⚠️ Quote PDF download failed", {
+        quoteId,
+        property,
+        status: response.status,
+      });
+      failures.push(`${property}: HTTP ${response.status}`);
+      continue;
+    }
+
+    const pdf = Buffer.from(await response.arrayBuffer());
+    if (pdf.subarray(0, 5).toString("latin1") !== "%PDF-") {
+      logMessage("DEBUG", "📄 Quote link does not serve a PDF", {
+        quoteId,
+        property,
+      });
+      continue;
+    }
+
+    logMessage("DEBUG", "📄 Downloaded HubSpot quote PDF", {
+      quoteId,
+      property,
+      bytes: pdf.length,
+    });
+    return { pdf, fileName: `quote-${quoteId}.pdf`, source: property };
+  }
+
+  if (failures.length > 0) {
+    throw new Error(
+      `Quote ${quoteId} PDF download failed (${failures.join("; ")})`
+    );
+  }
+
+  return null;
+}
+
+// Line item properties used to build invoice lines
+const LINE_ITEM_PROPERTIES = [
+  "name",
+  "description",
+  "quantity",
+  "price",
+  "amount",
+  "hs_currency",
+  "discount",
+  "hs_discount_amount",
+  "hs_discount_percentage",
+  "hs_total_discount",
+  "hs_tax_amount",
+  "hs_tax_label",
+  "hs_tax_rate",
+  "tax",
+  "hs_sku",
+  "hs_product_id",
+];
+
+// Fetch all line items associated with a CRM object (quote or deal)
+async function getAssociatedLineItems(objectType, objectId, properties) {
   const hubspotClient = await getHubspotClient();
   const assoc = await hubspotClient.crm.associations.v4.basicApi.getPage(
-    "quotes",
-    quoteId,
+    objectType,
+    objectId,
     "line_items"
   );
 
@@ -307,8 +468,9 @@ async function getQuoteLineItems(
     .map((r) => r.toObjectId)
     .filter(Boolean);
 
-  logMessage("DEBUG", "📄 Quote line item associations", {
-    quoteId,
+  logMessage("DEBUG", "📄 Line item associations", {
+    objectType,
+    objectId,
     count: lineItemIds.length,
   });
 
@@ -331,24 +493,18 @@ async function getQuoteLineItems(
   return items;
 }
 
+// Fetch all line items for a given Quote ID
+async function getQuoteLineItems(quoteId, properties = LINE_ITEM_PROPERTIES) {
+  return getAssociatedLineItems("quotes", quoteId, properties);
+}
+
+// Fetch the line items attached directly to a Deal
+async function getDealLineItems(dealId, properties = LINE_ITEM_PROPERTIES) {
+  return getAssociatedLineItems("deals", dealId, properties);
+}
+
 // Fetch a single line item by ID
-async function getLineItemById(
-  lineItemId,
-  properties = [
-    "name",
-    "description",
-    "quantity",
-    "price",
-    "amount",
-    "hs_currency",
-    "hs_discount_amount",
-    "hs_discount_percentage",
-    "hs_tax_amount",
-    "tax",
-    "hs_sku",
-    "hs_product_id",
-  ]
-) {
+async function getLineItemById(lineItemId, properties = LINE_ITEM_PROPERTIES) {
   const hubspotClient = await getHubspotClient();
   const li = await hubspotClient.crm.lineItems.basicApi.getById(
     lineItemId,
@@ -357,8 +513,33 @@ async function getLineItemById(
   return { id: lineItemId, ...li.properties };
 }
 
+// Whether a quote is associated with a deal
+async function isQuoteAssociatedWithDeal(quoteId, dealId) {
+  const hubspotClient = await getHubspotClient();
+  const assoc = await hubspotClient.crm.associations.v4.basicApi.getPage(
+    "quotes",
+    quoteId,
+    "deals"
+  );
+
+  return (assoc.results || []).some(
+    (r) => String(r.toObjectId) === String(dealId)
+  );
+}
+
 // List all Quotes associated with a Deal
-async function getQuotesByDealId(dealId) {
+async function getQuotesByDealId(
+  dealId,
+  properties = [
+    "hs_title",
+    "hs_status",
+    "hs_quote_amount",
+    "hs_currency",
+    "hs_expiration_date",
+    "hs_createdate",
+    "hs_lastmodifieddate",
+  ]
+) {
   const requestBody = { inputs: [{ id: dealId }] };
   const hubspotClient = await getHubspotClient();
   const associations = await hubspotClient.crm.associations.v4.batchApi.getPage(
@@ -384,7 +565,10 @@ async function getQuotesByDealId(dealId) {
   const quotes = [];
   for (const qid of quoteIds) {
     try {
-      const q = await hubspotClient.crm.quotes.basicApi.getById(qid);
+      const q = await hubspotClient.crm.quotes.basicApi.getById(
+        qid,
+        properties
+      );
       quotes.push({ id: qid, ...q.properties });
     } catch (e) {
       logMessage("WARN", "⚠️ Failed to load quote details", {
@@ -402,18 +586,27 @@ async function getQuotesByDealId(dealId) {
 }
 
 module.exports = {
+  LINE_ITEM_PROPERTIES,
+  PAYMENT_TERMS_PROPERTY,
   getHubSpotData,
   updateHubSpotDeal,
+  updateHubSpotDealProperties,
+  updateHubSpotDealDelivery,
   getContactById,
+  getPrimaryCompanyForContact,
   getDealById,
   getAllContacts,
   getAllDeals,
+  getProductsPage,
   getCrmCardDetails,
   getCrmCardDetailsByDealId,
   validateHubSpotRequest,
   getAssociatedContactsForDeal,
   getQuoteById,
+  downloadQuotePdf,
   getQuoteLineItems,
+  getDealLineItems,
   getLineItemById,
   getQuotesByDealId,
+  isQuoteAssociatedWithDeal,
 };
@@ -0,0 +1,392 @@
+const crypto = require("crypto");
+const { getDB } = require("../config/db");
+const { logMessage } = require("../common/logger");
+const { QB_INVOICE_COLLECTION } = require("../models/constants");
+
+// A pending lock older than this is considered abandoned (e.g. Lambda timeout)
+// and may be taken over by a new request. Override via INVOICE_LOCK_TTL_MS.
+const LOCK_TTL_MS =
+  Number(process.env.INVOICE_LOCK_TTL_MS) > 0
+    ? Number(process.env.INVOICE_LOCK_TTL_MS)
+    : 5 * 60 * 1000; // default 5 minutes
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Computes a stable fingerprint for an invoice request so that repeated calls
+ * for the same deal and quote contents can be detected.
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Object} params - Inputs that define the invoice content
+ * @param {Array<string>} [params.quoteIds] - HubSpot quote IDs used for lines
+ * @param {Array<Object>} [params.qbLines] - Normalized invoice lines
+ * @param {string|number} [params.amount] - Deal amount (used when no lines)
+ * @param {string} [params.cycle] - Recurring schedule cycle ("<scheduleId>:<n>");
+ *   each cycle bills the same lines again
+ * @param {Object} [params.progress] - Progress invoice discriminator (see
+ *   billingService.getProgressDiscriminator); deposits may repeat a line
+ * @returns {string} Hex encoded SHA-256 fingerprint
+ */
+function computeInvoiceFingerprint(
+  dealId,
+  { quoteIds, qbLines, amount, cycle, progress } = {}
+) {
+  const lines = (qbLines || [])
+    .map((l) => [
+      l?.name ?? null,
+      l?.description ?? null,
+      Number.isFinite(Number(l?.qty)) ? Number(l.qty) : null,
+      Number.isFinite(Number(l?.unitPrice)) ? Number(l.unitPrice) : null,
+      Number.isFinite(Number(l?.amount)) ? Number(l.amount) : null,
+    ])
+    .map((l) => JSON.stringify(l))
+    .sort();
+
+  const payload = JSON.stringify({
+    dealId: String(dealId),
+    quoteIds: (quoteIds || []).map(String).sort(),
+    lines,
+    amount: lines.length === 0 && amount != null ? String(amount) : null,
+    ...(cycle ? { cycle } : {}),
+    ...(progress ? { progress } : {}),
+  });
+
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+function buildLockKey(dealId, fingerprint) {
+  return `${dealId}:${fingerprint}`;
+}
+
+function isLockStale(doc) {
+  if (!doc || doc.status !== "pending") {
+    return false;
+  }
+
+  const lockedAt = doc.lockedAt ? new Date(doc.lockedAt).getTime() : 0;
+  return Date.now() - lockedAt > LOCK_TTL_MS;
+}
+
+/**
+ * Finds an invoice record (or in-flight lock) created with an Idempotency-Key
+ * @param {string} idempotencyKey - Client supplied idempotency key
+ * @returns {Promise<Object|null>} The invoice document or null
+ */
+async function findByIdempotencyKey(idempotencyKey) {
+  if (!idempotencyKey) {
+    return null;
+  }
+
+  const db = getDB();
+  return db.collection(QB_INVOICE_COLLECTION).findOne({ idempotencyKey });
+}
+
+/**
+ * Takes over an abandoned lock for the same request. The lock keeps its
+ * lockId, which is sent to QBO as the requestid, so a post that did reach
+ * QBO before the crash is de-duplicated there instead of creating a second
+ * invoice. Only one request can win the takeover.
+ * @param {Object} existing - Pending lock document
+ * @returns {Promise<Object|null>} The refreshed lock, or null if another
+ *   request took it over first
+ */
+async function takeOverLock(existing) {
+  const db = getDB();
+  return db
+    .collection(QB_INVOICE_COLLECTION)
+    .findOneAndUpdate(
+      { _id: existing._id, status: "pending", lockedAt: existing.lockedAt },
+      { $set: { lockedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+}
+
+/**
+ * Tries to take the deal-level lock for an invoice request. The lock is the
+ * invoice record itself, inserted with status "pending" and later completed
+ * with the QuickBooks invoice details. billedAmount is stored right away so
+ * concurrent requests count the in-flight invoice against the deal amount.
+ *
+ * Two indexes enforce it: lockKey (deal + fingerprint) makes retries of the
+ * same request find the same lock, and pendingDealId allows a single pending
+ * invoice per deal, so a changed quote cannot start a second invoice while
+ * the first one is still being created.
+ *
+ * A caller that already owns a lock (an async job run again after its worker
+ * died) passes its lockId and takes the lock back without waiting for the
+ * TTL, so the rerun posts with the same QBO requestid.
+ * @param {Object} params - Lock parameters, with an optional lockId to reuse
+ * @returns {Promise<{acquired: boolean, lock?: Object, existing?: Object}>}
+ */
+async function acquireInvoiceLock({
+  userId,
+  dealId,
+  contactId,
+  idempotencyKey,
+  fingerprint,
+  billedAmount,
+  schedule,
+  lockId = crypto.randomUUID(),
+}) {
+  const db = getDB();
+  const collection = db.collection(QB_INVOICE_COLLECTION);
+  const lockKey = buildLockKey(dealId, fingerprint);
+
+  const lockDoc = {
+    invoiceId: `pending:${lockId}`, // replaced with the QBO ID on completion
+    lockId,
+    lockKey,
+    fingerprint,
+    pendingDealId: String(dealId), // unset on completion
+    userId,
+    dealId,
+    contactId,
+    status: "pending",
+    lockedAt: new Date(),
+    createdAt: new Date(),
+    ...(idempotencyKey ? { idempotencyKey } : {}),
+    ...(billedAmount != null ? { billedAmount } : {}),
+    ...(schedule ? { schedule } : {}),
+  };
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      await collection.insertOne(lockDoc);
+      logMessage("DEBUG", "🔒 Acquired invoice lock", { dealId, lockId });
+      return { acquired: true, lock: lockDoc };
+    } catch (e) {
+      if (e?.code !== DUPLICATE_KEY_ERROR) {
+        throw e;
+      }
+    }
+
+    // The caller's own lock, then the same request, then another pending
+    // invoice for the deal
+    const existing =
+      (await collection.findOne({ lockId })) ||
+      (await collection.findOne({
+        $or: [{ lockKey }, ...(idempotencyKey ? [{ idempotencyKey }] : [])],
+      })) ||
+      (await collection.findOne({ pendingDealId: String(dealId) }));
+
+    if (!existing) {
+      // The conflicting lock was released between insert and lookup; retry
+      continue;
+    }
+
+    if (existing.lockId === lockId && existing.status === "pending") {
+      const lock = await takeOverLock(existing);
+      if (!lock) {
+        continue;
+      }
+
+      logMessage("WARN", "⚠️ Resumed own invoice lock", { dealId, lockId });
+      return { acquired: true, lock };
+    }
+
+    // A lock that records a QBO invoice is finished by its follow-ups, and
+    // only resolveInvoiceLock may settle a post whose QBO outcome is unknown
+    if (
+      !isLockStale(existing) ||
+      existing.invoiceNumber ||
+      existing.qboOutcome === "unknown"
+    ) {
+      return { acquired: false, existing };
+    }
+
+    if (existing.lockKey === lockKey) {
+      const lock = await takeOverLock(existing);
+      if (!lock) {
+        continue;
+      }
+
+      logMessage("WARN", "⚠️ Took over stale invoice lock", {
+        dealId,
+        lockId: lock.lockId,
+      });
+      return { acquired: true, lock };
+    }
+
+    if (existing.idempotencyKey && existing.idempotencyKey === idempotencyKey) {
+      // Same key, different content: rejected by the caller
+      return { acquired: false, existing };
+    }
+
+    // An abandoned lock for other content (e.g. the quote changed since).
+    // Its requestid cannot be reused for different lines, so the lock is
+    // dropped; invoices it may have posted show up in the deal reconciliation.
+    logMessage("WARN", "⚠️ Dropping stale invoice lock for other content", {
+      dealId,
+      staleLockId: existing.lockId,
+    });
+    await collection.deleteOne({
+      _id: existing._id,
+      status: "pending",
+      lockedAt: existing.lockedAt,
+    });
+  }
+
+  throw new Error("❌ Could not acquire invoice lock, please retry");
+}
+
+/**
+ * Marks a lock as completed with the created QuickBooks invoice details
+ * @param {Object} lock - Lock document returned by acquireInvoiceLock
+ * @param {Object} fields - Invoice fields to persist on the record
+ * @returns {Promise<void>}
+ */
+async function completeInvoiceLock(lock, fields) {
+  const db = getDB();
+  await db.collection(QB_INVOICE_COLLECTION).updateOne(
+    { _id: lock._id },
+    {
+      $set: {
+        ...fields,
+        invoiceId: fields.invoiceNumber,
+        status: "created",
+      },
+      $unset: { lockedAt: "", pendingDealId: "", qboOutcome: "" },
+    }
+  );
+}
+
+/**
+ * Stores the QuickBooks invoice on a lock right after the QBO create, before
+ * anything else can fail. The lock stays pending until the saveRecord
+ * follow-up completes it, but it is never released or taken over again.
+ * @param {Object} lock - Lock document returned by acquireInvoiceLock
+ * @param {Object} fields - invoiceNumber, invoiceUrl and the record fields
+ * @returns {Promise<void>}
+ */
+async function recordLockInvoice(lock, fields) {
+  const db = getDB();
+  await db
+    .collection(QB_INVOICE_COLLECTION)
+    .updateOne({ _id: lock._id, status: "pending" }, { $set: fields });
+}
+
+/**
+ * Releases a pending lock so the request can be retried (e.g. QBO failure)
+ * @param {Object} lock - Lock document returned by acquireInvoiceLock
+ * @returns {Promise<void>}
+ */
+async function releaseInvoiceLock(lock) {
+  if (!lock) {
+    return;
+  }
+
+  const db = getDB();
+  try {
+    await db.collection(QB_INVOICE_COLLECTION).deleteOne({
+      _id: lock._id,
+      status: "pending",
+      invoiceNumber: { $exists: false },
+    });
+    logMessage("DEBUG", "🔓 Released invoice lock", { lockId: lock.lockId });
+  } catch (e) {
+    logMessage("WARN", "⚠️ Failed to release invoice lock", {
+      lockId: lock.lockId,
+      message: e?.message,
+    });
+  }
+}
+
+/**
+ * Keeps a lock pending after a QBO post whose outcome is unknown (e.g. a
+ * batch request that timed out). The invoice may exist in QBO, so the lock
+ * is neither released nor taken over until it is resolved.
+ * @param {Object} lock - Lock document returned by acquireInvoiceLock
+ * @param {Object} fields - Record fields and the qboError to keep for the resolution
+ * @returns {Promise<void>}
+ */
+async function markInvoiceLockUnknown(lock, fields) {
+  const db = getDB();
+  await db
+    .collection(QB_INVOICE_COLLECTION)
+    .updateOne(
+      { _id: lock._id, status: "pending" },
+      { $set: { ...fields, qboOutcome: "unknown" } }
+    );
+  logMessage("WARN", "⚠️ Invoice lock kept for an unknown QBO outcome", {
+    dealId: lock.dealId,
+    lockId: lock.lockId,
+  });
+}
+
+/**
+ * Lists pending locks older than the lock TTL. Their request either failed
+ * before posting to QBO, or created the invoice (invoiceNumber is then set)
+ * and the record was never completed.
+ * Locks with an unknown QBO outcome are listed right away.
+ * @returns {Promise<Array<Object>>} Stale lock documents
+ */
+async function findStaleLocks() {
+  const db = getDB();
+  return db
+    .collection(QB_INVOICE_COLLECTION)
+    .find({
+      status: "pending",
+      $or: [
+        { lockedAt: { $lt: new Date(Date.now() - LOCK_TTL_MS) } },
+        { qboOutcome: "unknown" },
+      ],
+    })
+    .toArray();
+}
+
+/**
+ * Finds a pending invoice lock by its lockId
+ * @param {string} lockId - Lock ID
+ * @returns {Promise<Object|null>} The lock document or null
+ */
+async function findPendingLock(lockId) {
+  const db = getDB();
+  return db
+    .collection(QB_INVOICE_COLLECTION)
+    .findOne({ lockId: String(lockId), status: "pending" });
+}
+
+/**
+ * Points the deal+quote fingerprint at an existing invoice record, e.g. after
+ * its lines were resynced from a changed quote. A conflicting fingerprint held
+ * by another record is left untouched.
+ * @param {Object} doc - Invoice document
+ * @param {string} fingerprint - New fingerprint
+ * @returns {Promise<boolean>} True when the fingerprint was updated
+ */
+async function updateInvoiceFingerprint(doc, fingerprint) {
+  const db = getDB();
+  try {
+    await db.collection(QB_INVOICE_COLLECTION).updateOne(
+      { _id: doc._id },
+      {
+        $set: { fingerprint, lockKey: buildLockKey(doc.dealId, fingerprint) },
+      }
+    );
+    return true;
+  } catch (e) {
+    if (e?.code !== DUPLICATE_KEY_ERROR) {
+      throw e;
+    }
+
+    logMessage("WARN", "⚠️ Fingerprint already belongs to another invoice", {
+      dealId: doc.dealId,
+      invoiceId: doc.invoiceId,
+    });
+    return false;
+  }
+}
+
+module.exports = {
+  LOCK_TTL_MS,
+  computeInvoiceFingerprint,
+  findByIdempotencyKey,
+  acquireInvoiceLock,
+  completeInvoiceLock,
+  recordLockInvoice,
+  releaseInvoiceLock,
+  markInvoiceLockUnknown,
+  findStaleLocks,
+  findPendingLock,
+  isLockStale,
+  updateInvoiceFingerprint,
+};
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const { getDB } = require("../config/db");
+const invoiceService = require("./invoiceService");
+const billingService = require("./billingService");
+const idempotencyService = require("./idempotencyService");
+
+const { logMessage } = require("../common/logger");
+const {
+  getCorrelationId,
+  runWithCorrelation,
+} = require("../common/correlation");
+const { INVOICE_JOB_COLLECTION } = require("../models/constants");
+
+// Name of the worker Lambda; when unset jobs run in this process (local dev)
+const WORKER_FUNCTION_NAME = process.env.INVOICE_WORKER_FUNCTION_NAME || "";
+
+// A running job not finished after this is considered abandoned (worker
+// timeout or crash) and is queued again by the sweep. Defaults to the invoice
+// lock TTL, after which other requests may take the job's lock over too.
+const JOB_STALE_MS =
+  Number(process.env.INVOICE_JOB_STALE_MS) > 0
+    ? Number(process.env.INVOICE_JOB_STALE_MS)
+    : idempotencyService.LOCK_TTL_MS;
+
+const JOB_MAX_ATTEMPTS = 3;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Shapes a job document for API responses
+ * @param {Object} job - Job document
+ * @returns {Object} Public job fields
+ */
+function toJobView(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    ...(job.result ? { result: job.result } : {}),
+    ...(job.error ? { error: job.error } : {}),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+  };
+}
+
+async function updateJobProgress(jobId, step) {
+  const db = getDB();
+  try {
+    await db
+      .collection(INVOICE_JOB_COLLECTION)
+      .updateOne(
+        { jobId },
+        { $set: { progress: { step, updatedAt: new Date() } } }
+      );
+  } catch (e) {
+    // Progress is informational; never fail the job over it
+    logMessage("WARN", "⚠️ Failed to record job progress", {
+      jobId,
+      step,
+      message: e?.message,
+    });
+  }
+}
+
+/**
+ * Starts the worker for a job: an async invoke of the worker Lambda when
+ * INVOICE_WORKER_FUNCTION_NAME is set, otherwise in this process
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+async function dispatchInvoiceJob(jobId) {
+  if (!WORKER_FUNCTION_NAME) {
+    setImmediate(() => {
+      processInvoiceJobs({ jobId }).catch((e) =>
+        logMessage("ERROR", "❌ In-process invoice job failed", {
+          jobId,
+          message: e?.message,
+        })
+      );
+    });
+    return;
+  }
+
+  const AWS = require("aws-sdk");
+  const lambda = new AWS.Lambda({
+    region: process.env.AWS_REGION || "us-east-1",
+  });
+
+  await lambda
+    .invoke({
+      FunctionName: WORKER_FUNCTION_NAME,
+      InvocationType: "Event",
+      Payload: JSON.stringify({ jobId }),
+    })
+    .promise();
+
+  logMessage("DEBUG", "🚀 Invoice worker invoked", { jobId });
+}
+
+/**
+ * Persists a create-invoice job and hands it to the worker. A repeated
+ * Idempotency-Key returns the job created for the first request.
+ * @param {Object} params - create-invoice parameters (userId, dealId, contactId,
+ *   idempotencyKey, sendEmail, sendTo, quoteId, quoteSelection, exchangeRate,
+ *   percentage, amount, milestone)
+ * @returns {Promise<Object>} - Job view or error
+ */
+async function enqueueInvoiceJob(params) {
+  const db = getDB();
+  const { idempotencyKey } = params;
+  logMessage("DEBUG", "🐛 enqueueInvoiceJob called", {
+    dealId: params.dealId,
+    idempotencyKey,
+  });
+
+  // Reject bad billing parameters now rather than failing the job later
+  const requested = billingService.parseBillingRequest(params);
+  if (requested.error) {
+    return requested;
+  }
+
+  const job = {
+    jobId: crypto.randomUUID(),
+    type: "create-invoice",
+    status: "queued",
+    params,
+    progress: { step: "queued", updatedAt: new Date() },
+    attempts: 0,
+    // Every run uses this invoice lock, and so the same QBO requestid
+    lockId: crypto.randomUUID(),
+    correlationId: getCorrelationId(),
+    createdAt: new Date(),
+    ...(idempotencyKey ? { idempotencyKey } : {}),
+  };
+
+  try {
+    await db.collection(INVOICE_JOB_COLLECTION).insertOne(job);
+  } catch (e) {
+    if (e?.code !== DUPLICATE_KEY_ERROR) {
+      logMessage("ERROR", "❌ Failed to enqueue invoice job", e?.message);
+      return { error: e.message, status: 500 };
+    }
+
+    const existing = await db
+      .collection(INVOICE_JOB_COLLECTION)
+      .findOne({ idempotencyKey });
+    logMessage("INFO", "ℹ️ Returning existing job for Idempotency-Key", {
+      jobId: existing?.jobId,
+    });
+    return { ...toJobView(existing), duplicate: true };
+  }
+
+  try {
+    await dispatchInvoiceJob(job.jobId);
+  } catch (e) {
+    // The job stays queued and is picked up by the scheduled sweep
+    logMessage("WARN", "⚠️ Failed to dispatch invoice job", {
+      jobId: job.jobId,
+      message: e?.message,
+    });
+  }
+
+  logMessage("INFO", "✅ Invoice job queued", {
+    jobId: job.jobId,
+    dealId: params.dealId,
+  });
+  return toJobView(job);
+}
+
+/**
+ * Atomically moves a queued job to running so only one worker executes it
+ * @param {string} [jobId] - Specific job to claim; oldest queued job otherwise
+ * @returns {Promise<Object|null>} The claimed job or null
+ */
+async function claimInvoiceJob(jobId) {
+  const db = getDB();
+  return db.collection(INVOICE_JOB_COLLECTION).findOneAndUpdate(
+    { status: "queued", ...(jobId ? { jobId } : {}) },
+    {
+      $set: {
+        status: "running",
+        startedAt: new Date(),
+        progress: { step: "started", updatedAt: new Date() },
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, returnDocument: "after" }
+  );
+}
+
+/**
+ * Runs a claimed create-invoice job and stores the result or error
+ * @param {Object} job - Claimed job document
+ * @returns {Promise<Object>} The finished job view
+ */
+async function runInvoiceJob(job) {
+  const db = getDB();
+  logMessage("INFO", "🔄 Running invoice job", {
+    jobId: job.jobId,
+    attempt: job.attempts,
+  });
+
+  const result = await invoiceService
+    .handleCreateInvoice({
+      ...job.params,
+      ...(job.lockId ? { lockId: job.lockId } : {}),
+      onProgress: (step) => updateJobProgress(job.jobId, step),
+    })
+    .catch((e) => ({ error: e?.message || String(e), status: 500 }));
+
+  const update = result.error
+    ? {
+        status: "failed",
+        error: { message: result.error, status: result.status || 500 },
+      }
+    : { status: "succeeded", result };
+
+  await db.collection(INVOICE_JOB_COLLECTION).updateOne(
+    { jobId: job.jobId },
+    {
+      $set: {
+        ...update,
+        progress: { step: update.status, updatedAt: new Date() },
+        completedAt: new Date(),
+      },
+    }
+  );
+
+  logMessage(
+    result.error ? "WARN" : "INFO",
+    result.error ? "⚠️ Invoice job failed" : "✅ Invoice job succeeded",
+    { jobId: job.jobId, error: result.error }
+  );
+
+  return toJobView({ ...job, ...update });
+}
+
+/**
+ * Queues abandoned running jobs again, or fails them after JOB_MAX_ATTEMPTS.
+ * Re-running is safe: the rerun resumes the job's own invoice lock and posts
+ * with the same QBO requestid, or resolves to the invoice already recorded.
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+async function recoverStaleJobs() {
+  const db = getDB();
+  const collection = db.collection(INVOICE_JOB_COLLECTION);
+  const staleBefore = new Date(Date.now() - JOB_STALE_MS);
+
+  await collection.updateMany(
+    {
+      status: "running",
+      startedAt: { $lt: staleBefore },
+      attempts: { $gte: JOB_MAX_ATTEMPTS },
+    },
+    {
+      $set: {
+        status: "failed",
+        error: { message: "Job did not finish after retries", status: 500 },
+        completedAt: new Date(),
+      },
+    }
+  );
+
+  const requeued = await collection.updateMany(
+    { status: "running", startedAt: { $lt: staleBefore } },
+    {
+      $set: {
+        status: "queued",
+        progress: { step: "requeued", updatedAt: new Date() },
+      },
+    }
+  );
+
+  if (requeued.modifiedCount > 0) {
+    logMessage("WARN", "⚠️ Requeued stale invoice jobs", {
+      count: requeued.modifiedCount,
+    });
+  }
+
+  return requeued.modifiedCount;
+}
+
+/**
+ * Worker entry: runs one specific job, or sweeps stale jobs and runs up to
+ * `limit` queued jobs (scheduled invocation)
+ * @param {Object} [params] - Optional jobId and limit
+ * @returns {Promise<{processed: Array<Object>}>}
+ */
+async function processInvoiceJobs({ jobId, limit = 10 } = {}) {
+  const processed = [];
+
+  if (!jobId) {
+    await recoverStaleJobs();
+  }
+
+  for (let i = 0; i < (jobId ? 1 : limit); i++) {
+    const job = await claimInvoiceJob(jobId);
+    if (!job) {
+      break;
+    }
+
+    processed.push(
+      await runWithCorrelation(job.correlationId, () => runInvoiceJob(job))
+    );
+  }
+
+  return { processed };
+}
+
+/**
+ * Loads a job for status polling
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Job view or error
+ */
+async function getInvoiceJob(jobId) {
+  const db = getDB();
+  try {
+    const job = await db
+      .collection(INVOICE_JOB_COLLECTION)
+      .findOne({ jobId: String(jobId) });
+
+    if (!job) {
+      return { error: "❌ Job not found", status: 404 };
+    }
+
+    return toJobView(job);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in getInvoiceJob:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  enqueueInvoiceJob,
+  processInvoiceJobs,
+  getInvoiceJob,
+};
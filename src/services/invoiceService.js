@@ -1,244 +1,2288 @@
 const { getDB } = require("../config/db");
 const hubspotService = require("./hubspotService");
 const quickbooksService = require("./quickbooksService");
+const idempotencyService = require("./idempotencyService");
+const followUpService = require("./followUpService");
+const itemMappingService = require("./itemMappingService");
+const taxRuleService = require("./taxRuleService");
+const paymentTermsService = require("./paymentTermsService");
+const billingService = require("./billingService");
 
 const { logMessage } = require("../common/logger");
-const { QB_INVOICE_COLLECTION } = require("../models/constants");
+const {
+  mapWithConcurrency,
+  withRetry,
+  roundAmount,
+  parseBoolean,
+} = require("../common/helpers");
+const {
+  QB_INVOICE_COLLECTION,
+  QB_ESTIMATE_COLLECTION,
+  INVOICE_SEQUENCE_COLLECTION,
+} = require("../models/constants");
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Line item property whose value selects a QBO tax code through
+// QUICKBOOKS_TAX_CODE_MAP (product properties are copied onto line items)
+const TAX_CODE_PROPERTY =
+  process.env.HUBSPOT_TAX_CODE_PROPERTY || "hs_tax_label";
+
+// Optional boolean line item property marking a line taxable or not
+const TAXABLE_PROPERTY = process.env.HUBSPOT_TAXABLE_PROPERTY || "";
+
+// Quote selection rules: "accepted" keeps unexpired quotes whose hs_status is
+// accepted, "latest" keeps the most recently created remaining quote
+const QUOTE_SELECTION_RULES = ["accepted", "latest"];
+
+// hs_status values of published quotes the customer can accept
+const ACCEPTED_QUOTE_STATUSES = (
+  process.env.HUBSPOT_ACCEPTED_QUOTE_STATUSES || "APPROVED,APPROVAL_NOT_NEEDED"
+)
+  .split(",")
+  .map((s) => s.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Normalizes a HubSpot line item into the qbLines shape used by createInvoice.
+ * `amount` is the net line total after discount (HubSpot's own `amount` when
+ * present) and `discount` the total discount taken off the gross qty * price.
+ * @param {Object} li - HubSpot line item properties
+ * @returns {Object} Normalized line
+ */
+function normalizeLineItem(li) {
+  // Normalize common HubSpot properties
+  const qtyRaw = li.quantity ?? li.hs_quantity ?? 1;
+  const unitPriceRaw = li.price ?? li.hs_price ?? li.unit_price;
+  const amountRaw = li.amount ?? li.hs_amount;
+  const name = li.name ?? li.hs_name;
+  const description = li.description ?? li.hs_description;
+  const sku = li.hs_sku || undefined;
+  const productId = li.hs_product_id || undefined;
+  const currency = li.hs_currency || undefined;
+
+  // Convert numeric fields safely
+  const toNumber = (raw) =>
+    raw != null && raw !== "" && Number.isFinite(Number(raw))
+      ? Number(raw)
+      : undefined;
+  const qty = Number.isFinite(Number(qtyRaw)) ? Number(qtyRaw) : 1;
+  const unitPrice = toNumber(unitPriceRaw);
+  const gross =
+    unitPrice !== undefined ? roundAmount(qty * unitPrice) : undefined;
+
+  // Explicit discounts are only needed when HubSpot did not send the net amount
+  let amount = toNumber(amountRaw);
+  if (amount === undefined && gross !== undefined) {
+    const totalDiscount = toNumber(li.hs_total_discount);
+    const unitDiscount = toNumber(li.discount ?? li.hs_discount_amount);
+    const percentage = toNumber(li.hs_discount_percentage);
+
+    const explicitDiscount =
+      totalDiscount ??
+      (unitDiscount !== undefined
+        ? unitDiscount * qty
+        : percentage !== undefined
+          ? (gross * percentage) / 100
+          : 0);
+    amount = roundAmount(gross - explicitDiscount);
+  }
+
+  const discount =
+    gross !== undefined && amount !== undefined && gross > amount
+      ? roundAmount(gross - amount)
+      : 0;
+
+  const taxAmount = toNumber(li.hs_tax_amount ?? li.tax);
+  const taxKey = li[TAX_CODE_PROPERTY] || undefined;
+  const taxableRaw = TAXABLE_PROPERTY ? li[TAXABLE_PROPERTY] : undefined;
+
+  return {
+    name,
+    description,
+    sku,
+    productId,
+    currency,
+    qty,
+    unitPrice,
+    amount,
+    discount,
+    taxAmount,
+    taxKey,
+    taxable:
+      taxableRaw != null && taxableRaw !== ""
+        ? parseBoolean(taxableRaw)
+        : undefined,
+  };
+}
+
+/**
+ * Parses the quote selection of a request: an explicit quoteId, or the
+ * comma-separated rules of quoteSelection (HUBSPOT_QUOTE_SELECTION when
+ * omitted; "all" or empty invoices every quote on the deal)
+ * @param {Object} params - quoteId and quoteSelection from the request
+ * @returns {Object} {quoteId, rules} or {error, status}
+ */
+function resolveQuoteSelection({ quoteId, quoteSelection } = {}) {
+  if (quoteId) {
+    return { quoteId: String(quoteId), rules: [] };
+  }
+
+  const raw = quoteSelection ?? process.env.HUBSPOT_QUOTE_SELECTION ?? "";
+  const rules = String(raw)
+    .split(",")
+    .map((r) => r.trim().toLowerCase())
+    .filter((r) => r && r !== "all");
+
+  const unknown = rules.filter((r) => !QUOTE_SELECTION_RULES.includes(r));
+  if (unknown.length > 0) {
+    return {
+      error: `❌ Unknown quote selection rule(s): ${unknown.join(", ")} (use ${QUOTE_SELECTION_RULES.join(", ")} or all)`,
+      status: 400,
+    };
+  }
+
+  return { quoteId: null, rules: [...new Set(rules)] };
+}
+
+// HubSpot dates arrive as ISO strings or epoch milliseconds
+function toTime(raw) {
+  if (raw == null || raw === "") {
+    return NaN;
+  }
+
+  return /^\d+$/.test(String(raw)) ? Number(raw) : Date.parse(String(raw));
+}
+
+/**
+ * Applies a quote selection to the quotes of a deal
+ * @param {Array<Object>} quotes - HubSpot quotes (id, hs_status, dates)
+ * @param {Object} selection - Result of resolveQuoteSelection
+ * @returns {{selected: Array<Object>, skipped: Array<Object>}} skipped lists
+ *   {quoteId, title, status, reason} per excluded quote
+ */
+function selectQuotes(quotes, { quoteId, rules = [] } = {}) {
+  const skipped = [];
+  const skip = (quote, reason) =>
+    skipped.push({
+      quoteId: String(quote.id),
+      title: quote.hs_title || null,
+      status: quote.hs_status || null,
+      reason,
+    });
+
+  let selected = quotes;
+
+  if (quoteId) {
+    selected = quotes.filter((q) => String(q.id) === quoteId);
+    quotes
+      .filter((q) => String(q.id) !== quoteId)
+      .forEach((q) => skip(q, `not the requested quote ${quoteId}`));
+    return { selected, skipped };
+  }
+
+  if (rules.includes("accepted")) {
+    const now = Date.now();
+    selected = selected.filter((q) => {
+      const status = String(q.hs_status || "").toUpperCase();
+      if (!ACCEPTED_QUOTE_STATUSES.includes(status)) {
+        skip(q, `status ${status || "unknown"} is not accepted`);
+        return false;
+      }
+
+      const expiresAt = toTime(q.hs_expiration_date);
+      if (expiresAt < now) {
+        skip(q, `expired on ${new Date(expiresAt).toISOString().slice(0, 10)}`);
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  if (rules.includes("latest") && selected.length > 1) {
+    const created = (q) => toTime(q.hs_createdate) || 0;
+    const [latest, ...older] = [...selected].sort(
+      (a, b) =>
+        created(b) - created(a) ||
+        (toTime(b.hs_lastmodifieddate) || 0) -
+          (toTime(a.hs_lastmodifieddate) || 0)
+    );
+    older.forEach((q) => skip(q, `superseded by quote ${latest.id}`));
+    selected = [latest];
+  }
+
+  return { selected, skipped };
+}
+
+function describeSkippedQuote(s) {
+  return `quote ${s.quoteId}${s.title ? ` "${s.title}"` : ""}: ${s.reason}`;
+}
+
+// HubSpot line item properties read for invoice lines
+function getLineItemProperties() {
+  return [
+    ...new Set([
+      ...hubspotService.LINE_ITEM_PROPERTIES,
+      TAX_CODE_PROPERTY,
+      ...(TAXABLE_PROPERTY ? [TAXABLE_PROPERTY] : []),
+    ]),
+  ];
+}
+
+/**
+ * Normalizes HubSpot line items and drops those without a price or amount
+ * @param {Array<Object>} lineItems - HubSpot line item properties
+ * @param {Array<string>} warnings - Collects skipped-line warnings
+ * @returns {Array<Object>} qbLines
+ */
+function toQbLines(lineItems, warnings) {
+  const qbLines = (lineItems || []).map(normalizeLineItem);
+
+  // Filter out lines with no usable amount or price; we will trust qty*unitPrice or explicit amount
+  const usable = qbLines.filter((l) => {
+    const hasPrice = Number.isFinite(Number(l.unitPrice));
+    const hasAmount = Number.isFinite(Number(l.amount));
+    return hasPrice || hasAmount;
+  });
+
+  if (usable.length < qbLines.length) {
+    warnings.push(
+      `${qbLines.length - usable.length} line item(s) skipped: no price or amount`
+    );
+  }
+
+  // When HubSpot calculated tax on the quote, its untaxed lines are exempt
+  if (usable.some((l) => l.taxAmount > 0)) {
+    return usable.map((l) =>
+      l.taxable === undefined && l.taxAmount === 0
+        ? { ...l, taxable: false }
+        : l
+    );
+  }
+
+  return usable;
+}
+
+/**
+ * Lines of mapped HubSpot products use the stored QBO item; the rest are
+ * matched by SKU or name when the invoice is built
+ * @param {Array<Object>} qbLines - Normalized lines
+ * @param {Array<string>} warnings - Collects a warning when mappings fail to load
+ * @returns {Promise<Array<Object>>} qbLines with itemId where mapped
+ */
+async function applyItemMappings(qbLines, warnings) {
+  try {
+    const mappings = await itemMappingService.getMappingsForProducts(
+      qbLines.map((l) => l.productId)
+    );
+    return qbLines.map((l) => {
+      const mapping = l.productId && mappings.get(String(l.productId));
+      return mapping
+        ? {
+            ...l,
+            itemId: mapping.qboItemId,
+            itemName: mapping.qboItemName,
+            itemSource: "mapping",
+          }
+        : l;
+    });
+  } catch (e) {
+    logMessage("WARN", "⚠️ Failed loading item mappings", e?.message || e);
+    warnings.push(`Item mappings could not be loaded (${e?.message || e})`);
+    return qbLines;
+  }
+}
+
+/**
+ * Builds invoice lines from the line items of the HubSpot quotes on a deal.
+ * quoteAmount is the summed HubSpot quote total the invoice should reconcile
+ * to (null when a quote has no hs_quote_amount). Only the quotes kept by the
+ * selection are used; when the deal has quotes but none qualifies, an error
+ * with statusCode 422 lists the reason for each quote. A deal without quotes
+ * uses the line items associated with the deal itself. lineSource records
+ * where the lines came from: "quotes", "deal", or "deal_amount" when there
+ * are none and the invoice falls back to a single deal amount line.
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Object} [selection] - Result of resolveQuoteSelection
+ * @returns {Promise<{qbLines: Array<Object>, quoteIds: Array<string>, quoteAmount: number|null, lineSource: string, warnings: Array<string>}>}
+ */
+async function buildQbLinesForDeal(dealId, selection = {}) {
+  let qbLines = [];
+  let lineSource = "quotes";
+  const quoteIds = [];
+  const quoteAmounts = [];
+  const warnings = [];
+
+  try {
+    const quotes = (await hubspotService.getQuotesByDealId(dealId)) || [];
+    const { selected, skipped } = selectQuotes(quotes, selection);
+
+    if (selected.length === 0 && (quotes.length > 0 || selection.quoteId)) {
+      const reasons = selection.quoteId
+        ? [`quote ${selection.quoteId} is not associated with the deal`]
+        : skipped.map(describeSkippedQuote);
+      const error = new Error(
+        `❌ No quote on deal ${dealId} qualifies for invoicing: ${reasons.join("; ")}`
+      );
+      error.statusCode = 422;
+      throw error;
+    }
+
+    if (skipped.length > 0) {
+      logMessage("INFO", "ℹ️ Quotes skipped by quote selection", {
+        dealId,
+        skipped,
+      });
+      if (!selection.quoteId) {
+        warnings.push(
+          ...skipped.map((s) => `Skipped ${describeSkippedQuote(s)}`)
+        );
+      }
+    }
+
+    const allLineItems = [];
+    const properties = getLineItemProperties();
+
+    // Deals without quotes often carry their line items directly
+    if (quotes.length === 0) {
+      allLineItems.push(
+        ...(await hubspotService.getDealLineItems(dealId, properties))
+      );
+      lineSource = "deal";
+    }
+
+    for (const quote of selected) {
+      try {
+        const items = await hubspotService.getQuoteLineItems(
+          quote.id,
+          properties
+        );
+        quoteIds.push(quote.id);
+        quoteAmounts.push(quote.hs_quote_amount);
+        allLineItems.push(
+          ...items.map((it) => ({ ...it, __quoteId: quote.id }))
+        );
+      } catch (e) {
+        logMessage("WARN", "⚠️ Failed fetching line items for quote", {
+          quoteId: quote?.id,
+          message: e?.message,
+        });
+        warnings.push(
+          `Line items for quote ${quote?.id} could not be loaded (${e?.message})`
+        );
+      }
+    }
+
+    qbLines = toQbLines(allLineItems, warnings);
+  } catch (e) {
+    if (e?.statusCode === 422) {
+      throw e;
+    }
+
+    logMessage(
+      "WARN",
+      "⚠️ Failed building qbLines from HubSpot quotes",
+      e?.message || e
+    );
+    warnings.push(
+      `${lineSource === "deal" ? "Deal line items" : "Quotes"} could not be loaded (${e?.message || e})`
+    );
+  }
+
+  qbLines = await applyItemMappings(qbLines, warnings);
+
+  const quoteAmount =
+    quoteAmounts.length > 0 &&
+    quoteAmounts.every((a) => a != null && a !== "" && Number.isFinite(+a))
+      ? roundAmount(quoteAmounts.reduce((sum, a) => sum + Number(a), 0))
+      : null;
+
+  return {
+    qbLines,
+    quoteIds,
+    quoteAmount,
+    lineSource: qbLines.length > 0 ? lineSource : "deal_amount",
+    warnings,
+  };
+}
+
+/**
+ * Number of invoice records of a deal, where its sequence counter starts.
+ * Voided and deleted invoices count, since QuickBooks keeps their DocNumbers.
+ * @param {string} dealId - HubSpot deal ID
+ * @param {string} [excludeLockId] - The caller's own lock, left out
+ * @returns {Promise<number>}
+ */
+function countDealInvoices(dealId, excludeLockId) {
+  return getDB()
+    .collection(QB_INVOICE_COLLECTION)
+    .countDocuments({
+      dealId: String(dealId),
+      ...(excludeLockId ? { lockId: { $ne: excludeLockId } } : {}),
+    });
+}
+
+/**
+ * Allocates the {n} of QUICKBOOKS_DOC_NUMBER_PATTERN for an invoice lock from
+ * the deal's counter in invoice_sequences ($inc), so concurrent creates never
+ * get the same number. The number is stored on the lock: a retry that takes
+ * the lock over posts the same DocNumber. Numbers of locks released after a
+ * failed create are not reused.
+ * @param {Object} lock - Lock document returned by acquireInvoiceLock
+ * @returns {Promise<number|undefined>} undefined when no pattern is configured
+ */
+async function allocateInvoiceSequence(lock) {
+  if (!process.env.QUICKBOOKS_DOC_NUMBER_PATTERN) {
+    return undefined;
+  }
+
+  if (lock.sequence != null) {
+    return lock.sequence;
+  }
+
+  const db = getDB();
+  const counters = db.collection(INVOICE_SEQUENCE_COLLECTION);
+  const dealId = String(lock.dealId);
+  const increment = () =>
+    counters.findOneAndUpdate(
+      { dealId },
+      { $inc: { n: 1 } },
+      { returnDocument: "after" }
+    );
+
+  let counter = await increment();
+  if (!counter) {
+    // First number for the deal: continue after its existing invoices
+    counter = {
+      dealId,
+      n: (await countDealInvoices(dealId, lock.lockId)) + 1,
+    };
+    try {
+      await counters.insertOne(counter);
+    } catch (e) {
+      if (e?.code !== DUPLICATE_KEY_ERROR) {
+        throw e;
+      }
+      counter = await increment();
+    }
+  }
+
+  await db
+    .collection(QB_INVOICE_COLLECTION)
+    .updateOne(
+      { _id: lock._id, status: "pending" },
+      { $set: { sequence: counter.n } }
+    );
+  return counter.n;
+}
+
+/**
+ * The {n} the deal's next invoice would get, without allocating it (preview)
+ * @param {string} dealId - HubSpot deal ID
+ * @returns {Promise<number|undefined>} undefined when no pattern is configured
+ */
+async function peekInvoiceSequence(dealId) {
+  if (!process.env.QUICKBOOKS_DOC_NUMBER_PATTERN) {
+    return undefined;
+  }
+
+  const counter = await getDB()
+    .collection(INVOICE_SEQUENCE_COLLECTION)
+    .findOne({ dealId: String(dealId) });
+  return (counter ? counter.n : await countDealInvoices(dealId)) + 1;
+}
+
+/**
+ * Finds the open QuickBooks estimates pushed for the given quotes of this
+ * deal and customer; invoicing the quotes converts them (LinkedTxn on the
+ * invoice). QBO rejects a LinkedTxn to another customer's estimate.
+ * @param {Array<string>} quoteIds - HubSpot quote IDs being invoiced
+ * @param {Object} params - dealId and the QBO customerId of the invoice
+ * @returns {Promise<Array<string>>} QuickBooks estimate IDs
+ */
+async function findQuoteEstimateIds(quoteIds, { dealId, customerId }) {
+  if (!quoteIds || quoteIds.length === 0 || !customerId) {
+    return [];
+  }
+
+  const estimates = await getDB()
+    .collection(QB_ESTIMATE_COLLECTION)
+    .find({
+      quoteId: { $in: quoteIds.map(String) },
+      dealId: String(dealId),
+      customerId: String(customerId),
+      status: "created",
+      txnStatus: { $nin: ["Closed", "Rejected"] },
+    })
+    .project({ estimateId: 1 })
+    .toArray();
+
+  return estimates.map((e) => e.estimateId);
+}
+
+/**
+ * Records that the linked estimates were converted into an invoice; QuickBooks
+ * closes them itself once the invoice is linked
+ * @param {Array<string>} estimateIds - QuickBooks estimate IDs
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise<void>}
+ */
+async function markEstimatesConverted(estimateIds, invoiceId) {
+  try {
+    await getDB()
+      .collection(QB_ESTIMATE_COLLECTION)
+      .updateMany(
+        { estimateId: { $in: estimateIds } },
+        {
+          $set: {
+            status: "converted",
+            txnStatus: "Closed",
+            invoiceId,
+            convertedAt: new Date(),
+          },
+        }
+      );
+  } catch (e) {
+    logMessage("WARN", "⚠️ Failed to mark estimates as converted", {
+      estimateIds,
+      invoiceId,
+      message: e?.message,
+    });
+  }
+}
+
+/**
+ * Builds invoice lines from the line items of a single HubSpot quote, with
+ * the same normalization and item mappings as buildQbLinesForDeal
+ * @param {string} quoteId - HubSpot quote ID
+ * @returns {Promise<{qbLines: Array<Object>, warnings: Array<string>}>}
+ */
+async function buildQbLinesForQuote(quoteId) {
+  const warnings = [];
+  const items = await hubspotService.getQuoteLineItems(
+    quoteId,
+    getLineItemProperties()
+  );
+  const qbLines = await applyItemMappings(toQbLines(items, warnings), warnings);
+  return { qbLines, warnings };
+}
+
+/**
+ * The deal's currency (deal_currency_code), else the currency of its quote
+ * line items
+ * @param {Object} deal - HubSpot deal properties
+ * @param {Array<Object>} qbLines - Normalized lines
+ * @returns {string|undefined} ISO currency code
+ */
+function getDealCurrency(deal, qbLines) {
+  return deal?.deal_currency_code || qbLines.find((l) => l.currency)?.currency;
+}
+
+/**
+ * Fetches the contact's primary company at most once per request: the tax
+ * address and the payment terms both fall back to it
+ * @param {string} contactId - HubSpot contact ID
+ * @returns {Function} Loader resolving to the company (or null)
+ */
+function primaryCompanyLoader(contactId) {
+  let company = null;
+  return () => {
+    company =
+      company ||
+      hubspotService.getPrimaryCompanyForContact(contactId, [
+        "name",
+        "state",
+        "country",
+        hubspotService.PAYMENT_TERMS_PROPERTY,
+      ]);
+    return company;
+  };
+}
+
+/**
+ * Maps an existing invoice record (or in-flight lock) to a handler result
+ * @param {Object} existing - Invoice document from quickbooks_invoices
+ * @param {Object} request - The current request's idempotency inputs
+ * @returns {Object} Result with original invoice details or an error
+ */
+function toDuplicateResult(existing, { idempotencyKey, fingerprint } = {}) {
+  if (
+    idempotencyKey &&
+    fingerprint &&
+    existing.idempotencyKey === idempotencyKey &&
+    existing.fingerprint &&
+    existing.fingerprint !== fingerprint
+  ) {
+    return {
+      error: "❌ Idempotency-Key was already used for a different request",
+      status: 422,
+    };
+  }
+
+  // The QBO invoice exists; only its record is still being completed
+  if (existing.status === "pending" && existing.invoiceNumber) {
+    logMessage("INFO", "ℹ️ Returning recorded invoice for duplicate request", {
+      dealId: existing.dealId,
+      invoiceNumber: existing.invoiceNumber,
+    });
+    return {
+      invoiceNumber: existing.invoiceNumber,
+      invoiceUrl: existing.invoiceUrl,
+      duplicate: true,
+    };
+  }
+
+  if (existing.qboOutcome === "unknown") {
+    return {
+      error: `❌ An earlier QuickBooks post for this deal may have created the invoice; resolve lock ${existing.lockId} under follow-ups first`,
+      status: 409,
+    };
+  }
+
+  if (existing.status === "pending") {
+    return {
+      error:
+        "❌ An invoice for this deal is already being created, please retry",
+      status: 409,
+    };
+  }
+
+  logMessage("INFO", "ℹ️ Returning existing invoice for duplicate request", {
+    dealId: existing.dealId,
+    invoiceNumber: existing.invoiceNumber,
+  });
+
+  return {
+    invoiceNumber: existing.invoiceNumber,
+    invoiceUrl: existing.invoiceUrl,
+    duplicate: true,
+  };
+}
+
+/**
+ * Runs the create-invoice steps that come before the QuickBooks post:
+ * duplicate checks, HubSpot fetch, quote lines, the deal-level lock and the
+ * customer. The lock is released again if a later step here fails.
+ * @param {Object} tokens - Shared QuickBooks tokens ({accessToken, refreshToken, realmId})
+ * @param {Object} params - userId, dealId, contactId, quoteSelection (from
+ *   resolveQuoteSelection) and optional idempotencyKey, exchangeRate, billing,
+ *   schedule and lockId (a lock the caller already owns)
+ * @returns {Promise<Object>} {result} when the request resolves early (duplicate),
+ *   otherwise {deal, contact, qbLines, quoteIds, quoteAmount, lineSource, quoteSelection,
+ *   taxCodeId, taxRule, currency, exchangeRate, paymentTerms, billing, estimateIds,
+ *   sequence, lock, customerId}
+ */
+async function prepareInvoiceRequest(
+  { accessToken, refreshToken, realmId },
+  {
+    userId,
+    dealId,
+    contactId,
+    idempotencyKey,
+    quoteSelection = {},
+    exchangeRate: requestedRate,
+    billing: requestedBilling = null,
+    schedule = null,
+    lockId,
+  }
+) {
+  // Short-circuit replays of a request that already completed
+  if (idempotencyKey) {
+    const existing =
+      await idempotencyService.findByIdempotencyKey(idempotencyKey);
+    if (existing && (existing.status !== "pending" || existing.invoiceNumber)) {
+      return { result: toDuplicateResult(existing) };
+    }
+  }
+
+  // Get deal and contact from HubSpot
+  logMessage("INFO", "🔄 Fetching deal and contact from HubSpot", {
+    dealId,
+    contactId,
+  });
+
+  const { deal, contact } = await hubspotService.getHubSpotData(
+    dealId,
+    contactId
+  );
+
+  logMessage("DEBUG", "🐛 Fetched HubSpot data", {
+    deal,
+    contact,
+  });
+
+  deal.id = dealId;
+
+  // Ensure job_completion_date from HubSpot deal is available for ServiceDate mapping
+  if (deal && deal.job_completion_date) {
+    logMessage("DEBUG", "📄 job_completion_date found on deal", {
+      dealId,
+      job_completion_date: deal.job_completion_date,
+    });
+  }
+
+  // Build invoice lines from HubSpot Quotes' line items for this deal
+  const built = await buildQbLinesForDeal(dealId, quoteSelection);
+  const { quoteIds, lineSource } = built;
+
+  // A deposit or milestone invoice bills a share of the deal as one line
+  const { qbLines, billing } = billingService.applyBilling(
+    deal,
+    built.qbLines,
+    requestedBilling
+  );
+  const quoteAmount = billing.type === "full" ? built.quoteAmount : null;
+
+  // Pick the TaxCode from the customer's billing region
+  const getCompany = primaryCompanyLoader(contactId);
+  const { taxCodeId, taxRule } = await taxRuleService.resolveTaxRule(
+    contact,
+    contactId,
+    { dealId, getCompany }
+  );
+
+  // Multicurrency companies invoice in the deal's currency
+  const { currency, exchangeRate, warnings } =
+    await quickbooksService.resolveInvoiceCurrency(
+      realmId,
+      accessToken,
+      refreshToken,
+      { currency: getDealCurrency(deal, qbLines), exchangeRate: requestedRate }
+    );
+  for (const warning of warnings) {
+    logMessage("WARN", `⚠️ ${warning}`, { dealId });
+  }
+
+  // Take the deal-level lock before any QuickBooks side effects so that
+  // double clicks and client retries cannot create a second invoice
+  const progress = await billingService.getProgressDiscriminator(
+    dealId,
+    billing,
+    idempotencyKey
+  );
+  const fingerprint = idempotencyService.computeInvoiceFingerprint(dealId, {
+    quoteIds,
+    qbLines,
+    amount: deal.amount,
+    ...(schedule ? { cycle: `${schedule.scheduleId}:${schedule.cycle}` } : {}),
+    ...(progress ? { progress } : {}),
+  });
+
+  const lockResult = await idempotencyService.acquireInvoiceLock({
+    userId,
+    dealId,
+    contactId,
+    idempotencyKey,
+    fingerprint,
+    ...(schedule ? { schedule } : { billedAmount: billing.amount }),
+    ...(lockId ? { lockId } : {}),
+  });
+
+  if (!lockResult.acquired) {
+    return {
+      result: toDuplicateResult(lockResult.existing, {
+        idempotencyKey,
+        fingerprint,
+      }),
+    };
+  }
+
+  const lock = lockResult.lock;
+
+  try {
+    // Checked under the lock so concurrent progress invoices see each other;
+    // recurring cycles bill the deal amount once per period instead
+    if (!schedule) {
+      await billingService.assertWithinDealAmount(dealId, billing, {
+        excludeLockId: lock.lockId,
+      });
+    }
+
+    // Find or create customer in QuickBooks
+    logMessage("INFO", "🔄 Invoking getOrCreateCustomer", {
+      userId,
+      contactId,
+      contactEmail: contact?.email,
+    });
+
+    const customerId = await quickbooksService.getOrCreateCustomer(
+      realmId,
+      accessToken,
+      { ...contact, id: contact.hs_object_id },
+      refreshToken,
+      { currency }
+    );
+    logMessage("INFO", "✅ QuickBooks customer resolved", { customerId });
+
+    // A full invoice converts the estimates pushed for its quotes
+    const estimateIds =
+      billing.type === "full"
+        ? await findQuoteEstimateIds(quoteIds, { dealId, customerId })
+        : [];
+
+    const paymentTerms = await paymentTermsService.resolvePaymentTerms({
+      deal,
+      contactId,
+      customerId,
+      dealId,
+      getCompany,
+    });
+
+    const sequence = await allocateInvoiceSequence(lock);
+
+    return {
+      deal,
+      contact,
+      qbLines,
+      quoteIds,
+      quoteAmount,
+      lineSource,
+      quoteSelection,
+      taxCodeId,
+      taxRule,
+      currency,
+      exchangeRate,
+      paymentTerms,
+      billing,
+      estimateIds,
+      sequence,
+      lock,
+      customerId,
+    };
+  } catch (e) {
+    await idempotencyService.releaseInvoiceLock(lock);
+    throw e;
+  }
+}
+
+/**
+ * Compares the tax QBO computed for an invoice with the tax HubSpot
+ * calculated on the quote lines
+ * @param {Array<Object>} qbLines - Normalized lines (taxAmount from HubSpot)
+ * @param {number} [quickbooksTax] - TxnTaxDetail.TotalTax of the QBO invoice
+ * @returns {Object|null} {hubspotTax, quickbooksTax, difference, matches}, or
+ *   null when HubSpot has no tax amounts for the lines
+ */
+function buildTaxCheck(qbLines, quickbooksTax) {
+  const taxed = (qbLines || []).filter((l) => l.taxAmount !== undefined);
+  if (taxed.length === 0 || quickbooksTax == null) {
+    return null;
+  }
+
+  const hubspotTax = roundAmount(
+    taxed.reduce((sum, l) => sum + l.taxAmount, 0)
+  );
+  const difference = roundAmount(Number(quickbooksTax) - hubspotTax);
+
+  return {
+    hubspotTax,
+    quickbooksTax: roundAmount(quickbooksTax),
+    difference,
+    matches: difference === 0,
+  };
+}
+
+function describeTaxMismatch(taxCheck) {
+  return `QuickBooks tax ${taxCheck.quickbooksTax.toFixed(2)} differs from HubSpot tax ${taxCheck.hubspotTax.toFixed(2)} by ${taxCheck.difference.toFixed(2)}`;
+}
+
+/**
+ * Invoice record fields that come from the prepared request
+ * @param {Object} prepared - Result of prepareInvoiceRequest
+ * @returns {Object} Fields stored on the invoice record
+ */
+function toRecordFields(prepared) {
+  const {
+    lock,
+    customerId,
+    quoteIds,
+    lineSource,
+    quoteSelection,
+    taxRule,
+    currency,
+    billing,
+    estimateIds,
+  } = prepared;
+
+  return {
+    userId: lock.userId,
+    dealId: lock.dealId,
+    contactId: lock.contactId,
+    customerId,
+    quoteIds,
+    lineSource,
+    quoteSelection,
+    ...(taxRule ? { taxRule } : {}),
+    ...(currency ? { currency } : {}),
+    ...(billing.type === "progress" ? { billing } : {}),
+    ...(estimateIds.length ? { estimateIds } : {}),
+  };
+}
+
+/**
+ * Stores the created QuickBooks invoice on the lock together with every
+ * record field and the follow-up steps. From here on the invoice is durable:
+ * retries resolve to it and the saveRecord step completes the record.
+ * @param {Object} prepared - Result of prepareInvoiceRequest
+ * @param {Object} invoice - {invoiceNumber, invoiceUrl, docNumber, taxCheck} of the created invoice
+ * @returns {Promise<void>}
+ */
+async function recordCreatedInvoice(
+  prepared,
+  { invoiceNumber, invoiceUrl, docNumber, taxCheck }
+) {
+  const { lock, customerId } = prepared;
+
+  // Transient DB errors must not orphan an invoice that already exists in QBO
+  await withRetry(() =>
+    idempotencyService.recordLockInvoice(lock, {
+      ...toRecordFields(prepared),
+      invoiceNumber,
+      invoiceUrl,
+      ...(docNumber ? { docNumber } : {}),
+      ...(taxCheck ? { taxCheck } : {}),
+      followUps: followUpService.initialFollowUps(),
+      createdAt: new Date(),
+    })
+  );
+  logMessage("INFO", "✅ Recorded QuickBooks invoice on its lock", {
+    userId: lock.userId,
+    dealId: lock.dealId,
+    contactId: lock.contactId,
+    customerId,
+    invoiceNumber,
+  });
+}
+
+/**
+ * Runs everything that follows a successful QBO create: recording the
+ * invoice on its lock, then the follow-up steps (saving the record, HubSpot
+ * deal update, quote PDF attachment). Failures are returned as warnings
+ * instead of failing the request; unfinished follow-ups are retried by the
+ * invoice worker.
+ * @param {Object} prepared - Result of prepareInvoiceRequest
+ * @param {Object} invoice - {invoiceNumber, invoiceUrl, totalTax, docNumber} of the created invoice
+ * @param {Function} [onProgress] - Progress callback
+ * @returns {Promise<{saved: boolean, warnings: Array<string>, taxCheck: Object|null}>}
+ */
+async function finishCreatedInvoice(
+  prepared,
+  { invoiceNumber, invoiceUrl, totalTax, docNumber },
+  onProgress = async () => {}
+) {
+  const { lock } = prepared;
+  const warnings = [];
+
+  const taxCheck = buildTaxCheck(prepared.qbLines, totalTax);
+  if (taxCheck && !taxCheck.matches) {
+    logMessage("WARN", "⚠️ QuickBooks tax differs from HubSpot", {
+      dealId: lock.dealId,
+      invoiceNumber,
+      ...taxCheck,
+    });
+    warnings.push(describeTaxMismatch(taxCheck));
+  }
+
+  // Record the invoice right away so retries resolve to this invoice
+  await onProgress("saving_record");
+  let recorded = true;
+  try {
+    await recordCreatedInvoice(prepared, {
+      invoiceNumber,
+      invoiceUrl,
+      docNumber,
+      taxCheck,
+    });
+  } catch (e) {
+    recorded = false;
+    logMessage(
+      "ERROR",
+      "❌ Invoice created in QuickBooks but not recorded in DB",
+      {
+        dealId: lock.dealId,
+        lockId: lock.lockId,
+        invoiceNumber,
+        message: e?.message,
+      }
+    );
+    warnings.push(
+      `Invoice could not be recorded (${e?.message}); the pending lock ${lock.lockId} is listed under follow-ups and a retry of this request resolves to the same invoice`
+    );
+  }
+
+  const record = {
+    _id: lock._id,
+    invoiceId: invoiceNumber,
+    dealId: lock.dealId,
+    invoiceNumber,
+    invoiceUrl,
+    quoteIds: prepared.quoteIds,
+  };
+
+  let saved = false;
+  if (recorded) {
+    const saveRecord = await followUpService.runFollowUp(record, "saveRecord");
+    saved = saveRecord.status === "done";
+    if (!saved) {
+      warnings.push(
+        `Invoice record could not be saved (${saveRecord.error}); it will be retried automatically`
+      );
+    }
+  }
+
+  if (prepared.estimateIds?.length) {
+    await markEstimatesConverted(prepared.estimateIds, invoiceNumber);
+  }
+
+  // Update HubSpot deal with invoice info
+  await onProgress("updating_hubspot");
+  logMessage("INFO", "🔄 Updating HubSpot deal with invoice data", {
+    dealId: lock.dealId,
+    invoiceNumber,
+  });
+
+  // Only the deal is updated inline: the quote PDF download and upload can
+  // take longer than the API allows, so quoteAttachment stays pending for the
+  // scheduled worker run (or a replay)
+  if (saved) {
+    const followUp = await followUpService.runFollowUp(record, "hubspotDeal");
+    if (followUp.status === "failed") {
+      warnings.push(
+        `HubSpot deal could not be updated (${followUp.error}); it will be retried automatically`
+      );
+    }
+  } else if (!recorded) {
+    // Without a recorded invoice nothing can be retried; the deal is the
+    // only link left
+    try {
+      await hubspotService.updateHubSpotDeal(
+        lock.dealId,
+        invoiceNumber,
+        invoiceUrl
+      );
+    } catch (e) {
+      warnings.push(`HubSpot deal could not be updated (${e?.message})`);
+    }
+  }
+
+  return { saved, warnings, taxCheck };
+}
 
 /** * Handle creating an invoice in QuickBooks
- * @param {Object} params - Parameters containing userId, dealId, and contactId
+ * @param {Object} params - Parameters containing userId, dealId, contactId, an optional idempotencyKey,
+ *   optional sendEmail/sendTo to email the invoice once created, an optional quoteId or
+ *   quoteSelection (which quotes to invoice), an optional exchangeRate (multicurrency),
+ *   an optional percentage or amount with a milestone label (progress billing),
+ *   an optional schedule ({scheduleId, cycle}, set by the recurring invoice scheduler),
+ *   an optional lockId and onProgress(step) callback (used by async invoice jobs)
  * @returns {Promise<Object>} - Returns an object with invoice details or error
  */
-async function handleCreateInvoice({ userId, dealId, contactId }) {
+async function handleCreateInvoice({
+  userId,
+  dealId,
+  contactId,
+  idempotencyKey,
+  sendEmail = false,
+  sendTo,
+  quoteId,
+  quoteSelection,
+  exchangeRate,
+  percentage,
+  amount,
+  milestone,
+  schedule,
+  lockId,
+  onProgress = async () => {},
+}) {
+  let accessToken, refreshToken, realmId;
+  let lock = null;
+  let invoiceCreated = false;
+  logMessage("DEBUG", "🐛 handleCreateInvoice called", {
+    userId,
+    dealId,
+    contactId,
+    idempotencyKey,
+    quoteId,
+    quoteSelection,
+  });
+
+  const selection = resolveQuoteSelection({ quoteId, quoteSelection });
+  if (selection.error) {
+    return selection;
+  }
+
+  const requested = billingService.parseBillingRequest({
+    percentage,
+    amount,
+    milestone,
+  });
+  if (requested.error) {
+    return requested;
+  }
+
+  try {
+    // Use global/shared QuickBooks tokens (single-company mode)
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    ({ accessToken, refreshToken, realmId } = tokenResult);
+
+    await onProgress("preparing");
+    const prepared = await prepareInvoiceRequest(tokenResult, {
+      userId,
+      dealId,
+      contactId,
+      idempotencyKey,
+      quoteSelection: selection,
+      exchangeRate,
+      billing: requested.billing,
+      schedule,
+      lockId,
+    });
+
+    if (prepared.result) {
+      return prepared.result;
+    }
+
+    lock = prepared.lock;
+    const {
+      deal,
+      contact,
+      qbLines,
+      quoteAmount,
+      taxCodeId,
+      currency,
+      customerId,
+    } = prepared;
+
+    // Create invoice in QuickBooks
+    await onProgress("creating_invoice");
+    logMessage("INFO", "🔄 Creating QuickBooks invoice for deal:", dealId);
+    logMessage("INFO", "🔄 Calling createInvoice", { dealId, customerId });
+
+    const created = await quickbooksService.createInvoice(
+      realmId,
+      accessToken,
+      refreshToken,
+      customerId,
+      deal,
+      contact?.email,
+      // requestId lets QBO itself de-duplicate a retried create call
+      {
+        qbLines,
+        quoteAmount,
+        taxCodeId,
+        currency,
+        exchangeRate: prepared.exchangeRate,
+        terms: prepared.paymentTerms.terms,
+        estimateIds: prepared.estimateIds,
+        quoteIds: prepared.quoteIds,
+        sequence: prepared.sequence,
+        requestId: lock.lockId,
+      }
+    );
+    const { invoiceNumber, invoiceUrl, totalTax, docNumber } = created;
+
+    if (!invoiceNumber || !invoiceUrl) {
+      throw new Error("❌ Failed to create invoice in QuickBooks");
+    }
+
+    invoiceCreated = true;
+
+    logMessage(
+      "INFO",
+      "✅ Invoice created successfully:",
+      invoiceNumber,
+      invoiceUrl,
+      "for deal:",
+      dealId,
+      ", customer:",
+      customerId,
+      ", contact:",
+      contactId,
+      ", user:",
+      userId
+    );
+
+    const finished = await finishCreatedInvoice(
+      prepared,
+      { invoiceNumber, invoiceUrl, totalTax, docNumber },
+      onProgress
+    );
+    // Payload warnings (e.g. a missing term or a DocNumber that did not fit)
+    // come first, then those of the steps after the create
+    const createWarnings = [...(created.warnings || []), ...finished.warnings];
+    const taxCheck = finished.taxCheck ? { taxCheck: finished.taxCheck } : {};
+    const billing =
+      prepared.billing.type === "progress" ? { billing: prepared.billing } : {};
+
+    if (sendEmail) {
+      await onProgress("sending_email");
+      // Delivery problems never fail the creation; they are reported back
+      const { delivery, warnings } = await deliverInvoice(
+        { ...lock, invoiceId: invoiceNumber, invoiceNumber },
+        { accessToken, refreshToken, realmId },
+        sendTo
+      ).catch((e) => ({
+        delivery: { status: "Failed", error: e?.message },
+        warnings: [`Invoice could not be sent (${e?.message})`],
+      }));
+
+      return {
+        invoiceNumber,
+        invoiceUrl,
+        ...(docNumber ? { docNumber } : {}),
+        ...taxCheck,
+        ...billing,
+        delivery,
+        warnings: [...createWarnings, ...(warnings || [])],
+      };
+    }
+
+    return {
+      invoiceNumber,
+      invoiceUrl,
+      ...(docNumber ? { docNumber } : {}),
+      ...taxCheck,
+      ...billing,
+      ...(createWarnings.length ? { warnings: createWarnings } : {}),
+    };
+  } catch (error) {
+    logMessage("ERROR", "❌ handleCreateInvoice error", {
+      userId,
+      dealId,
+      contactId,
+      message: error?.message,
+    });
+
+    if (!invoiceCreated) {
+      await idempotencyService.releaseInvoiceLock(lock);
+    }
+
+    if (error.statusCode === 401) {
+      // Refresh global tokens and ask client to retry
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    // Currency mismatch or over-invoicing (409), no qualifying quote (422)
+    if ([409, 422].includes(error.statusCode)) {
+      return { error: error.message, status: error.statusCode };
+    }
+
+    logMessage(
+      "ERROR",
+      "❌ Error in handleCreateInvoice:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+// Deals prepared in parallel during a batch (HubSpot, lock and customer calls)
+const BATCH_CONCURRENCY =
+  Number(process.env.INVOICE_BATCH_CONCURRENCY) > 0
+    ? Number(process.env.INVOICE_BATCH_CONCURRENCY)
+    : 4;
+
+// Keeps a single batch call within the API Lambda timeout
+const BATCH_MAX_ITEMS = 50;
+
+/**
+ * Maps an early prepareInvoiceRequest result (duplicate or in-flight lock)
+ * to a batch result entry
+ */
+function toBatchOutcome(result) {
+  if (result.duplicate) {
+    return {
+      status: "duplicate",
+      invoiceNumber: result.invoiceNumber,
+      invoiceUrl: result.invoiceUrl,
+    };
+  }
+
+  return { status: "failed", error: result.error };
+}
+
+/**
+ * Creates invoices for many deals. Deals are prepared with bounded
+ * concurrency (same steps and idempotency as create-invoice), then posted to
+ * QuickBooks in batch requests. Every deal gets its own result; a failure on
+ * one deal never aborts the others.
+ * @param {Object} params - userId, items ([{dealId, contactId, quoteId?, exchangeRate?}])
+ *   and an optional quoteSelection applied to items without a quoteId
+ * @returns {Promise<Object>} - {summary, results} or error
+ */
+async function handleBatchCreateInvoices({ userId, items, quoteSelection }) {
+  logMessage("DEBUG", "🐛 handleBatchCreateInvoices called", {
+    userId,
+    count: Array.isArray(items) ? items.length : 0,
+  });
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      error: "❌ items must be a non-empty array of { dealId, contactId }",
+      status: 400,
+    };
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return {
+      error: `❌ At most ${BATCH_MAX_ITEMS} deals can be invoiced per batch`,
+      status: 400,
+    };
+  }
+
+  const invalidIndex = items.findIndex((it) => !it?.dealId || !it?.contactId);
+  if (invalidIndex !== -1) {
+    return {
+      error: `❌ items[${invalidIndex}] requires dealId and contactId`,
+      status: 400,
+    };
+  }
+
+  const invalidRateIndex = items.findIndex(
+    (it) => it.exchangeRate != null && !(Number(it.exchangeRate) > 0)
+  );
+  if (invalidRateIndex !== -1) {
+    return {
+      error: `❌ items[${invalidRateIndex}].exchangeRate must be a positive number`,
+      status: 400,
+    };
+  }
+
+  const defaultSelection = resolveQuoteSelection({ quoteSelection });
+  if (defaultSelection.error) {
+    return defaultSelection;
+  }
+
+  try {
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+
+    const seenDeals = new Set();
+    const dealOptions = new Map();
+    const results = items.map(
+      ({ dealId, contactId, quoteId, exchangeRate }) => {
+        const entry = { dealId: String(dealId), contactId: String(contactId) };
+
+        if (seenDeals.has(entry.dealId)) {
+          entry.status = "skipped";
+          entry.reason = "Deal appears more than once in this batch";
+        } else {
+          dealOptions.set(entry.dealId, {
+            quoteSelection: quoteId
+              ? resolveQuoteSelection({ quoteId })
+              : defaultSelection,
+            exchangeRate:
+              exchangeRate != null ? Number(exchangeRate) : undefined,
+          });
+        }
+
+        seenDeals.add(entry.dealId);
+        return entry;
+      }
+    );
+
+    // Prepare every deal up to the QuickBooks post
+    const prepared = await mapWithConcurrency(
+      results,
+      BATCH_CONCURRENCY,
+      async (entry) => {
+        if (entry.status) {
+          return null;
+        }
+
+        let context = null;
+        try {
+          context = await prepareInvoiceRequest(tokenResult, {
+            userId,
+            dealId: entry.dealId,
+            contactId: entry.contactId,
+            ...dealOptions.get(entry.dealId),
+          });
+
+          if (context.result) {
+            Object.assign(entry, toBatchOutcome(context.result));
+            return null;
+          }
+
+          const { invoiceData, warnings } =
+            await quickbooksService.buildInvoiceData(
+              realmId,
+              accessToken,
+              refreshToken,
+              context.customerId,
+              context.deal,
+              context.contact?.email,
+              {
+                qbLines: context.qbLines,
+                quoteAmount: context.quoteAmount,
+                taxCodeId: context.taxCodeId,
+                currency: context.currency,
+                exchangeRate: context.exchangeRate,
+                terms: context.paymentTerms.terms,
+                estimateIds: context.estimateIds,
+                quoteIds: context.quoteIds,
+                sequence: context.sequence,
+              }
+            );
+
+          return { entry, context, invoiceData, warnings };
+        } catch (e) {
+          logMessage("WARN", "⚠️ Failed preparing invoice in batch", {
+            dealId: entry.dealId,
+            message: e?.message,
+          });
+
+          await idempotencyService.releaseInvoiceLock(context?.lock);
+          Object.assign(entry, { status: "failed", error: e?.message });
+          return null;
+        }
+      }
+    );
+
+    const ready = prepared.filter(Boolean);
+    let outcomes = [];
+
+    if (ready.length > 0) {
+      try {
+        outcomes = await quickbooksService.createInvoicesBatch(
+          realmId,
+          accessToken,
+          refreshToken,
+          ready.map((p) => p.invoiceData)
+        );
+      } catch (e) {
+        await Promise.all(
+          ready.map((p) =>
+            idempotencyService.releaseInvoiceLock(p.context.lock)
+          )
+        );
+        throw e;
+      }
+    }
+
+    // Record created invoices; failed posts free their deal lock for a retry
+    await mapWithConcurrency(ready, BATCH_CONCURRENCY, async (p, i) => {
+      const outcome = outcomes[i];
+
+      if (outcome?.unknown) {
+        // The invoice may exist in QBO; a retry must not post it again
+        const { lock } = p.context;
+        await withRetry(() =>
+          idempotencyService.markInvoiceLockUnknown(lock, {
+            ...toRecordFields(p.context),
+            qboError: outcome.fault,
+          })
+        ).catch((e) =>
+          logMessage("ERROR", "❌ Failed to keep invoice lock", {
+            dealId: lock.dealId,
+            lockId: lock.lockId,
+            message: e?.message,
+          })
+        );
+        Object.assign(p.entry, {
+          status: "unknown",
+          error: `QuickBooks did not confirm this invoice (${outcome.fault.message}); check the deal's QuickBooks invoices and resolve lock ${lock.lockId}`,
+          lockId: lock.lockId,
+        });
+        return;
+      }
+
+      if (!outcome || outcome.fault) {
+        await idempotencyService.releaseInvoiceLock(p.context.lock);
+        Object.assign(p.entry, {
+          status: "failed",
+          error: outcome?.fault?.message || "QuickBooks createInvoice failed",
+          ...(outcome?.fault ? { fault: outcome.fault } : {}),
+        });
+        return;
+      }
+
+      const { invoiceNumber, invoiceUrl, totalTax, docNumber } = outcome;
+      Object.assign(p.entry, {
+        status: "created",
+        invoiceNumber,
+        invoiceUrl,
+        ...(docNumber ? { docNumber } : {}),
+      });
+
+      const finished = await finishCreatedInvoice(p.context, {
+        invoiceNumber,
+        invoiceUrl,
+        totalTax,
+        docNumber,
+      });
+      if (finished.taxCheck) {
+        p.entry.taxCheck = finished.taxCheck;
+      }
+
+      const warnings = [...(p.warnings || []), ...finished.warnings];
+      if (warnings.length > 0) {
+        p.entry.warnings = warnings;
+      }
+    });
+
+    if (outcomes.some((o) => o?.fault?.statusCode === 401)) {
+      // Refresh the shared tokens so a retry of the failed deals succeeds
+      await quickbooksService.getGlobalTokens();
+    }
+
+    const summary = results.reduce(
+      (acc, r) => {
+        acc[r.status] = (acc[r.status] || 0) + 1;
+        return acc;
+      },
+      {
+        total: results.length,
+        created: 0,
+        duplicate: 0,
+        skipped: 0,
+        failed: 0,
+        unknown: 0,
+      }
+    );
+
+    logMessage("INFO", "✅ Batch invoice creation finished", summary);
+    return { summary, results };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in handleBatchCreateInvoices:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Runs the create-invoice pipeline up to (but excluding) any QuickBooks
+ * writes and returns the invoice payload that would be posted.
+ * @param {Object} params - Parameters containing userId, dealId, contactId and optional
+ *   quoteId, quoteSelection, exchangeRate and percentage/amount/milestone
+ * @returns {Promise<Object>} - {invoiceData, customer, lineSource, taxRule, paymentTerms, billing, warnings} or error
+ */
+async function previewInvoice({
+  userId,
+  dealId,
+  contactId,
+  quoteId,
+  quoteSelection,
+  exchangeRate,
+  percentage,
+  amount,
+  milestone,
+}) {
+  logMessage("DEBUG", "🐛 previewInvoice called", {
+    userId,
+    dealId,
+    contactId,
+  });
+
+  const selection = resolveQuoteSelection({ quoteId, quoteSelection });
+  if (selection.error) {
+    return selection;
+  }
+
+  const requested = billingService.parseBillingRequest({
+    percentage,
+    amount,
+    milestone,
+  });
+  if (requested.error) {
+    return requested;
+  }
+
+  try {
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+
+    const { deal, contact } = await hubspotService.getHubSpotData(
+      dealId,
+      contactId
+    );
+    deal.id = dealId;
+
+    const built = await buildQbLinesForDeal(dealId, selection);
+    const { quoteIds, lineSource } = built;
+    const warnings = [...built.warnings];
+
+    const { qbLines, billing } = billingService.applyBilling(
+      deal,
+      built.qbLines,
+      requested.billing
+    );
+    const quoteAmount = billing.type === "full" ? built.quoteAmount : null;
+    const billed = await billingService.assertWithinDealAmount(dealId, billing);
+
+    const getCompany = primaryCompanyLoader(contactId);
+    const { taxCodeId, taxRule } = await taxRuleService.resolveTaxRule(
+      contact,
+      contactId,
+      { dealId, getCompany }
+    );
+
+    const currencyResult = await quickbooksService.resolveInvoiceCurrency(
+      realmId,
+      accessToken,
+      refreshToken,
+      { currency: getDealCurrency(deal, qbLines), exchangeRate }
+    );
+    const { currency } = currencyResult;
+    warnings.push(...currencyResult.warnings);
+
+    // Only look the customer up; creating it is a side effect
+    const existingCustomer = await quickbooksService.findCustomer(
+      realmId,
+      accessToken,
+      { ...contact, id: contact.hs_object_id },
+      refreshToken
+    );
+    quickbooksService.assertCustomerCurrency(existingCustomer, currency);
+
+    const customer = existingCustomer
+      ? {
+          id: String(existingCustomer.Id),
+          displayName: existingCustomer.DisplayName,
+          exists: true,
+        }
+      : {
+          id: null,
+          exists: false,
+          wouldCreate: quickbooksService.buildCustomerData(contact, currency),
+        };
+
+    const estimateIds =
+      billing.type === "full"
+        ? await findQuoteEstimateIds(quoteIds, {
+            dealId,
+            customerId: customer.id,
+          })
+        : [];
+
+    const paymentTerms = await paymentTermsService.resolvePaymentTerms({
+      deal,
+      contactId,
+      customerId: customer.id,
+      dealId,
+      getCompany,
+    });
+
+    if (!existingCustomer) {
+      warnings.push(
+        `No QuickBooks customer matches ${contact?.email}; one would be created`
+      );
+    }
+
+    const { invoiceData, warnings: invoiceWarnings } =
+      await quickbooksService.buildInvoiceData(
+        realmId,
+        accessToken,
+        refreshToken,
+        customer.id,
+        deal,
+        contact?.email,
+        {
+          qbLines,
+          quoteAmount,
+          taxCodeId,
+          currency,
+          exchangeRate: currencyResult.exchangeRate,
+          terms: paymentTerms.terms,
+          estimateIds,
+          quoteIds,
+          sequence: await peekInvoiceSequence(dealId),
+        }
+      );
+    warnings.push(...invoiceWarnings);
+
+    logMessage("INFO", "✅ Built invoice preview", {
+      dealId,
+      lines: invoiceData?.Line?.length || 0,
+      warnings: warnings.length,
+    });
+
+    return {
+      invoiceData,
+      customer,
+      quoteIds,
+      lineSource,
+      taxRule,
+      paymentTerms,
+      billing: { ...billing, ...billed },
+      warnings,
+    };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in previewInvoice:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    if ([409, 422].includes(error.statusCode)) {
+      return { error: error.message, status: error.statusCode };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Rebuilds an existing invoice's lines from the deal's current HubSpot quotes
+ * and pushes them to QuickBooks as a sparse update. The before/after line
+ * diff is appended to the invoice record's syncHistory, and a full invoice's
+ * billedAmount follows its new total.
+ * @param {Object} params - Parameters containing invoiceId and optional force flag
+ * @returns {Promise<Object>} - {invoiceNumber, updated, diff, warnings} or error
+ */
+async function resyncInvoice({ invoiceId, force = false }) {
+  const db = getDB();
+  logMessage("DEBUG", "🐛 resyncInvoice called", { invoiceId, force });
+
+  try {
+    const record = await db
+      .collection(QB_INVOICE_COLLECTION)
+      .findOne({ invoiceId: String(invoiceId) });
+
+    if (!record || record.status === "pending") {
+      return { error: "❌ Invoice not found", status: 404 };
+    }
+
+    if (["voided", "deleted"].includes(record.status)) {
+      return {
+        error: `❌ Invoice is ${record.status} and cannot be resynced`,
+        status: 409,
+      };
+    }
+
+    // A deposit or milestone invoice bills a share of the deal, not its quotes
+    if (record.billing?.type === "progress") {
+      return {
+        error:
+          "❌ Progress billing invoices do not follow the deal's quotes and cannot be resynced",
+        status: 409,
+      };
+    }
+
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+    const { dealId } = record;
+
+    const deal = await hubspotService.getDealById(dealId, [
+      "amount",
+      "job_completion_date",
+      "description",
+    ]);
+    deal.id = dealId;
+
+    // Reuse the quote selection the invoice was created with
+    const { qbLines, quoteIds, quoteAmount, lineSource, warnings } =
+      await buildQbLinesForDeal(
+        dealId,
+        record.quoteSelection || resolveQuoteSelection()
+      );
+
+    // The customer may have moved since the invoice was created
+    const contact = record.contactId
+      ? await hubspotService.getContactById(record.contactId, [
+          "email",
+          "state",
+          "country",
+        ])
+      : null;
+    const { taxCodeId, taxRule } = await taxRuleService.resolveTaxRule(
+      contact,
+      record.contactId,
+      { dealId }
+    );
+
+    const result = await quickbooksService.updateInvoiceLines(
+      realmId,
+      accessToken,
+      refreshToken,
+      record.invoiceNumber || record.invoiceId,
+      deal,
+      { qbLines, quoteAmount, taxCodeId, force }
+    );
+    warnings.push(...result.warnings);
+
+    const diff = {
+      before: {
+        totalAmt: result.before?.TotalAmt,
+        syncToken: result.before?.SyncToken,
+        lines: quickbooksService.summarizeInvoiceLines(result.before?.Line),
+      },
+      after: {
+        totalAmt: result.after?.TotalAmt,
+        syncToken: result.after?.SyncToken,
+        lines: quickbooksService.summarizeInvoiceLines(result.after?.Line),
+      },
+    };
+
+    const taxCheck = buildTaxCheck(
+      qbLines,
+      result.after?.TxnTaxDetail?.TotalTax
+    );
+    if (taxCheck && !taxCheck.matches) {
+      warnings.push(describeTaxMismatch(taxCheck));
+    }
+
+    if (result.updated) {
+      // A full invoice bills its new total (before tax) against the deal;
+      // recurring cycles are not counted toward the deal amount
+      const billedAmount = record.schedule
+        ? null
+        : roundAmount(
+            Number(result.after?.TotalAmt || 0) -
+              Number(result.after?.TxnTaxDetail?.TotalTax || 0)
+          );
+      await db.collection(QB_INVOICE_COLLECTION).updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            quoteIds,
+            lineSource,
+            lastSyncedAt: new Date(),
+            taxRule,
+            ...(taxCheck ? { taxCheck } : {}),
+            ...(billedAmount != null ? { billedAmount } : {}),
+          },
+          $push: { syncHistory: { syncedAt: new Date(), ...diff } },
+        }
+      );
+
+      // Same fingerprint inputs as at creation, so a resynced cycle invoice
+      // keeps its cycle and never matches a plain create-invoice request
+      const { schedule } = record;
+      await idempotencyService.updateInvoiceFingerprint(
+        record,
+        idempotencyService.computeInvoiceFingerprint(dealId, {
+          quoteIds,
+          qbLines,
+          amount: deal.amount,
+          ...(schedule
+            ? { cycle: `${schedule.scheduleId}:${schedule.cycle}` }
+            : {}),
+        })
+      );
+    }
+
+    logMessage("INFO", "✅ Invoice resync finished", {
+      invoiceId,
+      dealId,
+      updated: result.updated,
+    });
+
+    return {
+      invoiceNumber: record.invoiceNumber,
+      invoiceUrl: record.invoiceUrl,
+      updated: result.updated,
+      diff,
+      ...(taxCheck ? { taxCheck } : {}),
+      warnings,
+    };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in resyncInvoice:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    if (error.statusCode === 422) {
+      return { error: error.message, status: 422 };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+// Record status and QBO operation for each cancellation mode
+const CANCEL_MODES = {
+  void: { status: "voided", timestampField: "voidedAt" },
+  delete: { status: "deleted", timestampField: "deletedAt" },
+};
+
+/**
+ * Clears or annotates the invoice properties that updateHubSpotDeal set on the
+ * deal, but only while they still point at this invoice.
+ * @param {Object} record - Invoice document
+ * @param {string} mode - "void" or "delete"
+ * @returns {Promise<void>}
+ */
+async function unlinkInvoiceFromDeal(record, mode) {
+  const deal = await hubspotService.getDealById(record.dealId, [
+    "invoice_number",
+  ]);
+
+  if (String(deal?.invoice_number || "") !== String(record.invoiceNumber)) {
+    logMessage("INFO", "ℹ️ Deal points at a different invoice, leaving it", {
+      dealId: record.dealId,
+      dealInvoiceNumber: deal?.invoice_number,
+      invoiceNumber: record.invoiceNumber,
+    });
+    return;
+  }
+
+  const properties =
+    mode === "void"
+      ? { invoice_number: `${record.invoiceNumber} (VOIDED)` }
+      : { invoice_number: "", invoice_url: "" };
+
+  await hubspotService.updateHubSpotDealProperties(record.dealId, properties);
+}
+
+/**
+ * Voids or deletes an invoice created by this service. The Mongo record is
+ * kept with the new status, and the HubSpot deal is annotated (void) or
+ * cleared (delete).
+ * @param {Object} params - Parameters containing invoiceId, mode ("void"|"delete") and optional reason
+ * @returns {Promise<Object>} - {invoiceNumber, status, warnings} or error
+ */
+async function cancelInvoice({ invoiceId, mode, reason }) {
   const db = getDB();
-  let accessToken, refreshToken, realmId;
-  logMessage("DEBUG", "🐛 handleCreateInvoice called", {
-    userId,
-    dealId,
-    contactId,
-  });
+  const config = CANCEL_MODES[mode];
+  logMessage("DEBUG", "🐛 cancelInvoice called", { invoiceId, mode });
+
+  if (!config) {
+    return { error: `❌ Unsupported mode: ${mode}`, status: 400 };
+  }
 
   try {
-    // Use global/shared QuickBooks tokens (single-company mode)
-    const globalTokens = await quickbooksService.getGlobalTokens();
-    if (!globalTokens) {
-      logMessage("WARN", "⚠️ QuickBooks not connected (global token missing)");
-      return { error: "❌ QuickBooks not connected", status: 400 };
+    const record = await db
+      .collection(QB_INVOICE_COLLECTION)
+      .findOne({ invoiceId: String(invoiceId) });
+
+    if (!record || record.status === "pending") {
+      return { error: "❌ Invoice not found", status: 404 };
     }
 
-    accessToken = globalTokens.accessToken;
-    refreshToken = globalTokens.refreshToken;
-    realmId = globalTokens.realmId;
+    if (record.status === config.status) {
+      return {
+        invoiceNumber: record.invoiceNumber,
+        status: record.status,
+        warnings: [`Invoice was already ${record.status}`],
+      };
+    }
 
-    if (!accessToken || !refreshToken || !realmId) {
-      logMessage("WARN", "⚠️ Missing global QuickBooks tokens", {
-        hasAccessToken: !!accessToken,
-        hasRefreshToken: !!refreshToken,
-        hasRealmId: !!realmId,
+    if (record.status === "deleted") {
+      return { error: "❌ Invoice has already been deleted", status: 409 };
+    }
+
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+    const qboInvoiceId = record.invoiceNumber || record.invoiceId;
+
+    if (mode === "void") {
+      await quickbooksService.voidInvoice(
+        realmId,
+        accessToken,
+        refreshToken,
+        qboInvoiceId
+      );
+    } else {
+      await quickbooksService.deleteInvoice(
+        realmId,
+        accessToken,
+        refreshToken,
+        qboInvoiceId
+      );
+    }
+
+    // Keep the record; drop the fingerprint so the deal can be invoiced again
+    await db.collection(QB_INVOICE_COLLECTION).updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: config.status,
+          [config.timestampField]: new Date(),
+          ...(reason ? { statusReason: String(reason) } : {}),
+        },
+        $unset: { lockKey: "" },
+      }
+    );
+
+    const warnings = [];
+    try {
+      await unlinkInvoiceFromDeal(record, mode);
+    } catch (e) {
+      logMessage("WARN", "⚠️ Failed to update HubSpot deal after cancel", {
+        dealId: record.dealId,
+        message: e?.message,
       });
-      return { error: "❌ Missing QuickBooks tokens", status: 400 };
+      warnings.push(`HubSpot deal could not be updated (${e?.message})`);
     }
 
-    // Get deal and contact from HubSpot
+    logMessage("INFO", `✅ Invoice ${config.status}`, {
+      invoiceId,
+      dealId: record.dealId,
+    });
+
+    return {
+      invoiceNumber: record.invoiceNumber,
+      status: config.status,
+      warnings,
+    };
+  } catch (error) {
     logMessage(
-      "INFO",
-      "🔄 Fetching HubSpot data for deal:",
-      dealId,
-      "and contact:",
-      contactId
+      "ERROR",
+      "❌ Error in cancelInvoice:",
+      error && error.stack ? error.stack : JSON.stringify(error)
     );
 
-    logMessage("INFO", "🔄 Fetching deal and contact from HubSpot", {
-      dealId,
-      contactId,
-    });
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
 
-    const { deal, contact } = await hubspotService.getHubSpotData(
-      dealId,
-      contactId
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Sends an invoice through QuickBooks and records the delivery on the Mongo
+ * record and the HubSpot deal. Send failures are recorded, not thrown.
+ * @param {Object} record - Invoice document
+ * @param {Object} tokens - {accessToken, refreshToken, realmId}
+ * @param {string} [sendTo] - Recipient override
+ * @returns {Promise<{delivery: Object, warnings: Array<string>}>}
+ */
+async function deliverInvoice(record, tokens, sendTo) {
+  const db = getDB();
+  const warnings = [];
+  let delivery;
+
+  try {
+    const sent = await quickbooksService.sendInvoice(
+      tokens.realmId,
+      tokens.accessToken,
+      tokens.refreshToken,
+      record.invoiceNumber || record.invoiceId,
+      sendTo
     );
 
-    logMessage("DEBUG", "🐛 Fetched HubSpot data", {
-      deal,
-      contact,
-    });
+    delivery = {
+      status: sent?.EmailStatus || "EmailSent",
+      sentTo: sendTo || sent?.BillEmail?.Address || null,
+      sentAt: sent?.DeliveryInfo?.DeliveryTime
+        ? new Date(sent.DeliveryInfo.DeliveryTime)
+        : new Date(),
+    };
+  } catch (e) {
+    // A 401 must reach the caller so it can refresh tokens and retry
+    if (e?.statusCode === 401) {
+      throw e;
+    }
 
-    // Find or create customer in QuickBooks
-    logMessage("INFO", "🔄 Invoking getOrCreateCustomer", {
-      userId,
-      contactId,
-      contactEmail: contact?.email,
+    logMessage("WARN", "⚠️ Failed to send invoice through QuickBooks", {
+      invoiceId: record.invoiceId,
+      message: e?.message,
     });
 
-    const customerId = await quickbooksService.getOrCreateCustomer(
-      realmId,
-      accessToken,
-      { ...contact, id: contact.hs_object_id },
-      refreshToken
+    delivery = {
+      status: "Failed",
+      sentTo: sendTo || null,
+      error: e?.message,
+      attemptedAt: new Date(),
+    };
+    warnings.push(`Invoice could not be sent (${e?.message})`);
+  }
+
+  await db
+    .collection(QB_INVOICE_COLLECTION)
+    .updateOne(
+      { _id: record._id },
+      { $set: { delivery }, $push: { deliveryHistory: delivery } }
     );
-    logMessage("INFO", "✅ QuickBooks customer resolved", { customerId });
 
-    // Create invoice in QuickBooks
-    logMessage("INFO", "🔄 Creating QuickBooks invoice for deal:", dealId);
-    deal.id = dealId;
+  try {
+    await hubspotService.updateHubSpotDealDelivery(record.dealId, {
+      status: delivery.status,
+      sentAt: delivery.sentAt,
+    });
+  } catch (e) {
+    logMessage("WARN", "⚠️ Failed to record delivery on HubSpot deal", {
+      dealId: record.dealId,
+      message: e?.message,
+    });
+    warnings.push(`HubSpot deal delivery status not updated (${e?.message})`);
+  }
 
-    logMessage("INFO", "🔄 Calling createInvoice", { dealId, customerId });
-    // Ensure job_completion_date from HubSpot deal is available for ServiceDate mapping
-    if (deal && deal.job_completion_date) {
-      logMessage("DEBUG", "📄 job_completion_date found on deal", {
-        dealId,
-        job_completion_date: deal.job_completion_date,
-      });
-    }
+  return { delivery, warnings };
+}
 
-    // Build invoice lines from HubSpot Quotes' line items for this deal
-    let qbLines = [];
-    try {
-      const quotes = await hubspotService.getQuotesByDealId(dealId);
-      const allLineItems = [];
+/**
+ * Emails an invoice created by this service to the customer through QuickBooks
+ * @param {Object} params - Parameters containing invoiceId and optional sendTo override
+ * @returns {Promise<Object>} - {invoiceNumber, delivery, warnings} or error
+ */
+async function sendInvoice({ invoiceId, sendTo }) {
+  const db = getDB();
+  logMessage("DEBUG", "🐛 sendInvoice called", { invoiceId, sendTo });
 
-      for (const quote of quotes || []) {
-        try {
-          const items = await hubspotService.getQuoteLineItems(quote.id);
-          allLineItems.push(
-            ...items.map((it) => ({ ...it, __quoteId: quote.id }))
-          );
-        } catch (e) {
-          logMessage("WARN", "⚠️ Failed fetching line items for quote", {
-            quoteId: quote?.id,
-            message: e?.message,
-          });
-        }
-      }
+  try {
+    const record = await db
+      .collection(QB_INVOICE_COLLECTION)
+      .findOne({ invoiceId: String(invoiceId) });
 
-      qbLines = (allLineItems || []).map((li) => {
-        // Normalize common HubSpot properties
-        const qtyRaw = li.quantity ?? li.hs_quantity ?? 1;
-        const unitPriceRaw = li.price ?? li.hs_price ?? li.unit_price;
-        const amountRaw = li.amount ?? li.hs_amount;
-        const name = li.name ?? li.hs_name;
-        const description = li.description ?? li.hs_description;
-
-        // Convert numeric fields safely
-        const qty = Number.isFinite(Number(qtyRaw)) ? Number(qtyRaw) : 1;
-        const unitPrice = Number.isFinite(Number(unitPriceRaw))
-          ? Number(unitPriceRaw)
-          : undefined;
-        const amount = Number.isFinite(Number(amountRaw))
-          ? Number(amountRaw)
-          : undefined;
-
-        return {
-          name,
-          description,
-          qty,
-          unitPrice,
-          amount,
-        };
-      });
+    if (!record || record.status === "pending") {
+      return { error: "❌ Invoice not found", status: 404 };
+    }
 
-      // Filter out lines with no usable amount or price; we will trust qty*unitPrice or explicit amount
-      qbLines = qbLines.filter((l) => {
-        const hasPrice = Number.isFinite(Number(l.unitPrice));
-        const hasAmount = Number.isFinite(Number(l.amount));
-        return hasPrice || hasAmount;
-      });
-    } catch (e) {
-      logMessage("WARN", "⚠️ Failed building qbLines from HubSpot quotes", e?.message || e);
+    if (["voided", "deleted"].includes(record.status)) {
+      return {
+        error: `❌ Invoice is ${record.status} and cannot be sent`,
+        status: 409,
+      };
     }
 
-    const { invoiceNumber, invoiceUrl } = await quickbooksService.createInvoice(
-      realmId,
-      accessToken,
-      refreshToken,
-      customerId,
-      deal,
-      contact?.email,
-      { qbLines }
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { delivery, warnings } = await deliverInvoice(
+      record,
+      tokenResult,
+      sendTo
     );
 
-    if (!invoiceNumber || !invoiceUrl) {
-      throw new Error("❌ Failed to create invoice in QuickBooks");
+    if (delivery.status === "Failed") {
+      return { error: `❌ ${delivery.error}`, status: 502 };
     }
 
+    return { invoiceNumber: record.invoiceNumber, delivery, warnings };
+  } catch (error) {
     logMessage(
-      "INFO",
-      "✅ Invoice created successfully:",
-      invoiceNumber,
-      invoiceUrl,
-      "for deal:",
-      dealId,
-      ", customer:",
-      customerId,
-      ", contact:",
-      contactId,
-      ", user:",
-      userId
+      "ERROR",
+      "❌ Error in sendInvoice:",
+      error && error.stack ? error.stack : JSON.stringify(error)
     );
 
-    // Update HubSpot deal with invoice info
-    logMessage(
-      "INFO",
-      "🔄 Updating HubSpot deal with invoice info for deal:",
-      dealId
-    );
-    logMessage("INFO", "🔄 Updating HubSpot deal with invoice data", {
-      dealId,
-      invoiceNumber,
-    });
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
 
-    await hubspotService.updateHubSpotDeal(dealId, invoiceNumber, invoiceUrl);
-    logMessage("DEBUG", "✅ HubSpot deal updated", { dealId });
+    return { error: error.message, status: 500 };
+  }
+}
 
-    // Save invoice to MongoDB
-    const invoiceDoc = {
-      userId,
-      dealId,
-      contactId,
-      customerId,
-      invoiceNumber,
-      invoiceId: invoiceNumber, // for unique index
-      invoiceUrl,
-      createdAt: new Date(),
-    };
+/**
+ * Fetches the QBO PDF for an invoice recorded in quickbooks_invoices
+ * @param {Object} params - Parameters containing invoiceId
+ * @returns {Promise<Object>} - {pdf, filename} or error
+ */
+async function getInvoicePdf({ invoiceId }) {
+  const db = getDB();
+  logMessage("DEBUG", "🐛 getInvoicePdf called", { invoiceId });
 
-    await db.collection(QB_INVOICE_COLLECTION).insertOne(invoiceDoc);
-    logMessage("INFO", "✅ Saved invoice document in DB", {
-      userId,
-      dealId,
-      contactId,
-      customerId,
-      invoiceNumber,
+  try {
+    const record = await db
+      .collection(QB_INVOICE_COLLECTION)
+      .findOne({ invoiceId: String(invoiceId) });
+
+    // Only invoices created through this service may be downloaded
+    if (!record || ["pending", "deleted"].includes(record.status)) {
+      return { error: "❌ Invoice not found", status: 404 };
+    }
+
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+    const { pdf, docNumber } = await quickbooksService.getInvoicePdf(
+      realmId,
+      accessToken,
+      refreshToken,
+      record.invoiceNumber || record.invoiceId
+    );
+
+    const safeDocNumber = String(docNumber).replace(/[^\w.-]+/g, "_");
+
+    logMessage("INFO", "✅ Fetched invoice PDF", {
+      invoiceId,
+      bytes: pdf.length,
     });
 
-    return { invoiceNumber, invoiceUrl };
+    return { pdf, filename: `invoice-${safeDocNumber}.pdf` };
   } catch (error) {
-    logMessage("ERROR", "❌ handleCreateInvoice error", {
-      userId,
-      dealId,
-      contactId,
-      message: error?.message,
-    });
+    logMessage(
+      "ERROR",
+      "❌ Error in getInvoicePdf:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
 
     if (error.statusCode === 401) {
-      // Refresh global tokens and ask client to retry
       await quickbooksService.getGlobalTokens();
       return { error: "❌ Token refreshed, please retry", status: 503 };
     }
 
-    logMessage(
-      "ERROR",
-      "❌ Error in handleCreateInvoice:",
-      error && error.stack ? error.stack : JSON.stringify(error)
-    );
-    
     return { error: error.message, status: 500 };
   }
 }
 
+/**
+ * Loads how much of a deal has been invoiced. Failures only drop the
+ * summary from the listing.
+ * @param {string} dealId - HubSpot deal ID
+ * @returns {Promise<Object|null>} {dealAmount, billedAmount, remainingAmount} or null
+ */
+async function loadDealBilling(dealId) {
+  try {
+    const deal = await hubspotService.getDealById(dealId, ["amount"]);
+    return await billingService.getDealBillingSummary(dealId, deal?.amount);
+  } catch (e) {
+    logMessage("WARN", "⚠️ Failed loading deal billing summary", {
+      dealId,
+      message: e?.message,
+    });
+    return null;
+  }
+}
+
 /** * Fetch invoices for a specific customer
  * @param {Object} params - Parameters containing userId and customerId
- * @returns {Promise<Object>} - Returns an object with invoices or error
+ * @returns {Promise<Object>} - Returns an object with invoices and the deal's
+ *   billing summary (remaining amount to bill), or error
  */
 async function getInvoicesForDeal(dealId, userId) {
   const db = getDB();
@@ -248,7 +2292,7 @@ async function getInvoicesForDeal(dealId, userId) {
     // Get invoices from MongoDB
     const dbInvoices = await db
       .collection(QB_INVOICE_COLLECTION)
-      .find({ dealId })
+      .find({ dealId, status: { $nin: ["pending", "deleted"] } })
       .toArray();
 
     logMessage("INFO", "📄 Loaded invoices from DB for deal", {
@@ -258,7 +2302,11 @@ async function getInvoicesForDeal(dealId, userId) {
 
     if (!dbInvoices || dbInvoices.length === 0) {
       logMessage("INFO", "ℹ️ No invoices found for deal:", dealId);
-      return { invoices: [], quickbooksInvoices: [] };
+      return {
+        invoices: [],
+        quickbooksInvoices: [],
+        billing: await loadDealBilling(dealId),
+      };
     }
 
     logMessage(
@@ -315,7 +2363,7 @@ async function getInvoicesForDeal(dealId, userId) {
       typeof quickbooksInvoiceValidity === "object" &&
       Object.keys(quickbooksInvoiceValidity).length > 0
     ) {
-      // Remove invoices from DB that are deleted in QuickBooks
+      // Mark invoices deleted in QuickBooks; records are kept for history
       const deletedInvoiceIds = dbInvoices
         .filter(
           (inv) =>
@@ -324,13 +2372,21 @@ async function getInvoicesForDeal(dealId, userId) {
         .map((inv) => inv._id);
 
       if (deletedInvoiceIds.length > 0) {
-        await db
-          .collection(QB_INVOICE_COLLECTION)
-          .deleteMany({ _id: { $in: deletedInvoiceIds } });
+        await db.collection(QB_INVOICE_COLLECTION).updateMany(
+          { _id: { $in: deletedInvoiceIds } },
+          {
+            $set: {
+              status: "deleted",
+              deletedAt: new Date(),
+              statusReason: "Not found in QuickBooks",
+            },
+            $unset: { lockKey: "" },
+          }
+        );
 
         logMessage(
           "INFO",
-          `✅ Removed ${deletedInvoiceIds.length} invoices from DB that were deleted in QuickBooks.`
+          `✅ Marked ${deletedInvoiceIds.length} invoices as deleted in DB that were deleted in QuickBooks.`
         );
       }
 
@@ -349,7 +2405,10 @@ async function getInvoicesForDeal(dealId, userId) {
       dealId,
       count: (invoicesWithValidity || []).length,
     });
-    return { invoices: invoicesWithValidity };
+    return {
+      invoices: invoicesWithValidity,
+      billing: await loadDealBilling(dealId),
+    };
   } catch (error) {
     logMessage(
       "ERROR",
@@ -360,7 +2419,85 @@ async function getInvoicesForDeal(dealId, userId) {
   }
 }
 
+/**
+ * Looks up a deal's invoices in QuickBooks by the deal reference stamped on
+ * them (PrivateNote, custom field or DocNumber), so they can be found even
+ * without a Mongo record. Each invoice says whether a record exists.
+ * @param {Object} params - dealId and optional customerId to narrow the scan
+ * @returns {Promise<Object>} - {dealId, invoices, scanned, truncated} or error
+ */
+async function findQuickBooksInvoicesForDeal({ dealId, customerId }) {
+  logMessage("DEBUG", "🐛 findQuickBooksInvoicesForDeal called", {
+    dealId,
+    customerId,
+  });
+
+  try {
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+    const found = await quickbooksService.findInvoicesForDeal(
+      realmId,
+      accessToken,
+      refreshToken,
+      dealId,
+      { customerId }
+    );
+
+    const ids = found.invoices.map(({ invoice }) => String(invoice.Id));
+    const records = await getDB()
+      .collection(QB_INVOICE_COLLECTION)
+      .find({ invoiceId: { $in: ids } })
+      .project({ invoiceId: 1 })
+      .toArray();
+    const recorded = new Set(records.map((r) => String(r.invoiceId)));
+
+    return {
+      dealId,
+      invoices: found.invoices.map(({ invoice, invoiceUrl, matchedBy }) => ({
+        invoiceId: String(invoice.Id),
+        docNumber: invoice.DocNumber,
+        txnDate: invoice.TxnDate,
+        customerId: invoice.CustomerRef?.value,
+        totalAmount: invoice.TotalAmt,
+        balance: invoice.Balance,
+        invoiceUrl,
+        matchedBy,
+        recorded: recorded.has(String(invoice.Id)),
+      })),
+      scanned: found.scanned,
+      truncated: found.truncated,
+    };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in findQuickBooksInvoicesForDeal:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
 module.exports = {
   handleCreateInvoice,
+  handleBatchCreateInvoices,
+  previewInvoice,
+  resyncInvoice,
+  cancelInvoice,
+  sendInvoice,
+  getInvoicePdf,
   getInvoicesForDeal,
+  findQuickBooksInvoicesForDeal,
+  buildQbLinesForQuote,
+  getDealCurrency,
+  ACCEPTED_QUOTE_STATUSES,
 };
@@ -0,0 +1,183 @@
+const { getDB } = require("../config/db");
+const quickbooksService = require("./quickbooksService");
+
+const { logMessage } = require("../common/logger");
+const { QB_ITEM_MAPPING_COLLECTION } = require("../models/constants");
+
+function toMappingView(doc) {
+  return {
+    hubspotProductId: doc.hubspotProductId,
+    qboItemId: doc.qboItemId,
+    qboItemName: doc.qboItemName,
+    source: doc.source,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/**
+ * Loads the stored QBO items for a set of HubSpot product IDs
+ * @param {Array<string>} productIds - HubSpot product IDs (hs_product_id)
+ * @returns {Promise<Map<string, Object>>} Mappings keyed by HubSpot product ID
+ */
+async function getMappingsForProducts(productIds) {
+  const ids = [...new Set((productIds || []).filter(Boolean).map(String))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const docs = await getDB()
+    .collection(QB_ITEM_MAPPING_COLLECTION)
+    .find({ hubspotProductId: { $in: ids } })
+    .toArray();
+
+  return new Map(docs.map((doc) => [doc.hubspotProductId, doc]));
+}
+
+/**
+ * Stores the QBO item of a HubSpot product, replacing any previous mapping
+ * @param {string} hubspotProductId - HubSpot product ID
+ * @param {Object} item - QBO Item (Id and Name are stored)
+ * @param {string} source - "manual" (mapping API) or "sync" (product sync)
+ * @returns {Promise<Object>} The mapping document
+ */
+async function saveItemMapping(hubspotProductId, item, source) {
+  const now = new Date();
+  return getDB()
+    .collection(QB_ITEM_MAPPING_COLLECTION)
+    .findOneAndUpdate(
+      { hubspotProductId: String(hubspotProductId) },
+      {
+        $set: {
+          qboItemId: String(item.Id),
+          qboItemName: item.Name,
+          source,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+}
+
+/**
+ * Lists all HubSpot product to QBO item mappings
+ * @returns {Promise<Object>} - {mappings} or error
+ */
+async function listItemMappings() {
+  try {
+    const docs = await getDB()
+      .collection(QB_ITEM_MAPPING_COLLECTION)
+      .find({})
+      .sort({ hubspotProductId: 1 })
+      .toArray();
+
+    return { mappings: docs.map(toMappingView) };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in listItemMappings:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Maps a HubSpot product to a QBO item after checking the item exists
+ * @param {Object} params - hubspotProductId and qboItemId
+ * @returns {Promise<Object>} - The stored mapping or error
+ */
+async function upsertItemMapping({ hubspotProductId, qboItemId }) {
+  logMessage("DEBUG", "🐛 upsertItemMapping called", {
+    hubspotProductId,
+    qboItemId,
+  });
+
+  if (!hubspotProductId || !qboItemId) {
+    return {
+      error: "❌ HubSpot product ID and QuickBooks item ID are required",
+      status: 400,
+    };
+  }
+
+  try {
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    let item;
+    try {
+      item = await quickbooksService.getItemById(
+        tokens.realmId,
+        tokens.accessToken,
+        tokens.refreshToken,
+        qboItemId
+      );
+    } catch (e) {
+      if (e?.statusCode === 401) {
+        await quickbooksService.getGlobalTokens();
+        return { error: "❌ Token refreshed, please retry", status: 503 };
+      }
+
+      logMessage("WARN", "⚠️ QuickBooks item lookup failed", {
+        qboItemId,
+        message: e?.message,
+      });
+      return {
+        error: `❌ QuickBooks item ${qboItemId} not found`,
+        status: 404,
+      };
+    }
+
+    const doc = await saveItemMapping(hubspotProductId, item, "manual");
+
+    logMessage("INFO", "✅ Item mapping saved", {
+      hubspotProductId,
+      qboItemId: item.Id,
+    });
+    return toMappingView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in upsertItemMapping:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Removes the mapping of a HubSpot product
+ * @param {string} hubspotProductId - HubSpot product ID
+ * @returns {Promise<Object>} - {hubspotProductId, deleted} or error
+ */
+async function deleteItemMapping(hubspotProductId) {
+  try {
+    const result = await getDB()
+      .collection(QB_ITEM_MAPPING_COLLECTION)
+      .deleteOne({ hubspotProductId: String(hubspotProductId) });
+
+    if (result.deletedCount === 0) {
+      return { error: "❌ Item mapping not found", status: 404 };
+    }
+
+    return { hubspotProductId: String(hubspotProductId), deleted: true };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in deleteItemMapping:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  getMappingsForProducts,
+  saveItemMapping,
+  listItemMappings,
+  upsertItemMapping,
+  deleteItemMapping,
+};
@@ -0,0 +1,323 @@
+const { getDB } = require("../config/db");
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+
+const { logMessage } = require("../common/logger");
+const { roundAmount } = require("../common/helpers");
+const { QB_INVOICE_COLLECTION } = require("../models/constants");
+
+// Invoice records that are no longer tracked against QuickBooks
+const INACTIVE_STATUSES = ["pending", "voided", "deleted"];
+
+// Optional deal stage to move a deal to once all its invoices are paid
+const PAID_DEAL_STAGE = process.env.HUBSPOT_PAID_DEAL_STAGE || "";
+
+function todayYYYYMMDD() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Derives the payment status of a QBO invoice
+ * @param {Object} params - Invoice amounts
+ * @param {number} params.totalAmount - Invoice TotalAmt
+ * @param {number} params.balance - Invoice Balance
+ * @param {string} [params.dueDate] - Invoice DueDate (YYYY-MM-DD)
+ * @returns {string} paid, overdue, partially_paid or open
+ */
+function computePaymentStatus({ totalAmount, balance, dueDate }) {
+  if (balance <= 0) {
+    return "paid";
+  }
+
+  if (dueDate && dueDate < todayYYYYMMDD()) {
+    return "overdue";
+  }
+
+  return balance < totalAmount ? "partially_paid" : "open";
+}
+
+/**
+ * Builds the payment summary stored on an invoice record
+ * @param {Object} invoice - QBO Invoice
+ * @param {Map<string, Object>} paymentsById - QBO Payments keyed by ID
+ * @returns {Object} Payment summary
+ */
+function buildPaymentSummary(invoice, paymentsById) {
+  const totalAmount = roundAmount(invoice.TotalAmt);
+  const balance = roundAmount(invoice.Balance);
+  const dueDate = invoice.DueDate || null;
+
+  const paymentIds = (invoice.LinkedTxn || [])
+    .filter((txn) => txn.TxnType === "Payment")
+    .map((txn) => String(txn.TxnId));
+
+  const paymentDates = paymentIds
+    .map((id) => paymentsById.get(id)?.TxnDate)
+    .filter(Boolean)
+    .sort();
+
+  const lastPaymentDate = paymentDates[paymentDates.length - 1] || null;
+  const status = computePaymentStatus({ totalAmount, balance, dueDate });
+
+  return {
+    status,
+    totalAmount,
+    balance,
+    amountPaid: roundAmount(totalAmount - balance),
+    dueDate,
+    paymentIds,
+    lastPaymentDate,
+    paidDate: status === "paid" ? lastPaymentDate : null,
+  };
+}
+
+function hasPaymentChanged(previous, next) {
+  if (!previous) {
+    return true;
+  }
+
+  return ["status", "totalAmount", "balance", "paidDate"].some(
+    (key) => (previous[key] ?? null) !== (next[key] ?? null)
+  );
+}
+
+/**
+ * Combines the payment summaries of all active invoices on a deal into the
+ * deal-level values written to HubSpot
+ * @param {Array<Object>} records - Invoice records with a payment summary
+ * @returns {Object} {status, amountPaid, balance, paidDate}
+ */
+function aggregateDealPayments(records) {
+  const payments = records.map((r) => r.payment).filter(Boolean);
+
+  const amountPaid = roundAmount(
+    payments.reduce((sum, p) => sum + (p.amountPaid || 0), 0)
+  );
+  const balance = roundAmount(
+    payments.reduce((sum, p) => sum + (p.balance || 0), 0)
+  );
+
+  let status = "open";
+  if (payments.length > 0 && payments.every((p) => p.status === "paid")) {
+    status = "paid";
+  } else if (payments.some((p) => p.status === "overdue")) {
+    status = "overdue";
+  } else if (amountPaid > 0) {
+    status = "partially_paid";
+  }
+
+  const paidDate =
+    status === "paid"
+      ? payments
+          .map((p) => p.paidDate)
+          .filter(Boolean)
+          .sort()
+          .pop() || null
+      : null;
+
+  return { status, amountPaid, balance, paidDate };
+}
+
+/**
+ * Writes the aggregated payment values of a deal to HubSpot, and moves the
+ * deal to HUBSPOT_PAID_DEAL_STAGE once it is fully paid (when configured)
+ * @param {string} dealId - HubSpot deal ID
+ * @returns {Promise<Object>} The aggregated values written
+ */
+async function pushDealPayments(dealId) {
+  const db = getDB();
+  const records = await db
+    .collection(QB_INVOICE_COLLECTION)
+    .find({ dealId, status: { $nin: INACTIVE_STATUSES } })
+    .toArray();
+
+  const totals = aggregateDealPayments(records);
+
+  await hubspotService.updateHubSpotDealProperties(dealId, {
+    invoice_payment_status: totals.status,
+    invoice_amount_paid: String(totals.amountPaid),
+    invoice_balance_due: String(totals.balance),
+    invoice_paid_date: totals.paidDate || "",
+    ...(PAID_DEAL_STAGE && totals.status === "paid"
+      ? { dealstage: PAID_DEAL_STAGE }
+      : {}),
+  });
+
+  return totals;
+}
+
+/**
+ * Reads Balance, TotalAmt and linked Payments from QuickBooks for tracked
+ * invoices, stores the payment status on each record and updates the deals
+ * whose payment state changed.
+ * @param {Object} [params] - Optional invoiceId or dealId to limit the sync;
+ *   force to push deal properties even when nothing changed
+ * @returns {Promise<Object>} - {checked, updated, deals, results} or error
+ */
+async function syncInvoicePayments({ invoiceId, dealId, force = false } = {}) {
+  const db = getDB();
+  logMessage("DEBUG", "🐛 syncInvoicePayments called", {
+    invoiceId,
+    dealId,
+    force,
+  });
+
+  try {
+    const filter = { status: { $nin: INACTIVE_STATUSES } };
+    if (invoiceId) {
+      filter.invoiceId = String(invoiceId);
+    } else if (dealId) {
+      filter.dealId = String(dealId);
+    } else if (!force) {
+      // Paid invoices don't change anymore; skip them on scheduled runs
+      // unless their deal still waits for the change to be pushed
+      filter.$or = [
+        { "payment.status": { $ne: "paid" } },
+        { "payment.dealPending": true },
+      ];
+    }
+
+    const records = await db
+      .collection(QB_INVOICE_COLLECTION)
+      .find(filter)
+      .toArray();
+
+    if (records.length === 0) {
+      logMessage("INFO", "ℹ️ No invoices to sync payments for", filter);
+      return { checked: 0, updated: 0, deals: [], results: [] };
+    }
+
+    const tokenResult = await quickbooksService.resolveGlobalTokens();
+    if (tokenResult.error) {
+      return tokenResult;
+    }
+
+    const { accessToken, refreshToken, realmId } = tokenResult;
+    const qboInvoices = await quickbooksService.findInvoicesByIds(
+      realmId,
+      accessToken,
+      refreshToken,
+      records.map((r) => r.invoiceNumber || r.invoiceId)
+    );
+    const invoicesById = new Map(qboInvoices.map((inv) => [inv.Id, inv]));
+
+    const paymentIds = qboInvoices.flatMap((inv) =>
+      (inv.LinkedTxn || [])
+        .filter((txn) => txn.TxnType === "Payment")
+        .map((txn) => txn.TxnId)
+    );
+    const payments = await quickbooksService.findPaymentsByIds(
+      realmId,
+      accessToken,
+      refreshToken,
+      paymentIds
+    );
+    const paymentsById = new Map(payments.map((p) => [String(p.Id), p]));
+
+    const results = [];
+    const changedDeals = new Set();
+
+    for (const record of records) {
+      const qboId = String(record.invoiceNumber || record.invoiceId);
+      const invoice = invoicesById.get(qboId);
+
+      if (!invoice) {
+        // Removal is handled by getInvoicesForDeal; just report it here
+        results.push({ invoiceId: qboId, dealId: record.dealId, found: false });
+        continue;
+      }
+
+      const payment = buildPaymentSummary(invoice, paymentsById);
+      const changed = hasPaymentChanged(record.payment, payment);
+      // dealPending stays set until the deal push succeeds, so a failed
+      // push is repeated on the next run even though nothing changed
+      const dealPending = changed || record.payment?.dealPending === true;
+
+      await db.collection(QB_INVOICE_COLLECTION).updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            payment: {
+              ...payment,
+              syncedAt: new Date(),
+              ...(dealPending ? { dealPending: true } : {}),
+            },
+          },
+        }
+      );
+
+      if (changed) {
+        logMessage("INFO", "💰 Invoice payment status changed", {
+          invoiceId: qboId,
+          from: record.payment?.status,
+          to: payment.status,
+        });
+      }
+
+      if ((dealPending || force) && record.dealId) {
+        changedDeals.add(record.dealId);
+      }
+
+      results.push({
+        invoiceId: qboId,
+        dealId: record.dealId,
+        found: true,
+        changed,
+        status: payment.status,
+        amountPaid: payment.amountPaid,
+        balance: payment.balance,
+      });
+    }
+
+    const deals = [];
+    for (const changedDealId of changedDeals) {
+      try {
+        const totals = await pushDealPayments(changedDealId);
+        await db
+          .collection(QB_INVOICE_COLLECTION)
+          .updateMany(
+            { dealId: changedDealId, "payment.dealPending": true },
+            { $unset: { "payment.dealPending": "" } }
+          );
+        deals.push({ dealId: changedDealId, updated: true, ...totals });
+      } catch (e) {
+        logMessage("WARN", "⚠️ Failed to update HubSpot deal payments", {
+          dealId: changedDealId,
+          message: e?.message,
+        });
+        deals.push({
+          dealId: changedDealId,
+          updated: false,
+          error: e?.message,
+        });
+      }
+    }
+
+    const updated = results.filter((r) => r.changed).length;
+    logMessage("INFO", "✅ Invoice payment sync finished", {
+      checked: records.length,
+      updated,
+      deals: deals.length,
+    });
+
+    return { checked: records.length, updated, deals, results };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in syncInvoicePayments:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  syncInvoicePayments,
+  computePaymentStatus,
+};
@@ -0,0 +1,151 @@
+const { getDB } = require("../config/db");
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+
+const { logMessage } = require("../common/logger");
+const { QB_HUBSPOT_CUSTOMER_COLLECTION } = require("../models/constants");
+
+function toTermsName(value) {
+  const str = value == null ? "" : String(value).trim();
+  return str.length > 0 ? str : null;
+}
+
+/**
+ * Resolves the payment terms of an invoice, in order: the deal's terms
+ * property, the primary company's, the QBO customer's stored default. Null
+ * terms leave the choice to QUICKBOOKS_DEFAULT_TERMS when the invoice is
+ * built. Lookup failures never block the invoice.
+ * @param {Object} params - deal (HubSpot properties), contactId, customerId (QBO),
+ *   dealId and an optional getCompany() loader for a company already fetched
+ * @returns {Promise<{terms: string|null, source: string}>} source is
+ *   "deal", "company", "customer" or "default"
+ */
+async function resolvePaymentTerms({
+  deal,
+  contactId,
+  customerId,
+  dealId,
+  getCompany,
+}) {
+  const property = hubspotService.PAYMENT_TERMS_PROPERTY;
+  let resolved = { terms: toTermsName(deal?.[property]), source: "deal" };
+
+  if (!resolved.terms && contactId) {
+    try {
+      const company = getCompany
+        ? await getCompany()
+        : await hubspotService.getPrimaryCompanyForContact(contactId, [
+            "name",
+            property,
+          ]);
+      resolved = { terms: toTermsName(company?.[property]), source: "company" };
+    } catch (e) {
+      logMessage("WARN", "⚠️ Failed loading company payment terms", {
+        dealId,
+        message: e?.message,
+      });
+    }
+  }
+
+  if (!resolved.terms && customerId) {
+    try {
+      const customer = await getDB()
+        .collection(QB_HUBSPOT_CUSTOMER_COLLECTION)
+        .findOne({ contactId: String(customerId) });
+      resolved = {
+        terms: toTermsName(customer?.defaultTerms),
+        source: "customer",
+      };
+    } catch (e) {
+      logMessage("WARN", "⚠️ Failed loading customer payment terms", {
+        dealId,
+        customerId,
+        message: e?.message,
+      });
+    }
+  }
+
+  if (!resolved.terms) {
+    resolved = { terms: null, source: "default" };
+  }
+
+  logMessage("INFO", "🗓️ Payment terms resolved", { dealId, ...resolved });
+  return resolved;
+}
+
+/**
+ * Stores the default payment terms of a QBO customer, used when neither the
+ * deal nor its company has terms. The Term must exist in QuickBooks.
+ * @param {string} customerId - QuickBooks customer ID
+ * @param {string|null} terms - Term name or Id; empty clears the default
+ * @returns {Promise<Object>} - {customerId, defaultTerms} or error
+ */
+async function setCustomerDefaultTerms(customerId, terms) {
+  logMessage("DEBUG", "🐛 setCustomerDefaultTerms called", {
+    customerId,
+    terms,
+  });
+
+  const name = toTermsName(terms);
+
+  try {
+    const collection = getDB().collection(QB_HUBSPOT_CUSTOMER_COLLECTION);
+    if (!name) {
+      await collection.updateOne(
+        { contactId: String(customerId) },
+        { $unset: { defaultTerms: "" } }
+      );
+      return { customerId: String(customerId), defaultTerms: null };
+    }
+
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    let term;
+    try {
+      term = await quickbooksService.findTerm(
+        tokens.realmId,
+        tokens.accessToken,
+        tokens.refreshToken,
+        name
+      );
+    } catch (e) {
+      if (e?.statusCode === 401) {
+        await quickbooksService.getGlobalTokens();
+        return { error: "❌ Token refreshed, please retry", status: 503 };
+      }
+      throw e;
+    }
+
+    if (!term) {
+      return { error: `❌ QuickBooks Term "${name}" not found`, status: 404 };
+    }
+
+    // The customer document is keyed by the QBO customer ID (see getOrCreateCustomer)
+    await collection.updateOne(
+      { contactId: String(customerId) },
+      { $set: { defaultTerms: term.Name } },
+      { upsert: true }
+    );
+
+    logMessage("INFO", "✅ Customer default terms saved", {
+      customerId,
+      terms: term.Name,
+    });
+    return { customerId: String(customerId), defaultTerms: term.Name };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in setCustomerDefaultTerms:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  resolvePaymentTerms,
+  setCustomerDefaultTerms,
+};
@@ -0,0 +1,307 @@
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+const itemMappingService = require("./itemMappingService");
+
+const { logMessage } = require("../common/logger");
+
+const PRODUCT_PAGE_SIZE = 100;
+
+const SYNC_ACTIONS = ["create", "update", "unchanged", "failed"];
+
+/**
+ * Maps a HubSpot product to the QBO Item fields kept in sync. QBO rejects
+ * ":" in names (sub-item separator) and limits Name/Sku to 100 characters.
+ * @param {Object} product - HubSpot product properties
+ * @returns {Object} Item fields; unset HubSpot values are left undefined
+ */
+function toItemFields(product) {
+  const price = product.price;
+  return {
+    Name: String(product.name || "")
+      .replace(/:/g, "-")
+      .trim()
+      .slice(0, 100),
+    Sku: product.hs_sku ? String(product.hs_sku).slice(0, 100) : undefined,
+    Description: product.description
+      ? String(product.description).slice(0, 4000)
+      : undefined,
+    UnitPrice:
+      price != null && price !== "" && Number.isFinite(Number(price))
+        ? Number(price)
+        : undefined,
+  };
+}
+
+// HubSpot "service" products become Service items; everything else is
+// NonInventory since quantities are not tracked in QuickBooks
+function toItemType(product) {
+  return product.hs_product_type === "service" ? "Service" : "NonInventory";
+}
+
+/**
+ * Compares an existing QBO Item with the fields built from HubSpot
+ * @param {Object} item - QBO Item
+ * @param {Object} fields - Fields from toItemFields
+ * @returns {Object} Changed fields as {field: {from, to}}
+ */
+function diffItem(item, fields) {
+  const changes = {};
+  for (const [field, to] of Object.entries(fields)) {
+    if (to === undefined) {
+      continue;
+    }
+
+    const from = item[field];
+    const same =
+      field === "UnitPrice"
+        ? Number(from ?? 0) === to
+        : String(from ?? "") === String(to);
+    if (!same) {
+      changes[field] = { from: from ?? null, to };
+    }
+  }
+  return changes;
+}
+
+function indexItems(items, field) {
+  return new Map(
+    items
+      .filter((item) => item?.[field] != null)
+      .map((item) => [String(item[field]).toLowerCase(), item])
+  );
+}
+
+/**
+ * Creates or updates the QBO Items of one page of HubSpot products. An Item
+ * is found through the stored mapping, then by SKU, then by name, so existing
+ * Items are linked instead of duplicated.
+ * @param {Object} tokens - Global QuickBooks tokens
+ * @param {Array<Object>} products - HubSpot products
+ * @param {Object} options - dryRun and incomeAccountId
+ * @returns {Promise<Array<Object>>} One result per product
+ */
+async function syncProductPage(tokens, products, { dryRun, incomeAccountId }) {
+  const { realmId, accessToken, refreshToken } = tokens;
+  const find = (field, values) =>
+    quickbooksService.findItemsByField(
+      realmId,
+      accessToken,
+      refreshToken,
+      field,
+      values
+    );
+
+  const mappings = await itemMappingService.getMappingsForProducts(
+    products.map((p) => p.id)
+  );
+  const byId = indexItems(
+    await find(
+      "Id",
+      [...mappings.values()].map((m) => m.qboItemId)
+    ),
+    "Id"
+  );
+
+  const isLinked = (p) =>
+    byId.has(String(mappings.get(String(p.id))?.qboItemId).toLowerCase());
+  const unlinked = products.filter((p) => !isLinked(p));
+  const bySku = indexItems(
+    await find(
+      "Sku",
+      unlinked.map((p) => toItemFields(p).Sku)
+    ),
+    "Sku"
+  );
+  const byName = indexItems(
+    await find(
+      "Name",
+      unlinked.map((p) => toItemFields(p).Name)
+    ),
+    "Name"
+  );
+
+  const results = [];
+  for (const product of products) {
+    const fields = toItemFields(product);
+    const base = {
+      hubspotProductId: String(product.id),
+      name: fields.Name || null,
+      sku: fields.Sku || null,
+    };
+
+    if (!fields.Name) {
+      results.push({ ...base, action: "failed", error: "Product has no name" });
+      continue;
+    }
+
+    const mapping = mappings.get(String(product.id));
+    let item = null;
+    let matchedBy = null;
+    if (isLinked(product)) {
+      item = byId.get(String(mapping.qboItemId).toLowerCase());
+      matchedBy = "mapping";
+    } else if (fields.Sku && bySku.has(fields.Sku.toLowerCase())) {
+      item = bySku.get(fields.Sku.toLowerCase());
+      matchedBy = "sku";
+    } else if (byName.has(fields.Name.toLowerCase())) {
+      item = byName.get(fields.Name.toLowerCase());
+      matchedBy = "name";
+    }
+
+    try {
+      if (!item) {
+        let created = null;
+        if (!dryRun) {
+          created = await quickbooksService.createItem(
+            realmId,
+            accessToken,
+            refreshToken,
+            {
+              ...Object.fromEntries(
+                Object.entries(fields).filter(([, v]) => v !== undefined)
+              ),
+              Type: toItemType(product),
+              IncomeAccountRef: { value: String(incomeAccountId) },
+            }
+          );
+          await itemMappingService.saveItemMapping(product.id, created, "sync");
+        }
+
+        results.push({
+          ...base,
+          action: "create",
+          ...(created ? { qboItemId: String(created.Id) } : {}),
+        });
+        continue;
+      }
+
+      const changes = diffItem(item, fields);
+      const changed = Object.keys(changes).length > 0;
+
+      if (!dryRun) {
+        const saved = changed
+          ? await quickbooksService.updateItem(
+              realmId,
+              accessToken,
+              refreshToken,
+              item,
+              Object.fromEntries(
+                Object.entries(changes).map(([field, c]) => [field, c.to])
+              )
+            )
+          : item;
+
+        if (matchedBy !== "mapping" || mapping.qboItemName !== saved.Name) {
+          await itemMappingService.saveItemMapping(
+            product.id,
+            saved,
+            mapping?.source || "sync"
+          );
+        }
+      }
+
+      results.push({
+        ...base,
+        action: changed ? "update" : "unchanged",
+        qboItemId: String(item.Id),
+        matchedBy,
+        ...(changed ? { changes } : {}),
+      });
+    } catch (e) {
+      if (e?.statusCode === 401) {
+        throw e;
+      }
+
+      logMessage("WARN", "⚠️ Product sync failed for product", {
+        hubspotProductId: product.id,
+        message: e?.message,
+      });
+      results.push({
+        ...base,
+        action: "failed",
+        error: e?.message || String(e),
+        ...(e?.qbo ? { fault: e.qbo } : {}),
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Pages through the HubSpot product library and creates or updates the
+ * matching QBO Items (name, SKU, description, price). New Items use the
+ * income account from QUICKBOOKS_INCOME_ACCOUNT_ID. The HubSpot product to
+ * QBO item IDs are stored as item mappings.
+ * @param {Object} [params] - dryRun to only report what would change
+ * @returns {Promise<Object>} - {dryRun, summary, results} or error
+ */
+async function syncProductsToQuickBooks({ dryRun = false } = {}) {
+  logMessage("DEBUG", "🐛 syncProductsToQuickBooks called", { dryRun });
+
+  const incomeAccountId = process.env.QUICKBOOKS_INCOME_ACCOUNT_ID;
+  const warnings = [];
+  if (!incomeAccountId) {
+    if (!dryRun) {
+      return {
+        error: "❌ QUICKBOOKS_INCOME_ACCOUNT_ID is not configured",
+        status: 400,
+      };
+    }
+    warnings.push(
+      "QUICKBOOKS_INCOME_ACCOUNT_ID is not configured; items cannot be created"
+    );
+  }
+
+  try {
+    const tokens = await quickbooksService.resolveGlobalTokens();
+    if (tokens.error) {
+      return tokens;
+    }
+
+    const results = [];
+    let after;
+    do {
+      const page = await hubspotService.getProductsPage(
+        PRODUCT_PAGE_SIZE,
+        after
+      );
+      results.push(
+        ...(await syncProductPage(tokens, page.products, {
+          dryRun,
+          incomeAccountId,
+        }))
+      );
+      after = page.after;
+    } while (after);
+
+    const summary = { total: results.length };
+    for (const action of SYNC_ACTIONS) {
+      summary[action] = results.filter((r) => r.action === action).length;
+    }
+
+    logMessage("INFO", "✅ Product sync finished", { dryRun, ...summary });
+    return {
+      dryRun,
+      summary,
+      results,
+      ...(warnings.length ? { warnings } : {}),
+    };
+  } catch (error) {
+    if (error.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    logMessage(
+      "ERROR",
+      "❌ Error in syncProductsToQuickBooks:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  syncProductsToQuickBooks,
+};
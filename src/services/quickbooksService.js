@@ -7,7 +7,7 @@ const {
 } = require("../models/constants");
 const { QUICKBOOKS_APP_URL } = require("../models/urls");
 const { logMessage } = require("../common/logger");
-const { toCamelCase } = require("../common/helpers");
+const { toCamelCase, parseBoolean, roundAmount } = require("../common/helpers");
 const { getSecretStringFlexible } = require("../common/secrets");
 
 // Lazy-loaded credentials and OAuth client
@@ -42,8 +42,14 @@ function isInvalidClientError(err) {
 // Cache for TaxCode lookup (e.g., GST/HST)
 let cachedTaxCodeId = null;
 let taxCodeCachedAt = 0;
+let cachedExemptTaxCodeId = null;
+let exemptTaxCodeCachedAt = 0;
 const TAXCODE_TTL = 6 * 60 * 60 * 1000; // 6 hours
 
+// Cache for the company's currency preferences
+let cachedCurrencyPrefs = null;
+let currencyPrefsCachedAt = 0;
+
 // Global (single-company) token support
 const GLOBAL_TOKEN_KEY = process.env.QBO_GLOBAL_TOKEN_KEY || "GLOBAL";
 
@@ -359,6 +365,38 @@ function parseQboError(err) {
   };
 }
 
+/**
+ * Promisifies a node-quickbooks callback method. QBO faults are turned into
+ * Errors carrying the parsed fault; authentication faults get statusCode 401.
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @param {string} method - node-quickbooks method name (e.g. "getInvoice")
+ * @param {...any} args - Arguments before the callback
+ * @returns {Promise<any>} The method's result
+ */
+function callQBO(qbo, method, ...args) {
+  return new Promise((resolve, reject) => {
+    qbo[method](...args, (err, data) => {
+      if (err) {
+        const info = parseQboError(err);
+        const error = new Error(
+          info.message || info.detail || `QuickBooks ${method} failed`
+        );
+        error.qbo = {
+          type: info.type,
+          code: info.code,
+          detail: info.detail,
+          element: info.element,
+        };
+        if (info.code === "3200" || /^authentication/i.test(info.type || "")) {
+          error.statusCode = 401;
+        }
+        return reject(error);
+      }
+      resolve(data);
+    });
+  });
+}
+
 // Helper: format Date to YYYY-MM-DD (UTC)
 function formatDateYYYYMMDD(date) {
   const d = date instanceof Date ? date : new Date(date);
@@ -369,36 +407,72 @@ function formatDateYYYYMMDD(date) {
   return `${yyyy}-${mm}-${dd}`;
 }
 
-// Helper: find Term ID by name (e.g., "Net 15")
-async function getTermIdByName(qbo, name) {
-  // try SDK direct if available
-  if (typeof qbo.findTerms === "function") {
-    const list = await new Promise((resolve, reject) => {
-      qbo.findTerms({}, (err, data) => {
-        if (err) return reject(err);
-        resolve(data);
-      });
-    });
-    const terms = list?.QueryResponse?.Term || [];
-    const found = terms.find((t) => t?.Name === name && t?.Active !== false);
-    return found ? String(found.Id) : null;
+// Terms used when neither the deal, its company nor the customer name one
+const DEFAULT_TERMS = "Net 15";
+
+/**
+ * Finds a QBO Term by name (case-insensitive) or Id. Only active Terms are
+ * returned unless includeInactive is set (an active match still wins).
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @param {string} name - Term name (e.g. "Net 30", "Due on receipt") or Id
+ * @param {Object} [options] - includeInactive
+ * @returns {Promise<Object|null>} The QBO Term or null
+ */
+async function getTermByName(qbo, name, { includeInactive = false } = {}) {
+  const wanted = String(name || "")
+    .trim()
+    .toLowerCase();
+  if (!wanted) {
+    return null;
   }
 
-  // fallback to query
-  if (typeof qbo.query === "function") {
-    const query = `SELECT Id, Name, Active FROM Term WHERE Name = '${name}'`;
-    const res = await new Promise((resolve, reject) => {
-      qbo.query(query, (err, data) => {
-        if (err) return reject(err);
-        resolve(data);
-      });
-    });
-    const terms = res?.QueryResponse?.Term || [];
-    const found = terms.find((t) => t?.Name === name && t?.Active !== false);
-    return found ? String(found.Id) : null;
+  const list = await callQBO(qbo, "findTerms", {});
+  const matches = (list?.QueryResponse?.Term || []).filter(
+    (t) => String(t?.Name).toLowerCase() === wanted || String(t?.Id) === wanted
+  );
+  return (
+    matches.find((t) => t?.Active !== false) ||
+    (includeInactive ? matches[0] : null) ||
+    null
+  );
+}
+
+/**
+ * Day count of a term for computing a DueDate without a SalesTermRef: the
+ * QBO Term's DueDays when it has them, else parsed from the name as a last
+ * resort ("Net 30" and "2% 10 Net 30" -> 30, "30 days" -> 30, "Due on
+ * receipt" -> 0)
+ * @param {Object|null} term - QBO Term (may be inactive)
+ * @param {string} name - Term name
+ * @returns {number|null} Days until due, or null when unknown
+ */
+function getTermDays(term, name) {
+  if (term?.DueDays != null && Number.isFinite(Number(term.DueDays))) {
+    return Number(term.DueDays);
   }
 
-  return null;
+  const str = String(name || "")
+    .trim()
+    .toLowerCase();
+  if (/due on receipt|upon receipt|immediate/.test(str)) {
+    return 0;
+  }
+
+  const match = str.match(/\bnet\s*(\d+)\b/) || str.match(/^(\d+)(\s*days?)?$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Looks a QBO Term up with the given tokens (used to validate stored terms)
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} name - Term name or Id
+ * @returns {Promise<Object|null>} The QBO Term or null
+ */
+async function findTerm(realmId, accessToken, refreshToken, name) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return getTermByName(qbo, name);
 }
 
 /**
@@ -516,6 +590,168 @@ async function getPreferredTaxCodeId(qbo) {
   }
 }
 
+// TaxCode names tried for non-taxable lines when no ID is configured
+const EXEMPT_TAX_CODE_NAMES = ["exempt", "zero-rated", "out of scope", "non"];
+
+/**
+ * Find the TaxCode ID used for non-taxable lines: QUICKBOOKS_EXEMPT_TAX_CODE_ID,
+ * otherwise an active TaxCode named like "Exempt" or "Zero-rated"
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @returns {Promise<string|null>} The TaxCode ID or null when none is found
+ */
+async function getExemptTaxCodeId(qbo) {
+  if (process.env.QUICKBOOKS_EXEMPT_TAX_CODE_ID) {
+    return String(process.env.QUICKBOOKS_EXEMPT_TAX_CODE_ID);
+  }
+
+  const now = Date.now();
+  if (cachedExemptTaxCodeId && now - exemptTaxCodeCachedAt < TAXCODE_TTL) {
+    return cachedExemptTaxCodeId;
+  }
+
+  const response = await callQBO(qbo, "findTaxCodes", {});
+  const active = (response?.QueryResponse?.TaxCode || []).filter(
+    (t) => t?.Active !== false
+  );
+
+  for (const name of EXEMPT_TAX_CODE_NAMES) {
+    const found = active.find(
+      (t) => String(t?.Name || "").toLowerCase() === name
+    );
+    if (found) {
+      cachedExemptTaxCodeId = String(found.Id);
+      exemptTaxCodeCachedAt = now;
+      logMessage("DEBUG", "🐛 Selected exempt TaxCode", {
+        id: cachedExemptTaxCodeId,
+        name: found.Name,
+      });
+      return cachedExemptTaxCodeId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses QUICKBOOKS_TAX_CODE_MAP, a JSON object from HubSpot tax values (the
+ * HUBSPOT_TAX_CODE_PROPERTY of a line) to QBO TaxCode IDs, e.g.
+ * {"GST": "4", "HST ON": "7"}. Keys are matched case-insensitively.
+ * @returns {Object} Map of lower-cased key to TaxCode ID
+ */
+function getTaxCodeMap() {
+  const raw = process.env.QUICKBOOKS_TAX_CODE_MAP;
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(
+      Object.entries(parsed || {}).map(([key, id]) => [
+        String(key).trim().toLowerCase(),
+        String(id),
+      ])
+    );
+  } catch (e) {
+    logMessage("WARN", "⚠️ QUICKBOOKS_TAX_CODE_MAP is not valid JSON", {
+      message: e?.message,
+    });
+    return {};
+  }
+}
+
+/**
+ * Reads the multicurrency setting and home currency from the company
+ * Preferences. Cached for TAXCODE_TTL like the TaxCode lookups.
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @returns {Promise<{multiCurrencyEnabled: boolean, homeCurrency: string|null}>}
+ */
+async function getCurrencyPrefs(qbo) {
+  const now = Date.now();
+  if (cachedCurrencyPrefs && now - currencyPrefsCachedAt < TAXCODE_TTL) {
+    return cachedCurrencyPrefs;
+  }
+
+  const prefs = await callQBO(qbo, "getPreferences");
+  cachedCurrencyPrefs = {
+    multiCurrencyEnabled: prefs?.CurrencyPrefs?.MultiCurrencyEnabled === true,
+    homeCurrency: prefs?.CurrencyPrefs?.HomeCurrency?.value || null,
+  };
+  currencyPrefsCachedAt = now;
+  return cachedCurrencyPrefs;
+}
+
+/**
+ * Decides the currency an invoice is created in. Without multicurrency in
+ * QBO every invoice stays in the home currency, so a foreign deal currency
+ * only produces a warning.
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Object} params - currency (ISO code from HubSpot) and an optional exchangeRate
+ * @returns {Promise<{currency: string|null, exchangeRate: number|null, warnings: Array<string>}>}
+ *   currency is null when no CurrencyRef should be sent
+ */
+async function resolveInvoiceCurrency(
+  realmId,
+  accessToken,
+  refreshToken,
+  { currency, exchangeRate }
+) {
+  const warnings = [];
+  const code = currency ? String(currency).trim().toUpperCase() : null;
+  if (!code) {
+    if (exchangeRate != null) {
+      warnings.push("exchangeRate ignored: the deal has no currency");
+    }
+    return { currency: null, exchangeRate: null, warnings };
+  }
+
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const { multiCurrencyEnabled, homeCurrency } = await getCurrencyPrefs(qbo);
+
+  if (!multiCurrencyEnabled) {
+    if (homeCurrency && code !== homeCurrency) {
+      warnings.push(
+        `Deal currency ${code} differs from the QuickBooks home currency ${homeCurrency} but multicurrency is disabled; the invoice uses ${homeCurrency}`
+      );
+    }
+    return { currency: null, exchangeRate: null, warnings };
+  }
+
+  // QBO fixes the rate of home-currency invoices at 1
+  if (exchangeRate != null && code === homeCurrency) {
+    warnings.push(`exchangeRate ignored: ${code} is the home currency`);
+    return { currency: code, exchangeRate: null, warnings };
+  }
+
+  return {
+    currency: code,
+    exchangeRate: exchangeRate != null ? Number(exchangeRate) : null,
+    warnings,
+  };
+}
+
+/**
+ * QBO customers are single-currency, so a customer in another currency
+ * cannot be invoiced in the deal's currency
+ * @param {Object} customer - QBO Customer
+ * @param {string|null} currency - Invoice currency from resolveInvoiceCurrency
+ * @throws {Error} With statusCode 409 on a mismatch
+ */
+function assertCustomerCurrency(customer, currency) {
+  const customerCurrency = customer?.CurrencyRef?.value;
+  if (!currency || !customerCurrency || customerCurrency === currency) {
+    return;
+  }
+
+  const error = new Error(
+    `❌ QuickBooks customer ${customer.DisplayName || customer.Id} uses ${customerCurrency} but the deal currency is ${currency}`
+  );
+  error.statusCode = 409;
+  throw error;
+}
+
 /**
  * Generates the QuickBooks OAuth authorization URI for a user
  * @param {string} userId - The user ID
@@ -769,19 +1005,46 @@ async function getGlobalTokens() {
   };
 }
 
+/**
+ * Loads the shared QuickBooks tokens and validates they are complete
+ * @returns {Promise<Object>} Tokens ({accessToken, refreshToken, realmId}) or {error, status}
+ */
+async function resolveGlobalTokens() {
+  const globalTokens = await getGlobalTokens();
+  if (!globalTokens) {
+    logMessage("WARN", "⚠️ QuickBooks not connected (global token missing)");
+    return { error: "❌ QuickBooks not connected", status: 400 };
+  }
+
+  const { accessToken, refreshToken, realmId } = globalTokens;
+
+  if (!accessToken || !refreshToken || !realmId) {
+    logMessage("WARN", "⚠️ Missing global QuickBooks tokens", {
+      hasAccessToken: !!accessToken,
+      hasRefreshToken: !!refreshToken,
+      hasRealmId: !!realmId,
+    });
+    return { error: "❌ Missing QuickBooks tokens", status: 400 };
+  }
+
+  return { accessToken, refreshToken, realmId };
+}
+
 /**
  * Finds or creates a QuickBooks customer based on HubSpot contact info
  * @param {string} realmId - QuickBooks realm ID
  * @param {string} accessToken - QuickBooks access token
  * @param {Object} contact - HubSpot contact object
  * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Object} [options] - currency the customer must use (multicurrency)
  * @returns {Promise<string>} The QuickBooks customer ID
  */
 async function getOrCreateCustomer(
   realmId,
   accessToken,
   contact,
-  refreshToken
+  refreshToken,
+  { currency } = {}
 ) {
   await ensureQuickBooksCreds();
   // If tokens not supplied, use the shared company tokens
@@ -805,7 +1068,6 @@ async function getOrCreateCustomer(
 
   const qbo = getQBOInstance(realmId, accessToken, refreshToken);
 
-  const email = contact.email;
   let customerResponse;
 
   customerResponse = await handleQBOFindCustomers(qbo, contact);
@@ -815,15 +1077,12 @@ async function getOrCreateCustomer(
 
   if (customerResponse.QueryResponse.Customer?.length > 0) {
     const customerObj = customerResponse.QueryResponse.Customer[0];
+    assertCustomerCurrency(customerObj, currency);
     customerId = customerObj.Id;
     customerDataToSave = customerObj;
   } else {
     // Create customer
-    const customerData = {
-      GivenName: contact.firstname || "Unknown",
-      FamilyName: contact.lastname || "Customer",
-      PrimaryEmailAddr: { Address: email },
-    };
+    const customerData = buildCustomerData(contact, currency);
 
     const createCustomerResponse = await new Promise((resolve, reject) => {
       qbo.createCustomer(customerData, (err, data) => {
@@ -879,6 +1138,35 @@ async function getOrCreateCustomer(
   return customerId;
 }
 
+/**
+ * Builds the QBO Customer payload used when a HubSpot contact has no match
+ * @param {Object} contact - HubSpot contact properties
+ * @param {string|null} [currency] - Customer currency (multicurrency only)
+ * @returns {Object} QBO Customer payload
+ */
+function buildCustomerData(contact, currency) {
+  return {
+    GivenName: contact.firstname || "Unknown",
+    FamilyName: contact.lastname || "Customer",
+    PrimaryEmailAddr: { Address: contact.email },
+    ...(currency ? { CurrencyRef: { value: currency } } : {}),
+  };
+}
+
+/**
+ * Looks up a QuickBooks customer for a HubSpot contact without creating one
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {Object} contact - HubSpot contact object
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @returns {Promise<Object|null>} The QBO Customer or null when none matches
+ */
+async function findCustomer(realmId, accessToken, contact, refreshToken) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const response = await handleQBOFindCustomers(qbo, contact);
+  return response?.QueryResponse?.Customer?.[0] || null;
+}
+
 async function handleQBOFindCustomers(qbo, contact) {
   return new Promise((resolve, reject) => {
     qbo.findCustomers(
@@ -937,6 +1225,70 @@ async function getCustomerByEmail(realmId, accessToken, email) {
   return response.QueryResponse.Customer[0];
 }
 
+/**
+ * Resolves a QuickBooks instance, falling back to the shared company tokens
+ * when the realm ID or access token are not supplied
+ * @param {string} [realmId] - QuickBooks realm ID
+ * @param {string} [accessToken] - QuickBooks access token
+ * @param {string} [refreshToken] - QuickBooks refresh token
+ * @returns {Promise<QuickBooks>} Configured QuickBooks instance
+ */
+async function getQBOForTokens(realmId, accessToken, refreshToken) {
+  await ensureQuickBooksCreds();
+
+  // Use shared company tokens if not supplied
+  if (!realmId || !accessToken) {
+    const shared = await getGlobalTokens();
+    realmId = realmId || shared.realmId;
+    accessToken = accessToken || shared.accessToken;
+    refreshToken = refreshToken || shared.refreshToken;
+  }
+
+  return getQBOInstance(realmId, accessToken, refreshToken);
+}
+
+function buildInvoiceUrl(invoiceId) {
+  return `${QUICKBOOKS_APP_URL ?? "https://sandbox.qbo.intuit.com/app/invoice"}?txnId=${invoiceId}`;
+}
+
+function buildEstimateUrl(estimateId) {
+  const base = (
+    QUICKBOOKS_APP_URL ?? "https://sandbox.qbo.intuit.com/app/invoice"
+  ).replace(/\/invoice$/, "/estimate");
+  return `${base}?txnId=${estimateId}`;
+}
+
+function buildCreditMemoUrl(creditMemoId) {
+  const base = (
+    QUICKBOOKS_APP_URL ?? "https://sandbox.qbo.intuit.com/app/invoice"
+  ).replace(/\/invoice$/, "/creditmemo");
+  return `${base}?txnId=${creditMemoId}`;
+}
+
+/**
+ * Builds the QuickBooks invoice payload for a HubSpot deal without posting it
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} customerId - QuickBooks customer ID (may be empty for previews)
+ * @param {Object} deal - HubSpot deal object (must have id and amount)
+ * @param {string} [customerEmail] - Email used for BillEmail
+ * @param {Object} [options] - Optional qbLines and requestId (QBO idempotency)
+ * @returns {Promise<{invoiceData: Object, warnings: Array<string>}>}
+ */
+async function buildInvoiceData(
+  realmId,
+  accessToken,
+  refreshToken,
+  customerId,
+  deal,
+  customerEmail,
+  options = {}
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return composeInvoicePayload(qbo, customerId, deal, customerEmail, options);
+}
+
 /**
  * Creates a QuickBooks invoice for a customer and associates it with a HubSpot deal
  * @param {string} realmId - QuickBooks realm ID
@@ -944,7 +1296,9 @@ async function getCustomerByEmail(realmId, accessToken, email) {
  * @param {string} refreshToken - QuickBooks refresh token
  * @param {string} customerId - QuickBooks customer ID
  * @param {Object} deal - HubSpot deal object (must have id and amount)
- * @returns {Promise<{invoiceNumber: string, invoiceUrl: string}>}
+ * @param {string} [customerEmail] - Email used for BillEmail
+ * @param {Object} [options] - Optional qbLines and requestId (QBO idempotency)
+ * @returns {Promise<{invoiceNumber: string, invoiceUrl: string, totalTax: number, docNumber: string, warnings: Array<string>}>}
  */
 async function createInvoice(
   realmId,
@@ -955,16 +1309,6 @@ async function createInvoice(
   customerEmail,
   options = {}
 ) {
-  await ensureQuickBooksCreds();
-
-  // Use shared company tokens if not supplied
-  if (!realmId || !accessToken) {
-    const shared = await getGlobalTokens();
-    realmId = realmId || shared.realmId;
-    accessToken = accessToken || shared.accessToken;
-    refreshToken = refreshToken || shared.refreshToken;
-  }
-
   logMessage("DEBUG", "🐛 Creating QuickBooks instance for invoice creation", {
     realmId,
     hasAccessToken: !!accessToken,
@@ -974,7 +1318,7 @@ async function createInvoice(
     dealAmount: deal.amount,
   });
 
-  const qbo = getQBOInstance(realmId, accessToken, refreshToken);
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
 
   logMessage("DEBUG", "🔄 Creating QuickBooks invoice", {
     customerId,
@@ -983,64 +1327,273 @@ async function createInvoice(
   });
   logMessage("DEBUG", "📄 Invoice creation details:", { customerId, deal });
 
-  let itemId = "1";
-  let defaultItemName = "Service";
-  try {
-    const info = await getFirstItemInfo(qbo);
-    itemId = info.id || itemId;
-    defaultItemName = info.name || defaultItemName;
-  } catch (e) {
-    logMessage(
-      "ERROR",
-      "❌ Could not fetch Item ID, using default '1'",
-      e.message
-    );
+  const { invoiceData, warnings } = await composeInvoicePayload(
+    qbo,
+    customerId,
+    deal,
+    customerEmail,
+    options
+  );
 
-    throw e;
+  const invoiceResponse = await postInvoice(qbo, invoiceData);
+
+  const invoiceId = invoiceResponse.Id;
+  const invoiceUrl = buildInvoiceUrl(invoiceId);
+  return {
+    invoiceNumber: invoiceId,
+    invoiceUrl,
+    totalTax: invoiceResponse.TxnTaxDetail?.TotalTax,
+    docNumber: invoiceResponse.DocNumber,
+    warnings,
+  };
+}
+
+// QBO limits DocNumber to 21 characters
+const DOC_NUMBER_MAX_LENGTH = 21;
+
+function getDealIdFieldId() {
+  return process.env.QUICKBOOKS_DEAL_ID_FIELD_ID
+    ? String(process.env.QUICKBOOKS_DEAL_ID_FIELD_ID)
+    : null;
+}
+
+/**
+ * Fields that tie a QBO transaction to its HubSpot deal: a PrivateNote
+ * ("HubSpot deal <id>; quote <ids>"), the string custom field
+ * QUICKBOOKS_DEAL_ID_FIELD_ID and, when a sequence is given, a DocNumber from
+ * QUICKBOOKS_DOC_NUMBER_PATTERN ({dealId}, {quoteId} and {n} placeholders)
+ * @param {Object} deal - HubSpot deal (id)
+ * @param {Object} options - quoteIds and sequence (the deal's nth invoice)
+ * @param {Array<string>} warnings - Collects a DocNumber that does not fit
+ * @returns {Object} PrivateNote, CustomField and DocNumber to merge into the payload
+ */
+function buildDealReference(deal, { quoteIds, sequence } = {}, warnings) {
+  if (deal?.id == null) {
+    return {};
   }
 
-  // Prepare potential external lines before deciding validation path
-  const qbLinesInput = Array.isArray(options?.qbLines)
-    ? options.qbLines.filter(Boolean)
-    : [];
+  const dealId = String(deal.id);
+  const quotes = (quoteIds || []).map(String);
+  const reference = {
+    PrivateNote: `HubSpot deal ${dealId}${quotes.length ? `; quote ${quotes.join(", ")}` : ""}`,
+  };
 
-  // Validate and normalize amount only if we won't use external lines
-  const amount = Number.isFinite(Number(deal.amount))
-    ? parseFloat(deal.amount)
-    : NaN;
+  const fieldId = getDealIdFieldId();
+  if (fieldId) {
+    reference.CustomField = [
+      { DefinitionId: fieldId, Type: "StringType", StringValue: dealId },
+    ];
+  }
 
-  if (qbLinesInput.length === 0) {
-    if (!Number.isFinite(amount) || amount <= 0) {
-      throw new Error(
-        `Invalid deal amount for invoice. Received: "${deal.amount}"`
+  const pattern = process.env.QUICKBOOKS_DOC_NUMBER_PATTERN;
+  if (pattern && sequence != null) {
+    const docNumber = pattern
+      .replace(/\{dealId\}/g, dealId)
+      .replace(/\{quoteId\}/g, quotes[0] || "")
+      .replace(/\{n\}/g, String(sequence));
+
+    if (docNumber.length > DOC_NUMBER_MAX_LENGTH) {
+      warnings.push(
+        `DocNumber ${docNumber} is longer than ${DOC_NUMBER_MAX_LENGTH} characters; QuickBooks numbers the invoice instead`
       );
+    } else {
+      reference.DocNumber = docNumber;
     }
   }
 
-  const qty = 1;
-  const unitPrice = amount; // Keep simple: one line with qty 1 at full amount
+  return reference;
+}
 
-  // Attempt to include a GST/HST TaxCode if company requires it
-  let taxCodeId = null;
-  const bypassTax = shouldBypassTaxCode(deal);
-  if (bypassTax) {
-    logMessage("INFO", "ℹ️ Bypassing TaxCode for invoice per configuration", {
-      dealId: deal.id,
-    });
-  } else {
-    try {
-      taxCodeId = await getPreferredTaxCodeId(qbo);
-      logMessage("DEBUG", "🐛 Using TaxCodeId for invoice", taxCodeId);
-    } catch (e) {
-      // If TaxCode retrieval fails, proceed without it; QBO may still accept for some regions
-      logMessage(
-        "WARN",
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Tells which deal reference (see buildDealReference) links a QBO invoice to
+ * a HubSpot deal
+ * @param {Object} invoice - QBO Invoice
+ * @param {string} dealId - HubSpot deal ID
+ * @returns {string|null} "privateNote", "customField", "docNumber" or null
+ */
+function matchDealReference(invoice, dealId) {
+  const id = escapeRegExp(dealId);
+
+  if (
+    new RegExp(`HubSpot deal ${id}(?!\\d)`).test(invoice?.PrivateNote || "")
+  ) {
+    return "privateNote";
+  }
+
+  const fieldId = getDealIdFieldId();
+  if (
+    fieldId &&
+    (invoice?.CustomField || []).some(
+      (f) =>
+        String(f.DefinitionId) === fieldId &&
+        String(f.StringValue || "").trim() === String(dealId)
+    )
+  ) {
+    return "customField";
+  }
+
+  const pattern = process.env.QUICKBOOKS_DOC_NUMBER_PATTERN;
+  if (pattern && pattern.includes("{dealId}") && invoice?.DocNumber) {
+    const docRegex = new RegExp(
+      `^${escapeRegExp(pattern)
+        .replace(/\\\{dealId\\\}/g, id)
+        .replace(/\\\{quoteId\\\}/g, "\\d*")
+        .replace(/\\\{n\\\}/g, "\\d+")}$`
+    );
+    if (docRegex.test(invoice.DocNumber)) {
+      return "docNumber";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Maps a deal, its normalized qbLines and company settings (item, tax code,
+ * terms, ServiceDate) to a QBO Invoice payload. Anything that fell back to a
+ * default is reported in warnings.
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @returns {Promise<{invoiceData: Object, warnings: Array<string>}>}
+ */
+async function composeInvoicePayload(
+  qbo,
+  customerId,
+  deal,
+  customerEmail,
+  options = {}
+) {
+  const warnings = [];
+
+  // Prepare potential external lines before deciding validation path
+  let qbLinesInput = Array.isArray(options?.qbLines)
+    ? options.qbLines.filter(Boolean)
+    : [];
+
+  // Resolve a QBO Item per line; unmatched lines use the fallback item
+  let unresolvedLines = [];
+  if (qbLinesInput.length > 0) {
+    const resolution = await resolveLineItems(qbo, qbLinesInput);
+    qbLinesInput = resolution.lines;
+    unresolvedLines = resolution.unresolved;
+    warnings.push(...resolution.warnings);
+  }
+
+  if (
+    unresolvedLines.length > 0 &&
+    parseBoolean(process.env.QUICKBOOKS_REQUIRE_ITEM_MATCH)
+  ) {
+    throw new Error(
+      `No QuickBooks item matches line(s): ${unresolvedLines.map(describeLine).join(", ")}`
+    );
+  }
+
+  let fallbackItem = null;
+  const getFallbackItem = async () => {
+    if (!fallbackItem) {
+      try {
+        fallbackItem = await getFallbackItemInfo(qbo);
+      } catch (e) {
+        logMessage("ERROR", "❌ Could not resolve fallback Item", e.message);
+        throw e;
+      }
+    }
+    return fallbackItem;
+  };
+
+  if (unresolvedLines.length > 0) {
+    const fallback = await getFallbackItem();
+    for (const line of unresolvedLines) {
+      warnings.push(
+        `Line ${describeLine(line)} has no matching QuickBooks item; using fallback item "${fallback.name}" (${fallback.id})`
+      );
+    }
+  }
+
+  // Validate and normalize amount only if we won't use external lines
+  const amount = Number.isFinite(Number(deal.amount))
+    ? parseFloat(deal.amount)
+    : NaN;
+
+  if (qbLinesInput.length === 0) {
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error(
+        `Invalid deal amount for invoice. Received: "${deal.amount}"`
+      );
+    }
+  }
+
+  const qty = 1;
+  const unitPrice = amount; // Keep simple: one line with qty 1 at full amount
+
+  // Attempt to include a GST/HST TaxCode if company requires it
+  let taxCodeId = null;
+  const bypassTax = shouldBypassTaxCode(deal);
+  if (bypassTax) {
+    logMessage("INFO", "ℹ️ Bypassing TaxCode for invoice per configuration", {
+      dealId: deal.id,
+    });
+    warnings.push("TaxCode bypassed per configuration");
+  } else {
+    try {
+      // A tax rule matched for the customer's region wins over the env heuristics
+      taxCodeId = options?.taxCodeId
+        ? String(options.taxCodeId)
+        : await getPreferredTaxCodeId(qbo);
+      logMessage("DEBUG", "🐛 Using TaxCodeId for invoice", taxCodeId);
+    } catch (e) {
+      // If TaxCode retrieval fails, proceed without it; QBO may still accept for some regions
+      logMessage(
+        "WARN",
         "⚠️ Could not determine TaxCodeId automatically; proceeding without TaxCodeRef",
         e?.message || e
       );
+      warnings.push(
+        `Could not determine TaxCode; invoice will have no TaxCodeRef (${e?.message || e})`
+      );
+    }
+  }
+
+  // Per-line tax codes: non-taxable lines get the exempt code, lines whose
+  // HubSpot tax value is in QUICKBOOKS_TAX_CODE_MAP get the mapped code, and
+  // everything else the default code above
+  const taxCodeMap = bypassTax ? {} : getTaxCodeMap();
+  let exemptTaxCodeId = null;
+  if (!bypassTax && qbLinesInput.some((l) => l?.taxable === false)) {
+    try {
+      exemptTaxCodeId = await getExemptTaxCodeId(qbo);
+    } catch (e) {
+      logMessage("WARN", "⚠️ Could not look up exempt TaxCode", e?.message);
+    }
+
+    if (!exemptTaxCodeId) {
+      warnings.push(
+        "Non-taxable lines use the default TaxCode; set QUICKBOOKS_EXEMPT_TAX_CODE_ID"
+      );
     }
   }
 
+  const lineTaxCodeId = (l) => {
+    if (bypassTax) {
+      return null;
+    }
+
+    // Lines copied from an existing transaction keep their tax code
+    if (l?.taxCodeId) {
+      return String(l.taxCodeId);
+    }
+
+    if (l?.taxable === false && exemptTaxCodeId) {
+      return exemptTaxCodeId;
+    }
+
+    const key = l?.taxKey != null ? String(l.taxKey).trim().toLowerCase() : "";
+    return taxCodeMap[key] || taxCodeId;
+  };
+
   // Normalize HubSpot deal job_completion_date -> ServiceDate (YYYY-MM-DD)
   const serviceDate = (() => {
     const raw = deal?.job_completion_date;
@@ -1062,26 +1615,43 @@ async function createInvoice(
     return `${yyyy}-${mm}-${dd}`;
   })();
 
-  // Terms: Prefer SalesTermRef for "Net 15"; fallback to DueDate = base + 15 days
+  // Terms: the resolved terms (deal, company or customer default), else
+  // QUICKBOOKS_DEFAULT_TERMS. Prefer SalesTermRef; without a matching QBO
+  // Term the DueDate is computed from the term's day count instead. Documents
+  // without a due date (credit memos) pass skipTerms.
   let salesTermRefId = null;
   let dueDateStr = undefined;
-  try {
-    salesTermRefId = await getTermIdByName(qbo, "Net 15");
-  } catch (e) {
-    logMessage(
-      "WARN",
-      "⚠️ Failed to lookup Terms (Net 15), will fallback",
-      e?.message || e
-    );
-  }
+  if (!options?.skipTerms) {
+    const termsName =
+      options?.terms || process.env.QUICKBOOKS_DEFAULT_TERMS || DEFAULT_TERMS;
+    let term = null;
+    try {
+      term = await getTermByName(qbo, termsName, { includeInactive: true });
+      salesTermRefId = term && term.Active !== false ? String(term.Id) : null;
+    } catch (e) {
+      logMessage(
+        "WARN",
+        `⚠️ Failed to lookup Terms (${termsName}), will fallback`,
+        e?.message || e
+      );
+    }
 
-  if (!salesTermRefId) {
-    const base = serviceDate
-      ? new Date(`${serviceDate}T00:00:00Z`)
-      : new Date();
+    if (!salesTermRefId) {
+      const termDays = getTermDays(term, termsName);
+      const days = termDays ?? getTermDays(null, DEFAULT_TERMS);
+      const problem = term ? "is inactive" : "not found";
+      warnings.push(
+        termDays != null
+          ? `Term '${termsName}' ${problem}; DueDate set ${days} days out instead`
+          : `Term '${termsName}' ${problem} and has no day count; DueDate set ${days} days out instead`
+      );
+      const base = serviceDate
+        ? new Date(`${serviceDate}T00:00:00Z`)
+        : new Date();
 
-    base.setUTCDate(base.getUTCDate() + 15);
-    dueDateStr = formatDateYYYYMMDD(base);
+      base.setUTCDate(base.getUTCDate() + days);
+      dueDateStr = formatDateYYYYMMDD(base);
+    }
   }
 
   const description = (() => {
@@ -1094,6 +1664,11 @@ async function createInvoice(
     return str.length > 0 ? str : undefined;
   })();
 
+  // Line discounts either lower the line amount or are collected into one
+  // DiscountLineDetail line (QBO allows a single discount line per invoice)
+  const discountMode = getDiscountMode();
+  let lineDiscountTotal = 0;
+
   // Build Line array. If options.qbLines provided, use them; else fallback to single summary line
   /** Map provided qbLines to QBO Line objects */
   const mapLine = (l) => {
@@ -1116,6 +1691,23 @@ async function createInvoice(
       );
     }
 
+    const ldiscount = Number(l?.discount) > 0 ? roundAmount(l.discount) : 0;
+    const useDiscountLine = discountMode === "discount_line" && ldiscount > 0;
+    if (useDiscountLine) {
+      lineDiscountTotal += ldiscount;
+    }
+
+    // Discounted lines priced at the net amount keep Amount = Qty * UnitPrice
+    const lineAmount = useDiscountLine
+      ? roundAmount(lamount + ldiscount)
+      : roundAmount(lamount);
+    const lineUnitPrice =
+      useDiscountLine || ldiscount === 0
+        ? Number.isFinite(lprice)
+          ? lprice
+          : lineAmount / lqty
+        : Number((lineAmount / lqty).toFixed(5));
+
     const lineDesc = (() => {
       const parts = [];
       if (l?.name) {
@@ -1126,23 +1718,28 @@ async function createInvoice(
         parts.push(String(l.description));
       }
 
+      if (ldiscount > 0 && !useDiscountLine) {
+        parts.push(`discount ${ldiscount.toFixed(2)} applied`);
+      }
+
       return parts.join(" - ").trim() || undefined;
     })();
 
+    const ltaxCodeId = lineTaxCodeId(l);
+
     const line = {
-      Amount: lamount,
+      Amount: lineAmount,
       DetailType: "SalesItemLineDetail",
       SalesItemLineDetail: {
-        ItemRef: {
-          value: itemId,
-          // name is optional in QBO but helps show product/service on the line
-          name: l?.itemName || l?.name || defaultItemName,
+        ItemRef: l?.itemRef || {
+          value: fallbackItem.id,
+          name: fallbackItem.name,
         },
         Qty: lqty,
         // Ensure UnitPrice is always set for SalesItemLineDetail
-        UnitPrice: Number.isFinite(lprice) ? lprice : lamount / lqty,
+        UnitPrice: lineUnitPrice,
         ...(serviceDate ? { ServiceDate: serviceDate } : {}),
-        ...(taxCodeId ? { TaxCodeRef: { value: taxCodeId } } : {}),
+        ...(ltaxCodeId ? { TaxCodeRef: { value: ltaxCodeId } } : {}),
       },
       ...(lineDesc ? { Description: lineDesc } : {}),
     };
@@ -1160,17 +1757,27 @@ async function createInvoice(
         "⚠️ Failed to use provided qbLines; falling back to single summary line",
         e?.message || e
       );
+      warnings.push(
+        `Quote lines could not be mapped; using a single deal amount line (${e?.message || e})`
+      );
     }
   }
 
   if (!Array.isArray(lineArray) || lineArray.length === 0) {
+    if (qbLinesInput.length === 0) {
+      warnings.push(
+        "No quote line items found; using a single deal amount line"
+      );
+    }
+
     // Fallback to single line
+    const fallback = await getFallbackItem();
     lineArray = [
       {
         Amount: qty * unitPrice,
         DetailType: "SalesItemLineDetail",
         SalesItemLineDetail: {
-          ItemRef: { value: itemId, name: defaultItemName },
+          ItemRef: { value: fallback.id, name: fallback.name },
           Qty: qty,
           UnitPrice: unitPrice,
           ...(serviceDate ? { ServiceDate: serviceDate } : {}),
@@ -1181,6 +1788,18 @@ async function createInvoice(
     ];
   }
 
+  // Quote-level discount: whatever the HubSpot quote total is below the sum
+  // of the (net) lines, so the invoice reconciles to the quote to the cent
+  const discount = reconcileQuoteDiscount(
+    lineArray,
+    lineDiscountTotal,
+    qbLinesInput.length > 0 ? options?.quoteAmount : null,
+    warnings
+  );
+  if (discount > 0) {
+    lineArray.push(buildDiscountLine(discount));
+  }
+
   // Log full details of lineArray for debugging
   logMessage("DEBUG", "🐛 Invoice Line array (objects):", lineArray);
 
@@ -1203,6 +1822,11 @@ async function createInvoice(
   const invoiceData = {
     Line: lineArray,
     CustomerRef: { value: customerId },
+    // Set only for multicurrency companies (see resolveInvoiceCurrency)
+    ...(options?.currency ? { CurrencyRef: { value: options.currency } } : {}),
+    ...(options?.currency && options?.exchangeRate
+      ? { ExchangeRate: Number(options.exchangeRate) }
+      : {}),
     ...(customerEmail
       ? {
           BillEmail: { Address: String(customerEmail) },
@@ -1223,11 +1847,34 @@ async function createInvoice(
             process.env.QUICKBOOKS_TAX_CALCULATION || "TaxExcluded",
         }
       : {}),
+    ...(discount > 0 ? { ApplyTaxAfterDiscount: true } : {}),
+    ...buildDealReference(deal, options, warnings),
+    // Invoicing an estimate links it, which also closes it in QBO
+    ...(options?.estimateIds?.length
+      ? {
+          LinkedTxn: options.estimateIds.map((id) => ({
+            TxnId: String(id),
+            TxnType: "Estimate",
+          })),
+        }
+      : {}),
+    // Passed to QBO as the requestid query param (stripped from the body)
+    ...(options?.requestId ? { requestId: String(options.requestId) } : {}),
   };
 
+  return { invoiceData, warnings };
+}
+
+/**
+ * Posts an invoice payload to QuickBooks
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @param {Object} invoiceData - QBO Invoice payload
+ * @returns {Promise<Object>} The created QBO Invoice
+ */
+async function postInvoice(qbo, invoiceData) {
   logMessage("INFO", "Creating QuickBooks invoice with data:", invoiceData);
 
-  const invoiceResponse = await new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     qbo.createInvoice(invoiceData, (err, data) => {
       if (err) {
         const info = parseQboError(err);
@@ -1251,94 +1898,987 @@ async function createInvoice(
       resolve(data);
     });
   });
-
-  const invoiceId = invoiceResponse.Id;
-  const invoiceUrl = `${QUICKBOOKS_APP_URL ?? "https://sandbox.qbo.intuit.com/app/invoice"}?txnId=${invoiceId}`;
-  return { invoiceNumber: invoiceId, invoiceUrl };
 }
 
 /**
- * Gets the first Item info from QuickBooks account (used for invoice line)
- * @param {QuickBooks} qbo - QuickBooks instance
- * @returns {Promise<{id:string, name:string}>} The first Item id and name
+ * Creates a QuickBooks CreditMemo. Lines go through the same item, tax code
+ * and currency resolution as invoices (composeInvoicePayload); invoice-only
+ * fields (terms, due date) are left out.
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} customerId - QuickBooks customer ID
+ * @param {Object} deal - {id, amount} with amount set to the credit total
+ * @param {Object} [options] - qbLines, taxCodeId, currency, exchangeRate,
+ *   memo (shown to the customer), privateNote and requestId
+ * @returns {Promise<Object>} {creditMemoId, creditMemoUrl, totalAmount, totalTax, warnings}
  */
-async function getFirstItemInfo(qbo) {
-  return new Promise((resolve, reject) => {
-    qbo.findItems({}, (err, items) => {
-      if (err) {
-        return reject(err);
-      }
+async function createCreditMemo(
+  realmId,
+  accessToken,
+  refreshToken,
+  customerId,
+  deal,
+  options = {}
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
 
-      const arr =
-        items?.QueryResponse?.Item && Array.isArray(items.QueryResponse.Item)
-          ? items.QueryResponse.Item
-          : [];
+  const { invoiceData, warnings } = await composeInvoicePayload(
+    qbo,
+    customerId,
+    deal,
+    undefined,
+    { ...options, skipTerms: true }
+  );
 
-      if (arr.length > 0) {
-        const first = arr[0];
-        resolve({
-          id: String(first.Id),
-          name: String(first.Name || "Service"),
-        });
-      } else {
-        reject(new Error("No items found in QuickBooks account."));
-      }
-    });
+  const creditMemoData = {
+    Line: invoiceData.Line,
+    CustomerRef: invoiceData.CustomerRef,
+    ...(invoiceData.CurrencyRef
+      ? { CurrencyRef: invoiceData.CurrencyRef }
+      : {}),
+    ...(invoiceData.ExchangeRate
+      ? { ExchangeRate: invoiceData.ExchangeRate }
+      : {}),
+    ...(invoiceData.TxnTaxDetail
+      ? {
+          TxnTaxDetail: invoiceData.TxnTaxDetail,
+          GlobalTaxCalculation: invoiceData.GlobalTaxCalculation,
+        }
+      : {}),
+    ...(options.memo ? { CustomerMemo: { value: String(options.memo) } } : {}),
+    ...(options.privateNote
+      ? { PrivateNote: String(options.privateNote) }
+      : {}),
+    ...(options.requestId ? { requestId: String(options.requestId) } : {}),
+  };
+
+  logMessage("INFO", "🔄 Creating QuickBooks credit memo", {
+    customerId,
+    dealId: deal.id,
+    lines: creditMemoData.Line.length,
   });
+
+  const creditMemo = await callQBO(qbo, "createCreditMemo", creditMemoData);
+  return {
+    creditMemoId: String(creditMemo.Id),
+    creditMemoUrl: buildCreditMemoUrl(creditMemo.Id),
+    totalAmount: roundAmount(creditMemo.TotalAmt),
+    totalTax: creditMemo.TxnTaxDetail?.TotalTax,
+    warnings,
+  };
 }
 
 /**
- * Retrieves all invoices for a QuickBooks customer, optionally filtered by dealId (stored in Memo field)
+ * Creates a QuickBooks Estimate. Lines go through the same item, tax code and
+ * currency resolution as invoices (composeInvoicePayload).
  * @param {string} realmId - QuickBooks realm ID
  * @param {string} accessToken - QuickBooks access token
  * @param {string} refreshToken - QuickBooks refresh token
  * @param {string} customerId - QuickBooks customer ID
- * @param {string} [dealId] - Optional, filter invoices by dealId in Memo field
- * @returns {Promise<Array>} Array of invoice objects
+ * @param {Object} deal - HubSpot deal object (must have id and amount)
+ * @param {string} [customerEmail] - Email used for BillEmail
+ * @param {Object} [options] - qbLines, quoteAmount, taxCodeId, currency,
+ *   exchangeRate, txnStatus, expirationDate (YYYY-MM-DD), privateNote and requestId
+ * @returns {Promise<Object>} {estimateId, estimateUrl, totalAmount, warnings}
  */
-async function getInvoicesForCustomer(
+async function createEstimate(
   realmId,
   accessToken,
   refreshToken,
   customerId,
-  dealId
+  deal,
+  customerEmail,
+  options = {}
 ) {
-  // Create QuickBooks instance
-  await ensureQuickBooksCreds();
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
 
-  if (!realmId || !accessToken) {
-    const shared = await getGlobalTokens();
-    realmId = realmId || shared.realmId;
-    accessToken = accessToken || shared.accessToken;
-    refreshToken = refreshToken || shared.refreshToken;
+  const { invoiceData, warnings } = await composeInvoicePayload(
+    qbo,
+    customerId,
+    deal,
+    customerEmail,
+    options
+  );
+
+  const estimateData = {
+    ...invoiceData,
+    ...(options.txnStatus ? { TxnStatus: options.txnStatus } : {}),
+    ...(options.expirationDate
+      ? { ExpirationDate: options.expirationDate }
+      : {}),
+    ...(options.privateNote
+      ? { PrivateNote: String(options.privateNote) }
+      : {}),
+  };
+  // Terms and due dates only apply to invoices
+  delete estimateData.SalesTermRef;
+  delete estimateData.DueDate;
+
+  logMessage("INFO", "🔄 Creating QuickBooks estimate", {
+    customerId,
+    dealId: deal.id,
+    lines: estimateData.Line.length,
+  });
+
+  const estimate = await callQBO(qbo, "createEstimate", estimateData);
+  return {
+    estimateId: String(estimate.Id),
+    estimateUrl: buildEstimateUrl(estimate.Id),
+    totalAmount: roundAmount(estimate.TotalAmt),
+    txnStatus: estimate.TxnStatus,
+    warnings: warnings.filter((w) => !w.startsWith("Term ")),
+  };
+}
+
+/**
+ * Sets the TxnStatus of a QuickBooks Estimate (Pending, Accepted, Closed or
+ * Rejected) with a sparse update
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} estimateId - QuickBooks estimate ID
+ * @param {string} txnStatus - New status
+ * @returns {Promise<Object>} The updated QBO Estimate
+ */
+async function updateEstimateStatus(
+  realmId,
+  accessToken,
+  refreshToken,
+  estimateId,
+  txnStatus
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const current = await callQBO(qbo, "getEstimate", String(estimateId));
+
+  if (current.TxnStatus === txnStatus) {
+    return current;
   }
 
-  const qbo = getQBOInstance(realmId, accessToken, refreshToken);
+  logMessage("INFO", "🔄 Updating QuickBooks estimate status", {
+    estimateId,
+    from: current.TxnStatus,
+    to: txnStatus,
+  });
+  return callQBO(qbo, "updateEstimate", {
+    Id: current.Id,
+    SyncToken: current.SyncToken,
+    sparse: true,
+    TxnStatus: txnStatus,
+  });
+}
 
-  const query = `SELECT * FROM Invoice WHERE CustomerRef = '${customerId}'`;
-  let invoices = [];
+// QBO accepts at most 30 operations per batch request
+const QBO_BATCH_LIMIT = 30;
 
-  try {
-    const response = await new Promise((resolve, reject) => {
-      qbo.query(query, (err, data) => {
-        if (err) return reject(err);
-        resolve(data);
-      });
+// Only a validation fault, or an authentication failure, proves QBO applied
+// nothing; system and service faults (5xx) may come after the write
+function isDefiniteRejection(type, statusCode) {
+  return statusCode === 401 || /^validationfault$/i.test(type || "");
+}
+
+/**
+ * Creates many invoices with QBO batch requests (up to 30 per call). A fault
+ * on one invoice, or a failed batch call, is reported for the affected
+ * invoices only; the remaining batches are still sent. Batch items carry no
+ * requestid, so unless QBO answered with a ValidationFault (or 401) the items
+ * of a failed batch or item are reported as unknown, not failed: a timeout,
+ * SystemFault, other 5xx fault or missing item response may follow the write.
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Array<Object>} invoices - Invoice payloads (e.g. from buildInvoiceData)
+ * @returns {Promise<Array<Object>>} One entry per payload, in order:
+ *   {invoiceNumber, invoiceUrl, totalTax, docNumber} or {fault: {type, code, message, detail, statusCode}},
+ *   with unknown: true when the invoice may exist in QBO
+ */
+async function createInvoicesBatch(
+  realmId,
+  accessToken,
+  refreshToken,
+  invoices
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const results = [];
+
+  for (let offset = 0; offset < invoices.length; offset += QBO_BATCH_LIMIT) {
+    const chunk = invoices.slice(offset, offset + QBO_BATCH_LIMIT);
+
+    // requestId only applies to single-entity calls, QBO rejects it in a batch
+    const items = chunk.map((invoiceData, i) => {
+      const Invoice = { ...invoiceData };
+      delete Invoice.requestId;
+      return { bId: String(offset + i), operation: "create", Invoice };
     });
 
-    invoices = response.QueryResponse.Invoice || [];
+    logMessage("INFO", "🔄 Creating QuickBooks invoices in batch", {
+      offset,
+      count: items.length,
+    });
 
-    if (dealId) {
-      invoices = invoices.filter(
-        (inv) => inv.Memo && inv.Memo.includes(dealId)
+    let responses;
+    try {
+      const response = await callQBO(qbo, "batch", items);
+      responses = new Map(
+        (response?.BatchItemResponse || []).map((r) => [r.bId, r])
+      );
+    } catch (e) {
+      logMessage("ERROR", "❌ QuickBooks batch request failed", {
+        offset,
+        message: e?.message,
+      });
+      const fault = {
+        ...(e.qbo || {}),
+        message: e.message,
+        ...(e.statusCode ? { statusCode: e.statusCode } : {}),
+      };
+      const unknown = !isDefiniteRejection(e.qbo?.type, e.statusCode);
+      results.push(
+        ...chunk.map(() => ({ fault, ...(unknown ? { unknown } : {}) }))
       );
+      continue;
     }
-  } catch (e) {
-    logMessage("ERROR", "❌ Error fetching invoices for customer:", e);
+
+    for (const item of items) {
+      const response = responses.get(item.bId);
+
+      if (response?.Invoice?.Id) {
+        results.push({
+          invoiceNumber: response.Invoice.Id,
+          invoiceUrl: buildInvoiceUrl(response.Invoice.Id),
+          totalTax: response.Invoice.TxnTaxDetail?.TotalTax,
+          docNumber: response.Invoice.DocNumber,
+        });
+        continue;
+      }
+
+      const info = response?.Fault
+        ? parseQboError({ Fault: response.Fault })
+        : { message: "No response from QuickBooks for this invoice" };
+
+      logMessage("ERROR", "❌ Error creating QuickBooks invoice in batch", {
+        bId: item.bId,
+        type: info.type,
+        code: info.code,
+        message: info.message,
+        detail: info.detail,
+      });
+
+      results.push({
+        fault: {
+          type: info.type,
+          code: info.code,
+          message: info.message,
+          detail: info.detail,
+        },
+        ...(isDefiniteRejection(info.type) ? {} : { unknown: true }),
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Reduces QBO invoice lines to the fields that matter for comparing two
+ * versions of an invoice (QBO-generated fields such as Id/LineNum are dropped)
+ * @param {Array<Object>} lines - QBO Line array
+ * @returns {Array<Object>} Comparable line summaries
+ */
+function summarizeInvoiceLines(lines) {
+  return (lines || [])
+    .filter((l) =>
+      ["SalesItemLineDetail", "DiscountLineDetail"].includes(l?.DetailType)
+    )
+    .map((l) =>
+      l.DetailType === "DiscountLineDetail"
+        ? {
+            description: l.Description || null,
+            discount: Number(l.Amount ?? 0),
+          }
+        : summarizeSalesLine(l)
+    );
+}
+
+function summarizeSalesLine(l) {
+  return {
+    description: l.Description || null,
+    itemId: l.SalesItemLineDetail?.ItemRef?.value || null,
+    qty: Number(l.SalesItemLineDetail?.Qty ?? 0),
+    unitPrice: Number(l.SalesItemLineDetail?.UnitPrice ?? 0),
+    amount: Number(l.Amount ?? 0),
+    taxCodeId: l.SalesItemLineDetail?.TaxCodeRef?.value || null,
+  };
+}
+
+/**
+ * Retrieves a QuickBooks invoice by ID
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise<Object>} The QBO Invoice
+ */
+async function getInvoiceById(realmId, accessToken, refreshToken, invoiceId) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return callQBO(qbo, "getInvoice", invoiceId);
+}
+
+/**
+ * Retrieves a QuickBooks Item by ID
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} itemId - QuickBooks item ID
+ * @returns {Promise<Object>} The QBO Item
+ */
+async function getItemById(realmId, accessToken, refreshToken, itemId) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return callQBO(qbo, "getItem", String(itemId));
+}
+
+/**
+ * Retrieves a QuickBooks TaxCode by ID
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} taxCodeId - QuickBooks TaxCode ID
+ * @returns {Promise<Object>} The QBO TaxCode
+ */
+async function getTaxCodeById(realmId, accessToken, refreshToken, taxCodeId) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return callQBO(qbo, "getTaxCode", String(taxCodeId));
+}
+
+/**
+ * Loads active Items whose field (e.g. Id, Sku, Name) matches any of the values
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} field - Item field to match
+ * @param {Array<string>} values - Values to look up
+ * @returns {Promise<Array<Object>>} QBO Items found
+ */
+async function findItemsByField(
+  realmId,
+  accessToken,
+  refreshToken,
+  field,
+  values
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return findEntitiesByField(qbo, "findItems", "Item", field, values);
+}
+
+/**
+ * Creates a QuickBooks Item
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Object} item - QBO Item payload
+ * @returns {Promise<Object>} The created Item
+ */
+async function createItem(realmId, accessToken, refreshToken, item) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return callQBO(qbo, "createItem", item);
+}
+
+/**
+ * Sends a sparse update for an existing QuickBooks Item
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Object} item - Current QBO Item (Id and SyncToken are used)
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} The updated Item
+ */
+async function updateItem(realmId, accessToken, refreshToken, item, changes) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return callQBO(qbo, "updateItem", {
+    Id: item.Id,
+    SyncToken: item.SyncToken,
+    sparse: true,
+    ...changes,
+  });
+}
+
+/**
+ * Rebuilds the lines of an existing invoice from a HubSpot deal and sends a
+ * sparse update using the invoice's current SyncToken. Lines are mapped the
+ * same way as createInvoice.
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @param {Object} deal - HubSpot deal object (must have id and amount)
+ * @param {Object} [options] - Optional qbLines; force to update even when lines are unchanged
+ * @returns {Promise<{before: Object, after: Object, warnings: Array<string>, updated: boolean}>}
+ */
+async function updateInvoiceLines(
+  realmId,
+  accessToken,
+  refreshToken,
+  invoiceId,
+  deal,
+  options = {}
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const before = await callQBO(qbo, "getInvoice", invoiceId);
+
+  const { invoiceData, warnings } = await composeInvoicePayload(
+    qbo,
+    before?.CustomerRef?.value,
+    deal,
+    undefined,
+    options
+  );
+
+  const unchanged =
+    JSON.stringify(summarizeInvoiceLines(before?.Line)) ===
+    JSON.stringify(summarizeInvoiceLines(invoiceData.Line));
+
+  if (unchanged && !options.force) {
+    logMessage("INFO", "ℹ️ Invoice lines unchanged, skipping update", {
+      invoiceId,
+    });
+    return { before, after: before, warnings, updated: false };
+  }
+
+  const update = {
+    Id: before.Id,
+    SyncToken: before.SyncToken,
+    sparse: true,
+    Line: invoiceData.Line,
+    ...(invoiceData.TxnTaxDetail
+      ? { TxnTaxDetail: invoiceData.TxnTaxDetail }
+      : {}),
+  };
+
+  logMessage("INFO", "🔄 Updating QuickBooks invoice lines", {
+    invoiceId,
+    syncToken: before.SyncToken,
+    lines: update.Line.length,
+  });
+
+  const after = await callQBO(qbo, "updateInvoice", update);
+  return { before, after, warnings, updated: true };
+}
+
+/**
+ * Voids a QuickBooks invoice. The invoice stays in QBO with a zero balance.
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise<Object>} The voided QBO Invoice
+ */
+async function voidInvoice(realmId, accessToken, refreshToken, invoiceId) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const current = await callQBO(qbo, "getInvoice", invoiceId);
+
+  logMessage("INFO", "🔄 Voiding QuickBooks invoice", { invoiceId });
+  const response = await callQBO(qbo, "voidInvoice", {
+    Id: current.Id,
+    SyncToken: current.SyncToken,
+  });
+
+  return response?.Invoice || response;
+}
+
+/**
+ * Deletes a QuickBooks invoice
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise<Object>} QBO delete response ({Id, status: "Deleted"})
+ */
+async function deleteInvoice(realmId, accessToken, refreshToken, invoiceId) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const current = await callQBO(qbo, "getInvoice", invoiceId);
+
+  logMessage("INFO", "🔄 Deleting QuickBooks invoice", { invoiceId });
+  const response = await callQBO(qbo, "deleteInvoice", {
+    Id: current.Id,
+    SyncToken: current.SyncToken,
+  });
+
+  return response?.Invoice || response;
+}
+
+/**
+ * Emails an invoice through QuickBooks' send operation
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @param {string} [sendTo] - Recipient override; defaults to the invoice BillEmail
+ * @returns {Promise<Object>} The sent QBO Invoice (EmailStatus, DeliveryInfo)
+ */
+async function sendInvoice(
+  realmId,
+  accessToken,
+  refreshToken,
+  invoiceId,
+  sendTo
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+
+  logMessage("INFO", "🔄 Sending QuickBooks invoice", {
+    invoiceId,
+    overrideRecipient: !!sendTo,
+  });
+
+  // node-quickbooks appends sendTo to the URL as-is
+  return sendTo
+    ? callQBO(qbo, "sendInvoicePdf", invoiceId, encodeURIComponent(sendTo))
+    : callQBO(qbo, "sendInvoicePdf", invoiceId);
+}
+
+/**
+ * Downloads the QBO-generated PDF for an invoice
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @returns {Promise<{pdf: Buffer, docNumber: string}>} PDF bytes and invoice DocNumber
+ */
+async function getInvoicePdf(realmId, accessToken, refreshToken, invoiceId) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const invoice = await callQBO(qbo, "getInvoice", invoiceId);
+  const pdf = await callQBO(qbo, "getInvoicePdf", invoiceId);
+
+  if (!Buffer.isBuffer(pdf)) {
+    throw new Error("QuickBooks did not return a PDF for this invoice");
+  }
+
+  return { pdf, docNumber: invoice?.DocNumber || String(invoiceId) };
+}
+
+/**
+ * Uploads a PDF to QuickBooks as an Attachable linked to an invoice
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} invoiceId - QuickBooks invoice ID
+ * @param {string} fileName - File name shown in QuickBooks
+ * @param {Buffer} pdf - PDF bytes
+ * @returns {Promise<{attachableId: string}>} The created Attachable
+ */
+async function attachPdfToInvoice(
+  realmId,
+  accessToken,
+  refreshToken,
+  invoiceId,
+  fileName,
+  pdf
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+
+  logMessage("INFO", "🔄 Attaching PDF to QuickBooks invoice", {
+    invoiceId,
+    fileName,
+    bytes: pdf.length,
+  });
+  // Uploads the file, then links the Attachable to the invoice
+  const attachable = await callQBO(
+    qbo,
+    "upload",
+    fileName,
+    "application/pdf",
+    pdf,
+    "Invoice",
+    String(invoiceId)
+  );
+  return { attachableId: String(attachable?.Id) };
+}
+
+// QBO queries return at most 100 rows unless MAXRESULTS is set
+const FIND_IN_CHUNK = 100;
+
+/**
+ * Loads QBO entities whose field matches any of the values, using chunked
+ * "<field> IN (...)" queries
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @param {string} method - node-quickbooks find method (e.g. "findInvoices")
+ * @param {string} entity - QueryResponse key (e.g. "Invoice")
+ * @param {string} field - Queryable field (e.g. "Id", "Sku", "Name")
+ * @param {Array<string>} values - Values to match
+ * @returns {Promise<Array<Object>>} Entities found (unmatched values are omitted)
+ */
+async function findEntitiesByField(qbo, method, entity, field, values) {
+  const unique = [...new Set((values || []).filter(Boolean).map(String))];
+  const found = [];
+
+  for (let i = 0; i < unique.length; i += FIND_IN_CHUNK) {
+    const chunk = unique.slice(i, i + FIND_IN_CHUNK);
+    const response = await callQBO(qbo, method, [
+      { field, value: chunk, operator: "IN" },
+    ]);
+    found.push(...(response?.QueryResponse?.[entity] || []));
+  }
+
+  return found;
+}
+
+function findEntitiesByIds(qbo, method, entity, ids) {
+  return findEntitiesByField(qbo, method, entity, "Id", ids);
+}
+
+/**
+ * Loads invoices by ID, including Balance, TotalAmt, DueDate and LinkedTxn
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Array<string>} invoiceIds - QuickBooks invoice IDs
+ * @returns {Promise<Array<Object>>} QBO Invoices found
+ */
+async function findInvoicesByIds(
+  realmId,
+  accessToken,
+  refreshToken,
+  invoiceIds
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return findEntitiesByIds(qbo, "findInvoices", "Invoice", invoiceIds);
+}
+
+/**
+ * Loads payments by ID (e.g. from an invoice's LinkedTxn)
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {Array<string>} paymentIds - QuickBooks payment IDs
+ * @returns {Promise<Array<Object>>} QBO Payments found
+ */
+async function findPaymentsByIds(
+  realmId,
+  accessToken,
+  refreshToken,
+  paymentIds
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  return findEntitiesByIds(qbo, "findPayments", "Payment", paymentIds);
+}
+
+/**
+ * Gets the first Item info from QuickBooks account (used for invoice line)
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @returns {Promise<{id:string, name:string}>} The first Item id and name
+ */
+async function getFirstItemInfo(qbo) {
+  return new Promise((resolve, reject) => {
+    qbo.findItems({}, (err, items) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const arr =
+        items?.QueryResponse?.Item && Array.isArray(items.QueryResponse.Item)
+          ? items.QueryResponse.Item
+          : [];
+
+      if (arr.length > 0) {
+        const first = arr[0];
+        resolve({
+          id: String(first.Id),
+          name: String(first.Name || "Service"),
+        });
+      } else {
+        reject(new Error("No items found in QuickBooks account."));
+      }
+    });
+  });
+}
+
+/**
+ * How HubSpot line discounts are carried over (QUICKBOOKS_DISCOUNT_MODE):
+ * "line" lowers the line amount, "discount_line" keeps the gross line and
+ * adds the discount to the invoice's DiscountLineDetail line
+ * @returns {string} "line" or "discount_line"
+ */
+function getDiscountMode() {
+  const mode = String(process.env.QUICKBOOKS_DISCOUNT_MODE || "line")
+    .trim()
+    .toLowerCase();
+  return mode === "discount_line" ? "discount_line" : "line";
+}
+
+function buildDiscountLine(amount) {
+  const accountId = process.env.QUICKBOOKS_DISCOUNT_ACCOUNT_ID;
+  return {
+    Amount: amount,
+    DetailType: "DiscountLineDetail",
+    DiscountLineDetail: {
+      PercentBased: false,
+      ...(accountId
+        ? { DiscountAccountRef: { value: String(accountId) } }
+        : {}),
+    },
+    Description: "Discount",
+  };
+}
+
+/**
+ * Works out the invoice discount: collected line discounts plus any gap
+ * between the lines and a lower HubSpot quote total. A quote total above
+ * the lines cannot be matched and is reported in warnings.
+ * @param {Array<Object>} lineArray - QBO sales lines
+ * @param {number} lineDiscountTotal - Line discounts kept off the lines
+ * @param {number|null} quoteAmount - HubSpot quote total, when known
+ * @param {Array<string>} warnings - Warnings list to append to
+ * @returns {number} Discount line amount (0 for none)
+ */
+function reconcileQuoteDiscount(
+  lineArray,
+  lineDiscountTotal,
+  quoteAmount,
+  warnings
+) {
+  const lineTotal = roundAmount(
+    lineArray.reduce((sum, l) => sum + Number(l.Amount || 0), 0)
+  );
+  let discount = roundAmount(lineDiscountTotal);
+
+  if (quoteAmount == null || !Number.isFinite(Number(quoteAmount))) {
+    return discount;
+  }
+
+  const gap = roundAmount(lineTotal - discount - Number(quoteAmount));
+  if (gap > 0) {
+    discount = roundAmount(discount + gap);
+  } else if (gap < 0) {
+    warnings.push(
+      `Invoice subtotal ${(lineTotal - discount).toFixed(2)} is below the HubSpot quote amount ${Number(quoteAmount).toFixed(2)}; quote-level fees are not carried over`
+    );
+  }
+
+  return discount;
+}
+
+/**
+ * Resolves the Item used for lines without a matching QBO Item and for the
+ * single deal amount line: QUICKBOOKS_FALLBACK_ITEM_ID when configured,
+ * otherwise the first Item in the company
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @returns {Promise<{id:string, name:string}>} The fallback Item id and name
+ */
+async function getFallbackItemInfo(qbo) {
+  const configuredId = process.env.QUICKBOOKS_FALLBACK_ITEM_ID;
+  if (!configuredId) {
+    return getFirstItemInfo(qbo);
+  }
+
+  try {
+    const item = await callQBO(qbo, "getItem", String(configuredId));
+    return { id: String(item.Id), name: String(item.Name || "Service") };
+  } catch (e) {
+    throw new Error(
+      `QUICKBOOKS_FALLBACK_ITEM_ID ${configuredId} could not be loaded (${e.message})`
+    );
+  }
+}
+
+function describeLine(line) {
+  const name = line?.name ? `"${line.name}"` : "(unnamed)";
+  return line?.sku ? `${name} (SKU ${line.sku})` : name;
+}
+
+/**
+ * Resolves the QBO Item of each line, in order: an itemId already set on the
+ * line (stored HubSpot product mapping), an active Item with the same SKU,
+ * then one with the same name (both case-insensitive)
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @param {Array<Object>} lines - Normalized qbLines (name, sku, itemId, ...)
+ * @returns {Promise<{lines: Array<Object>, unresolved: Array<Object>, warnings: Array<string>}>}
+ *   Lines with itemRef/itemSource set where resolved, and the unresolved lines
+ */
+async function resolveLineItems(qbo, lines) {
+  const warnings = [];
+  const lookup = async (field, values) => {
+    if (values.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const items = await findEntitiesByField(
+        qbo,
+        "findItems",
+        "Item",
+        field,
+        values
+      );
+      return new Map(
+        items
+          .filter((item) => item?.[field])
+          .map((item) => [String(item[field]).toLowerCase(), item])
+      );
+    } catch (e) {
+      logMessage("WARN", `⚠️ Item lookup by ${field} failed`, e?.message);
+      warnings.push(`QuickBooks items could not be matched by ${field}`);
+      return new Map();
+    }
+  };
+
+  const unmapped = lines.filter((l) => !l.itemId);
+  const bySku = await lookup("Sku", unmapped.map((l) => l.sku).filter(Boolean));
+  const byName = await lookup(
+    "Name",
+    unmapped
+      .filter((l) => !(l.sku && bySku.has(String(l.sku).toLowerCase())))
+      .map((l) => l.name)
+      .filter(Boolean)
+  );
+
+  const unresolved = [];
+  const resolved = lines.map((line) => {
+    if (line.itemId) {
+      return {
+        ...line,
+        itemRef: { value: String(line.itemId), name: line.itemName },
+        itemSource: line.itemSource || "mapping",
+      };
+    }
+
+    const skuMatch = line.sku && bySku.get(String(line.sku).toLowerCase());
+    const nameMatch =
+      !skuMatch && line.name && byName.get(String(line.name).toLowerCase());
+    const item = skuMatch || nameMatch;
+
+    if (!item) {
+      unresolved.push(line);
+      return line;
+    }
+
+    return {
+      ...line,
+      itemRef: { value: String(item.Id), name: item.Name },
+      itemSource: skuMatch ? "sku" : "name",
+    };
+  });
+
+  logMessage("DEBUG", "🐛 Resolved invoice line items", {
+    lines: lines.length,
+    unresolved: unresolved.length,
+  });
+
+  return { lines: resolved, unresolved, warnings };
+}
+
+// Invoices read per query when scanning for a deal's invoices
+const INVOICE_SCAN_PAGE = 1000;
+
+/**
+ * Reads invoices newest first, optionally for one customer, up to a limit
+ * @param {QuickBooks} qbo - QuickBooks instance
+ * @param {Object} [options] - customerId and limit
+ * @returns {Promise<{invoices: Array<Object>, truncated: boolean}>} truncated
+ *   when more invoices were left unread
+ */
+async function scanInvoices(qbo, { customerId, limit } = {}) {
+  const invoices = [];
+
+  for (let offset = 1; invoices.length < limit; offset += INVOICE_SCAN_PAGE) {
+    const pageSize = Math.min(INVOICE_SCAN_PAGE, limit - invoices.length);
+    const response = await callQBO(qbo, "findInvoices", [
+      ...(customerId
+        ? [{ field: "CustomerRef", value: String(customerId) }]
+        : []),
+      { field: "desc", value: "MetaData.CreateTime" },
+      { field: "limit", value: pageSize },
+      { field: "offset", value: offset },
+    ]);
+    const page = response?.QueryResponse?.Invoice || [];
+    invoices.push(...page);
+
+    if (page.length < pageSize) {
+      return { invoices, truncated: false };
+    }
+  }
+
+  return { invoices, truncated: true };
+}
+
+/**
+ * Retrieves all invoices for a QuickBooks customer, optionally only those
+ * that carry a HubSpot deal reference (see buildDealReference)
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} customerId - QuickBooks customer ID
+ * @param {string} [dealId] - Optional, filter invoices by HubSpot deal ID
+ * @returns {Promise<Array>} Array of invoice objects
+ */
+async function getInvoicesForCustomer(
+  realmId,
+  accessToken,
+  refreshToken,
+  customerId,
+  dealId
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+
+  try {
+    const { invoices } = await scanInvoices(qbo, {
+      customerId,
+      limit: Infinity,
+    });
+    return dealId
+      ? invoices.filter((inv) => matchDealReference(inv, dealId))
+      : invoices;
+  } catch (e) {
+    logMessage("ERROR", "❌ Error fetching invoices for customer:", e);
     throw e;
   }
+}
 
-  return invoices;
+/**
+ * Finds the invoices of a HubSpot deal in QuickBooks itself, by the deal
+ * reference stamped on each invoice, without relying on the Mongo records.
+ * PrivateNote and custom fields are not queryable in QBO, so invoices are
+ * scanned newest first (only the customer's when customerId is given) up
+ * to QUICKBOOKS_DEAL_LOOKUP_LIMIT.
+ * @param {string} realmId - QuickBooks realm ID
+ * @param {string} accessToken - QuickBooks access token
+ * @param {string} refreshToken - QuickBooks refresh token
+ * @param {string} dealId - HubSpot deal ID
+ * @param {Object} [options] - Optional customerId to narrow the scan
+ * @returns {Promise<Object>} {invoices: [{invoice, invoiceUrl, matchedBy}],
+ *   scanned, truncated}
+ */
+async function findInvoicesForDeal(
+  realmId,
+  accessToken,
+  refreshToken,
+  dealId,
+  { customerId } = {}
+) {
+  const qbo = await getQBOForTokens(realmId, accessToken, refreshToken);
+  const limit =
+    Number(process.env.QUICKBOOKS_DEAL_LOOKUP_LIMIT) > 0
+      ? Number(process.env.QUICKBOOKS_DEAL_LOOKUP_LIMIT)
+      : 5000;
+
+  const { invoices, truncated } = await scanInvoices(qbo, {
+    customerId,
+    limit,
+  });
+  const matches = invoices
+    .map((invoice) => ({
+      invoice,
+      invoiceUrl: buildInvoiceUrl(invoice.Id),
+      matchedBy: matchDealReference(invoice, dealId),
+    }))
+    .filter((m) => m.matchedBy);
+
+  logMessage("INFO", "ℹ️ Looked up deal invoices in QuickBooks", {
+    dealId,
+    customerId,
+    scanned: invoices.length,
+    found: matches.length,
+    truncated,
+  });
+  return { invoices: matches, scanned: invoices.length, truncated };
 }
 
 /**
@@ -1471,13 +3011,42 @@ module.exports = {
   handleCallback,
   handleRefreshToken,
   getOrCreateCustomer,
+  findCustomer,
+  buildCustomerData,
+  resolveInvoiceCurrency,
+  assertCustomerCurrency,
   createInvoice,
+  createEstimate,
+  updateEstimateStatus,
+  createCreditMemo,
+  buildInvoiceData,
+  createInvoicesBatch,
+  getInvoiceById,
+  buildInvoiceUrl,
+  getItemById,
+  getTaxCodeById,
+  findTerm,
+  findItemsByField,
+  createItem,
+  updateItem,
+  updateInvoiceLines,
+  summarizeInvoiceLines,
+  voidInvoice,
+  deleteInvoice,
+  sendInvoice,
+  getInvoicePdf,
+  attachPdfToInvoice,
+  findInvoicesByIds,
+  findPaymentsByIds,
   checkConnection,
   getInvoicesForCustomer,
+  findInvoicesForDeal,
+  matchDealReference,
   getCustomerByEmail,
   getQBOInstance,
   isInvoiceValidInQuickBooks,
   verifyInvoicesInQuickBooks,
   getGlobalTokens,
+  resolveGlobalTokens,
   invalidateGlobalToken,
 };
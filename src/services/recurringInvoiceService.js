@@ -0,0 +1,600 @@
+const crypto = require("crypto");
+const { getDB } = require("../config/db");
+const invoiceService = require("./invoiceService");
+
+const { logMessage } = require("../common/logger");
+const { parseBoolean, isValidEmail } = require("../common/helpers");
+const { INVOICE_SCHEDULE_COLLECTION } = require("../models/constants");
+
+// Months per cycle of each interval; weekly cycles are counted in days
+const INTERVAL_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const INTERVALS = ["weekly", ...Object.keys(INTERVAL_MONTHS)];
+
+// A schedule claimed by a scheduler run that did not finish after this is
+// considered abandoned (Lambda timeout) and may be claimed again
+const SCHEDULE_STALE_MS = 15 * 60 * 1000;
+
+// Consecutive failures of one cycle before the schedule is paused
+const SCHEDULE_MAX_FAILURES = 3;
+
+// Wait before retrying a failed cycle, doubled after each further failure
+const SCHEDULE_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+// Cycle entries kept on a schedule; older ones are dropped (cyclesCompleted
+// keeps counting and the invoices stay listed under the deal)
+const SCHEDULE_CYCLE_HISTORY = 100;
+
+// Statuses in which a schedule still invoices its deal. These schedules carry
+// openDealId, whose unique index allows one of them per deal.
+const OPEN_STATUSES = ["active", "paused"];
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Transitions allowed through the API, by action
+const STATUS_ACTIONS = {
+  pause: { from: ["active"], to: "paused", stamp: "pausedAt" },
+  resume: { from: ["paused"], to: "active", stamp: "resumedAt" },
+  cancel: { from: ["active", "paused"], to: "cancelled", stamp: "cancelledAt" },
+};
+
+function toDate(raw) {
+  if (raw == null || raw === "") {
+    return null;
+  }
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Date of the n-th cycle (0-based) of a schedule. Cycles are counted from the
+ * start date so month ends do not drift (Jan 31, Feb 28, Mar 31).
+ * @param {Object} schedule - interval, intervalCount and startDate
+ * @param {number} cycle - Cycle index
+ * @returns {Date}
+ */
+function getCycleDate({ interval, intervalCount = 1, startDate }, cycle) {
+  const start = new Date(startDate);
+  const steps = cycle * intervalCount;
+
+  if (interval === "weekly") {
+    return new Date(start.getTime() + steps * 7 * 24 * 60 * 60 * 1000);
+  }
+
+  const date = new Date(start);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + steps * INTERVAL_MONTHS[interval]);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return date;
+}
+
+// Whether a schedule has no cycle left at or after the given index
+function isFinished(schedule, cycle) {
+  if (schedule.count && cycle >= schedule.count) {
+    return true;
+  }
+  return (
+    !!schedule.endDate &&
+    getCycleDate(schedule, cycle) > new Date(schedule.endDate)
+  );
+}
+
+function toScheduleView(doc) {
+  return {
+    scheduleId: doc.scheduleId,
+    dealId: doc.dealId,
+    contactId: doc.contactId,
+    userId: doc.userId,
+    interval: doc.interval,
+    intervalCount: doc.intervalCount,
+    startDate: doc.startDate,
+    endDate: doc.endDate || null,
+    count: doc.count || null,
+    status: doc.status,
+    statusReason: doc.statusReason,
+    nextCycle: doc.nextCycle,
+    nextRunAt: doc.status === "active" ? doc.nextRunAt : null,
+    cyclesCompleted: doc.cyclesCompleted,
+    sendEmail: doc.sendEmail,
+    sendTo: doc.sendTo,
+    quoteId: doc.quoteId,
+    quoteSelection: doc.quoteSelection,
+    lastError: doc.lastError,
+    cycles: doc.cycles || [],
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/**
+ * Validates the fields of a new schedule
+ * @param {Object} input - Request body
+ * @returns {Object} The schedule fields or {error, status}
+ */
+function buildScheduleFields(input) {
+  const { userId, dealId, contactId, sendTo, quoteId, quoteSelection } = input;
+
+  if (!dealId || !contactId) {
+    return { error: "❌ dealId and contactId are required", status: 400 };
+  }
+
+  const interval = String(input.interval || "").toLowerCase();
+  if (!INTERVALS.includes(interval)) {
+    return {
+      error: `❌ interval must be one of ${INTERVALS.join(", ")}`,
+      status: 400,
+    };
+  }
+
+  const intervalCount =
+    input.intervalCount != null ? Number(input.intervalCount) : 1;
+  if (!Number.isInteger(intervalCount) || intervalCount < 1) {
+    return {
+      error: "❌ intervalCount must be a positive integer",
+      status: 400,
+    };
+  }
+
+  const startDate = toDate(input.startDate) || new Date();
+  const endDate = toDate(input.endDate);
+  if (toDate(input.startDate) === undefined || endDate === undefined) {
+    return { error: "❌ startDate and endDate must be dates", status: 400 };
+  }
+  if (endDate && endDate < startDate) {
+    return { error: "❌ endDate must not be before startDate", status: 400 };
+  }
+
+  const count = input.count != null ? Number(input.count) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    return { error: "❌ count must be a positive integer", status: 400 };
+  }
+
+  if (sendTo && !isValidEmail(sendTo)) {
+    return { error: "❌ sendTo must be a valid email address", status: 400 };
+  }
+
+  return {
+    userId,
+    dealId: String(dealId),
+    contactId: String(contactId),
+    interval,
+    intervalCount,
+    startDate,
+    ...(endDate ? { endDate } : {}),
+    ...(count ? { count } : {}),
+    sendEmail: parseBoolean(input.sendEmail),
+    ...(sendTo ? { sendTo } : {}),
+    ...(quoteId ? { quoteId: String(quoteId) } : {}),
+    ...(quoteSelection ? { quoteSelection } : {}),
+  };
+}
+
+/**
+ * Creates a recurring invoice schedule for a deal. Each cycle runs
+ * create-invoice for the deal on its date. A deal has at most one active or
+ * paused schedule.
+ * @param {Object} input - userId, dealId, contactId, interval (weekly, monthly,
+ *   quarterly, yearly), optional intervalCount, startDate, endDate, count,
+ *   sendEmail, sendTo, quoteId and quoteSelection
+ * @returns {Promise<Object>} - The schedule or error
+ */
+async function createSchedule(input) {
+  logMessage("DEBUG", "🐛 createSchedule called", input);
+
+  const fields = buildScheduleFields(input || {});
+  if (fields.error) {
+    return fields;
+  }
+
+  try {
+    const collection = getDB().collection(INVOICE_SCHEDULE_COLLECTION);
+
+    const findOpen = () =>
+      collection.findOne({
+        dealId: fields.dealId,
+        status: { $in: OPEN_STATUSES },
+      });
+    const alreadyScheduled = (existing) => ({
+      error: `❌ Deal ${fields.dealId} already has schedule ${existing?.scheduleId}`,
+      status: 409,
+    });
+
+    const existing = await findOpen();
+    if (existing) {
+      return alreadyScheduled(existing);
+    }
+
+    const doc = {
+      scheduleId: crypto.randomUUID(),
+      ...fields,
+      openDealId: fields.dealId,
+      status: "active",
+      nextCycle: 0,
+      nextRunAt: fields.startDate,
+      cyclesCompleted: 0,
+      failures: 0,
+      cycles: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    try {
+      await collection.insertOne(doc);
+    } catch (e) {
+      // A concurrent request created the deal's schedule first
+      if (e?.code === DUPLICATE_KEY_ERROR) {
+        return alreadyScheduled(await findOpen());
+      }
+      throw e;
+    }
+
+    logMessage("INFO", "✅ Invoice schedule created", {
+      scheduleId: doc.scheduleId,
+      dealId: doc.dealId,
+      interval: doc.interval,
+      startDate: doc.startDate,
+    });
+    return toScheduleView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in createSchedule:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Lists invoice schedules
+ * @param {Object} [filters] - Optional dealId and status
+ * @returns {Promise<Object>} - {schedules} or error
+ */
+async function listSchedules({ dealId, status } = {}) {
+  try {
+    const docs = await getDB()
+      .collection(INVOICE_SCHEDULE_COLLECTION)
+      .find({
+        ...(dealId ? { dealId: String(dealId) } : {}),
+        ...(status ? { status } : {}),
+      })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return { schedules: docs.map(toScheduleView) };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in listSchedules:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Fetches one invoice schedule with its cycle history
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} - The schedule or error
+ */
+async function getSchedule(scheduleId) {
+  try {
+    const doc = await getDB()
+      .collection(INVOICE_SCHEDULE_COLLECTION)
+      .findOne({ scheduleId: String(scheduleId) });
+
+    if (!doc) {
+      return { error: "❌ Invoice schedule not found", status: 404 };
+    }
+
+    return toScheduleView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in getSchedule:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Pauses, resumes or cancels a schedule. Cycles whose date passed while the
+ * schedule was paused are skipped on resume, not invoiced late.
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} action - "pause", "resume" or "cancel"
+ * @param {Object} [options] - Optional reason
+ * @returns {Promise<Object>} - The schedule or error
+ */
+async function updateScheduleStatus(scheduleId, action, { reason } = {}) {
+  logMessage("DEBUG", "🐛 updateScheduleStatus called", {
+    scheduleId,
+    action,
+  });
+
+  const transition = STATUS_ACTIONS[action];
+  if (!transition) {
+    return { error: `❌ Unknown schedule action "${action}"`, status: 400 };
+  }
+
+  try {
+    const collection = getDB().collection(INVOICE_SCHEDULE_COLLECTION);
+    const current = await collection.findOne({
+      scheduleId: String(scheduleId),
+    });
+
+    if (!current) {
+      return { error: "❌ Invoice schedule not found", status: 404 };
+    }
+
+    if (!transition.from.includes(current.status)) {
+      return {
+        error: `❌ Schedule is ${current.status} and cannot be ${transition.to === "active" ? "resumed" : transition.to}`,
+        status: 409,
+      };
+    }
+
+    const update = {
+      status: transition.to,
+      statusReason: reason || null,
+      updatedAt: new Date(),
+      [transition.stamp]: new Date(),
+    };
+
+    if (action === "resume") {
+      let cycle = current.nextCycle;
+      while (
+        !isFinished(current, cycle) &&
+        getCycleDate(current, cycle) < new Date()
+      ) {
+        cycle++;
+      }
+      if (isFinished(current, cycle)) {
+        update.status = "completed";
+        update.statusReason = "No cycles left after resuming";
+      }
+      Object.assign(update, {
+        nextCycle: cycle,
+        nextRunAt: getCycleDate(current, cycle),
+        failures: 0,
+      });
+    }
+
+    // The status filter keeps a concurrent transition from being overwritten
+    const doc = await collection.findOneAndUpdate(
+      { scheduleId: current.scheduleId, status: current.status },
+      OPEN_STATUSES.includes(update.status)
+        ? { $set: update }
+        : { $set: update, $unset: { openDealId: "" } },
+      { returnDocument: "after" }
+    );
+
+    if (!doc) {
+      return {
+        error: "❌ Schedule changed concurrently, please retry",
+        status: 409,
+      };
+    }
+
+    logMessage("INFO", `✅ Invoice schedule ${doc.status}`, {
+      scheduleId: doc.scheduleId,
+      dealId: doc.dealId,
+    });
+    return toScheduleView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in updateScheduleStatus:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Claims an active schedule whose next cycle is due
+ * @param {Date} now - Current time
+ * @param {Array<string>} [excludeIds] - Schedules already run this time
+ * @returns {Promise<Object|null>} The claimed schedule
+ */
+async function claimDueSchedule(now, excludeIds = []) {
+  return getDB()
+    .collection(INVOICE_SCHEDULE_COLLECTION)
+    .findOneAndUpdate(
+      {
+        status: "active",
+        ...(excludeIds.length > 0 ? { scheduleId: { $nin: excludeIds } } : {}),
+        nextRunAt: { $lte: now },
+        $or: [
+          { runningAt: null },
+          { runningAt: { $lt: new Date(now.getTime() - SCHEDULE_STALE_MS) } },
+        ],
+      },
+      { $set: { runningAt: now } },
+      { sort: { nextRunAt: 1 }, returnDocument: "after" }
+    );
+}
+
+/**
+ * Invoices the next cycle of a claimed schedule through create-invoice. The
+ * cycle's Idempotency-Key makes a retried cycle resolve to its invoice.
+ * @param {Object} schedule - Claimed schedule document
+ * @returns {Promise<Object>} The cycle entry recorded on the schedule
+ */
+async function runScheduleCycle(schedule) {
+  const collection = getDB().collection(INVOICE_SCHEDULE_COLLECTION);
+  const cycle = schedule.nextCycle;
+  const scheduledFor = getCycleDate(schedule, cycle);
+
+  logMessage("INFO", "🔄 Invoicing schedule cycle", {
+    scheduleId: schedule.scheduleId,
+    dealId: schedule.dealId,
+    cycle,
+    scheduledFor,
+  });
+
+  const result = await invoiceService
+    .handleCreateInvoice({
+      userId: schedule.userId,
+      dealId: schedule.dealId,
+      contactId: schedule.contactId,
+      idempotencyKey: `schedule:${schedule.scheduleId}:${cycle}`,
+      sendEmail: schedule.sendEmail,
+      sendTo: schedule.sendTo,
+      quoteId: schedule.quoteId,
+      quoteSelection: schedule.quoteSelection,
+      schedule: { scheduleId: schedule.scheduleId, cycle },
+    })
+    .catch((e) => ({ error: e?.message || String(e), status: 500 }));
+
+  const entry = {
+    cycle,
+    scheduledFor,
+    runAt: new Date(),
+    ...(result.error
+      ? { status: "failed", error: result.error }
+      : {
+          status: result.duplicate ? "duplicate" : "created",
+          invoiceNumber: result.invoiceNumber,
+          invoiceUrl: result.invoiceUrl,
+          ...(result.warnings?.length ? { warnings: result.warnings } : {}),
+        }),
+  };
+
+  if (result.error) {
+    const failures = (schedule.failures || 0) + 1;
+    const pause = failures >= SCHEDULE_MAX_FAILURES;
+    // Back off so a transient error (e.g. a token refresh) is not retried
+    // right away and does not use up the failures allowed
+    const retryAt = new Date(
+      Date.now() + SCHEDULE_RETRY_DELAY_MS * 2 ** (failures - 1)
+    );
+
+    await collection.updateOne(
+      { scheduleId: schedule.scheduleId },
+      {
+        $set: {
+          failures,
+          nextRunAt: retryAt,
+          lastError: { message: result.error, status: result.status || 500 },
+          updatedAt: new Date(),
+        },
+        $push: {
+          cycles: { $each: [entry], $slice: -SCHEDULE_CYCLE_HISTORY },
+        },
+        $unset: { runningAt: "" },
+      }
+    );
+
+    // A cycle that keeps failing needs a person; stop retrying it
+    if (pause) {
+      await collection.updateOne(
+        { scheduleId: schedule.scheduleId, status: "active" },
+        {
+          $set: {
+            status: "paused",
+            pausedAt: new Date(),
+            statusReason: `Cycle ${cycle} failed ${failures} times`,
+          },
+        }
+      );
+    }
+
+    logMessage("WARN", "⚠️ Schedule cycle failed", {
+      scheduleId: schedule.scheduleId,
+      cycle,
+      failures,
+      paused: pause,
+      retryAt,
+      error: result.error,
+    });
+    return entry;
+  }
+
+  const nextCycle = cycle + 1;
+  await collection.updateOne(
+    { scheduleId: schedule.scheduleId },
+    {
+      $set: {
+        nextCycle,
+        nextRunAt: getCycleDate(schedule, nextCycle),
+        failures: 0,
+        lastRunAt: new Date(),
+        updatedAt: new Date(),
+      },
+      $inc: { cyclesCompleted: 1 },
+      $push: {
+        cycles: { $each: [entry], $slice: -SCHEDULE_CYCLE_HISTORY },
+      },
+      $unset: { runningAt: "", lastError: "" },
+    }
+  );
+
+  if (isFinished(schedule, nextCycle)) {
+    await collection.updateOne(
+      {
+        scheduleId: schedule.scheduleId,
+        status: { $in: OPEN_STATUSES },
+      },
+      {
+        $set: { status: "completed", completedAt: new Date() },
+        $unset: { openDealId: "" },
+      }
+    );
+  }
+
+  logMessage("INFO", "✅ Schedule cycle invoiced", {
+    scheduleId: schedule.scheduleId,
+    cycle,
+    invoiceNumber: entry.invoiceNumber,
+    duplicate: entry.status === "duplicate",
+  });
+  return entry;
+}
+
+/**
+ * Scheduler entry: invoices the due cycle of up to `limit` schedules. A
+ * schedule behind by several cycles catches up one cycle per run.
+ * @param {Object} [params] - Optional limit
+ * @returns {Promise<Object>} - {processed: [{scheduleId, dealId, ...cycle}]}
+ */
+async function runDueSchedules({ limit = 25 } = {}) {
+  const processed = [];
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      const schedule = await claimDueSchedule(
+        new Date(),
+        processed.map((p) => p.scheduleId)
+      );
+      if (!schedule) {
+        break;
+      }
+
+      const entry = await runScheduleCycle(schedule);
+      processed.push({
+        scheduleId: schedule.scheduleId,
+        dealId: schedule.dealId,
+        ...entry,
+      });
+    }
+
+    return { processed };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in runDueSchedules:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500, processed };
+  }
+}
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateScheduleStatus,
+  runDueSchedules,
+};
@@ -0,0 +1,371 @@
+const crypto = require("crypto");
+const { getDB } = require("../config/db");
+const hubspotService = require("./hubspotService");
+const quickbooksService = require("./quickbooksService");
+
+const { logMessage } = require("../common/logger");
+const { parseBoolean } = require("../common/helpers");
+const { QB_TAX_RULE_COLLECTION } = require("../models/constants");
+
+// HubSpot addresses usually hold full names; rules use ISO codes
+const COUNTRY_CODES = {
+  canada: "CA",
+  "united states": "US",
+  "united states of america": "US",
+  usa: "US",
+};
+
+const CA_PROVINCE_CODES = {
+  alberta: "AB",
+  "british columbia": "BC",
+  manitoba: "MB",
+  "new brunswick": "NB",
+  "newfoundland and labrador": "NL",
+  newfoundland: "NL",
+  "northwest territories": "NT",
+  "nova scotia": "NS",
+  nunavut: "NU",
+  ontario: "ON",
+  "prince edward island": "PE",
+  quebec: "QC",
+  québec: "QC",
+  saskatchewan: "SK",
+  yukon: "YT",
+};
+
+function normalizeCountry(value) {
+  const str = String(value || "").trim();
+  if (!str) {
+    return null;
+  }
+
+  return COUNTRY_CODES[str.toLowerCase()] || str.toUpperCase();
+}
+
+function normalizeRegion(value) {
+  const str = String(value || "").trim();
+  if (!str) {
+    return null;
+  }
+
+  return CA_PROVINCE_CODES[str.toLowerCase()] || str.toUpperCase();
+}
+
+function toRuleView(doc) {
+  return {
+    ruleId: doc.ruleId,
+    country: doc.country,
+    region: doc.region,
+    taxCodeId: doc.taxCodeId,
+    taxCodeName: doc.taxCodeName,
+    priority: doc.priority,
+    active: doc.active,
+    description: doc.description,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/**
+ * Finds the most specific active rule for a billing location: a rule for the
+ * region beats a country-wide rule, which beats a "*" country rule; ties go
+ * to the higher priority
+ * @param {Object} location - {country, region} as normalized codes
+ * @returns {Promise<Object|null>} The matching rule document or null
+ */
+async function matchTaxRule({ country, region }) {
+  const rules = await getDB()
+    .collection(QB_TAX_RULE_COLLECTION)
+    .find({ active: true, country: { $in: [country || "", "*"] } })
+    .toArray();
+
+  const candidates = rules
+    .filter((r) => !r.region || r.region === region)
+    .map((r) => ({
+      rule: r,
+      score: (r.region ? 2 : 0) + (r.country === country ? 1 : 0),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score || (b.rule.priority || 0) - (a.rule.priority || 0)
+    );
+
+  return candidates[0]?.rule || null;
+}
+
+/**
+ * Chooses the tax rule for an invoice from the customer's billing address:
+ * the HubSpot contact's state/country, or its primary company's when the
+ * contact has none. Without a match the caller keeps the env-based TaxCode
+ * selection. Lookup failures never block the invoice.
+ * @param {Object} contact - HubSpot contact properties (state, country)
+ * @param {string} contactId - HubSpot contact ID
+ * @param {Object} [context] - dealId for logging and an optional getCompany()
+ *   loader, so a company already fetched for the request is reused
+ * @returns {Promise<{taxCodeId?: string, taxRule: Object}>} taxRule records
+ *   the ruleId (null when none matched) and the address used
+ */
+async function resolveTaxRule(
+  contact,
+  contactId,
+  {
+    dealId,
+    getCompany = () => hubspotService.getPrimaryCompanyForContact(contactId),
+  } = {}
+) {
+  let address = {
+    country: contact?.country,
+    region: contact?.state,
+    source: "contact",
+  };
+
+  try {
+    if (!address.country && !address.region && contactId) {
+      const company = await getCompany();
+      if (company) {
+        address = {
+          country: company.country,
+          region: company.state,
+          source: "company",
+        };
+      }
+    }
+
+    const region = normalizeRegion(address.region);
+    const country =
+      normalizeCountry(address.country) ||
+      (Object.values(CA_PROVINCE_CODES).includes(region) ? "CA" : null);
+
+    const location = { country, region, addressSource: address.source };
+    const rule = country || region ? await matchTaxRule(location) : null;
+
+    if (!rule) {
+      logMessage("INFO", "ℹ️ No tax rule matched; using default TaxCode", {
+        dealId,
+        ...location,
+      });
+      return { taxRule: { ruleId: null, ...location } };
+    }
+
+    logMessage("INFO", "🧾 Tax rule matched", {
+      dealId,
+      ruleId: rule.ruleId,
+      taxCodeId: rule.taxCodeId,
+      ...location,
+    });
+    return {
+      taxCodeId: rule.taxCodeId,
+      taxRule: {
+        ruleId: rule.ruleId,
+        taxCodeId: rule.taxCodeId,
+        taxCodeName: rule.taxCodeName,
+        ...location,
+      },
+    };
+  } catch (e) {
+    logMessage("WARN", "⚠️ Tax rule lookup failed; using default TaxCode", {
+      dealId,
+      message: e?.message,
+    });
+    return { taxRule: { ruleId: null, error: e?.message } };
+  }
+}
+
+/**
+ * Lists all tax rules
+ * @returns {Promise<Object>} - {rules} or error
+ */
+async function listTaxRules() {
+  try {
+    const docs = await getDB()
+      .collection(QB_TAX_RULE_COLLECTION)
+      .find({})
+      .sort({ country: 1, region: 1, priority: -1 })
+      .toArray();
+
+    return { rules: docs.map(toRuleView) };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in listTaxRules:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Validates rule fields and loads the TaxCode name from QuickBooks
+ * @param {Object} input - Rule fields from the request
+ * @param {Object} [current] - Existing rule when updating
+ * @returns {Promise<Object>} - Rule fields or error
+ */
+async function buildRuleFields(input, current = {}) {
+  const merged = { ...current, ...input };
+  const country = normalizeCountry(merged.country);
+  if (!country) {
+    return { error: "❌ country is required (e.g. CA or *)", status: 400 };
+  }
+
+  if (!merged.taxCodeId) {
+    return { error: "❌ taxCodeId is required", status: 400 };
+  }
+
+  if (merged.priority != null && !Number.isFinite(Number(merged.priority))) {
+    return { error: "❌ priority must be a number", status: 400 };
+  }
+
+  const fields = {
+    country,
+    region: normalizeRegion(merged.region),
+    taxCodeId: String(merged.taxCodeId),
+    taxCodeName: current.taxCodeName,
+    priority: Number(merged.priority) || 0,
+    active: parseBoolean(merged.active, true),
+    description: merged.description ? String(merged.description) : undefined,
+  };
+
+  if (fields.taxCodeId === current.taxCodeId) {
+    return fields;
+  }
+
+  const tokens = await quickbooksService.resolveGlobalTokens();
+  if (tokens.error) {
+    return tokens;
+  }
+
+  try {
+    const taxCode = await quickbooksService.getTaxCodeById(
+      tokens.realmId,
+      tokens.accessToken,
+      tokens.refreshToken,
+      fields.taxCodeId
+    );
+    return { ...fields, taxCodeName: taxCode?.Name };
+  } catch (e) {
+    if (e?.statusCode === 401) {
+      await quickbooksService.getGlobalTokens();
+      return { error: "❌ Token refreshed, please retry", status: 503 };
+    }
+
+    logMessage("WARN", "⚠️ QuickBooks TaxCode lookup failed", {
+      taxCodeId: fields.taxCodeId,
+      message: e?.message,
+    });
+    return {
+      error: `❌ QuickBooks TaxCode ${fields.taxCodeId} not found`,
+      status: 404,
+    };
+  }
+}
+
+/**
+ * Creates a tax rule
+ * @param {Object} input - country, region, taxCodeId, priority, active, description
+ * @returns {Promise<Object>} - The rule or error
+ */
+async function createTaxRule(input) {
+  logMessage("DEBUG", "🐛 createTaxRule called", input);
+
+  try {
+    const fields = await buildRuleFields(input || {});
+    if (fields.error) {
+      return fields;
+    }
+
+    const doc = {
+      ruleId: crypto.randomUUID(),
+      ...fields,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    await getDB().collection(QB_TAX_RULE_COLLECTION).insertOne(doc);
+
+    logMessage("INFO", "✅ Tax rule created", {
+      ruleId: doc.ruleId,
+      country: doc.country,
+      region: doc.region,
+    });
+    return toRuleView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in createTaxRule:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Updates a tax rule; omitted fields keep their current value
+ * @param {string} ruleId - Rule ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object>} - The rule or error
+ */
+async function updateTaxRule(ruleId, input) {
+  logMessage("DEBUG", "🐛 updateTaxRule called", { ruleId, ...input });
+
+  try {
+    const collection = getDB().collection(QB_TAX_RULE_COLLECTION);
+    const current = await collection.findOne({ ruleId: String(ruleId) });
+    if (!current) {
+      return { error: "❌ Tax rule not found", status: 404 };
+    }
+
+    const fields = await buildRuleFields(input || {}, current);
+    if (fields.error) {
+      return fields;
+    }
+
+    const doc = await collection.findOneAndUpdate(
+      { ruleId: current.ruleId },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    logMessage("INFO", "✅ Tax rule updated", { ruleId: current.ruleId });
+    return toRuleView(doc);
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in updateTaxRule:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+/**
+ * Deletes a tax rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<Object>} - {ruleId, deleted} or error
+ */
+async function deleteTaxRule(ruleId) {
+  try {
+    const result = await getDB()
+      .collection(QB_TAX_RULE_COLLECTION)
+      .deleteOne({ ruleId: String(ruleId) });
+
+    if (result.deletedCount === 0) {
+      return { error: "❌ Tax rule not found", status: 404 };
+    }
+
+    return { ruleId: String(ruleId), deleted: true };
+  } catch (error) {
+    logMessage(
+      "ERROR",
+      "❌ Error in deleteTaxRule:",
+      error && error.stack ? error.stack : JSON.stringify(error)
+    );
+    return { error: error.message, status: 500 };
+  }
+}
+
+module.exports = {
+  resolveTaxRule,
+  listTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+};
@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseBillingRequest,
+  applyBilling,
+} = require("../services/billingService");
+
+describe("parseBillingRequest", () => {
+  it("returns no billing for a full invoice", () => {
+    assert.deepEqual(parseBillingRequest(), { billing: null });
+    assert.deepEqual(parseBillingRequest({}), { billing: null });
+  });
+
+  it("parses a percentage with a trimmed milestone", () => {
+    assert.deepEqual(
+      parseBillingRequest({ percentage: "30", milestone: "  Deposit " }),
+      { billing: { type: "progress", percentage: 30, milestone: "Deposit" } }
+    );
+  });
+
+  it("parses a fixed amount", () => {
+    assert.deepEqual(parseBillingRequest({ amount: 1250.5 }), {
+      billing: { type: "progress", amount: 1250.5 },
+    });
+  });
+
+  it("rejects a percentage together with an amount", () => {
+    assert.equal(
+      parseBillingRequest({ percentage: 10, amount: 100 }).status,
+      400
+    );
+  });
+
+  it("rejects percentages outside (0, 100]", () => {
+    for (const percentage of [0, -5, 100.01, "abc", ""]) {
+      assert.equal(parseBillingRequest({ percentage }).status, 400);
+    }
+    assert.equal(parseBillingRequest({ percentage: 100 }).error, undefined);
+  });
+
+  it("rejects an amount that is not positive", () => {
+    for (const amount of [0, -1, "abc"]) {
+      assert.equal(parseBillingRequest({ amount }).status, 400);
+    }
+  });
+
+  it("rejects a milestone without a percentage or amount", () => {
+    assert.equal(parseBillingRequest({ milestone: "Deposit" }).status, 400);
+  });
+});
+
+describe("applyBilling", () => {
+  const qbLines = [{ name: "Widget", qty: 2, unitPrice: 50, amount: 100 }];
+
+  it("keeps the deal lines for a full invoice", () => {
+    const result = applyBilling({ amount: "100" }, qbLines, null);
+
+    assert.equal(result.qbLines, qbLines);
+    assert.deepEqual(result.billing, {
+      type: "full",
+      amount: 100,
+      dealAmount: 100,
+    });
+  });
+
+  it("bills a full invoice for a deal without an amount", () => {
+    const result = applyBilling({ amount: "" }, qbLines, null);
+
+    assert.deepEqual(result.billing, { type: "full", dealAmount: null });
+  });
+
+  it("turns a percentage into one line for its share", () => {
+    const result = applyBilling({ amount: "1000.10" }, qbLines, {
+      type: "progress",
+      percentage: 33,
+    });
+
+    assert.equal(result.qbLines.length, 1);
+    assert.equal(result.qbLines[0].name, "Progress billing 33%");
+    assert.equal(result.qbLines[0].description, "33% of 1000.10");
+    assert.equal(result.qbLines[0].amount, 330.03);
+    assert.equal(result.qbLines[0].unitPrice, 330.03);
+    assert.deepEqual(result.billing, {
+      type: "progress",
+      percentage: 33,
+      amount: 330.03,
+      dealAmount: 1000.1,
+    });
+  });
+
+  it("uses the milestone as the label of a fixed amount", () => {
+    const result = applyBilling({ amount: 1000 }, qbLines, {
+      type: "progress",
+      amount: 200,
+      milestone: "Deposit",
+    });
+
+    assert.equal(result.qbLines[0].name, "Deposit");
+    assert.equal(result.qbLines[0].description, undefined);
+    assert.equal(result.billing.amount, 200);
+  });
+
+  it("needs a deal amount for progress billing", () => {
+    assert.throws(
+      () =>
+        applyBilling({ amount: null }, qbLines, {
+          type: "progress",
+          percentage: 50,
+        }),
+      { statusCode: 422 }
+    );
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildCreditLines,
+  checkCreditLimits,
+} = require("../services/creditMemoService");
+
+// Subtotal 300 (two item lines) plus 30 tax
+const invoice = {
+  Id: "42",
+  DocNumber: "INV-42",
+  TotalAmt: 330,
+  TxnTaxDetail: { TotalTax: 30 },
+  Line: [
+    {
+      Id: "1",
+      DetailType: "SalesItemLineDetail",
+      Description: "Widget",
+      Amount: 200,
+      SalesItemLineDetail: {
+        Qty: 4,
+        UnitPrice: 50,
+        ItemRef: { value: "7", name: "Widget" },
+        TaxCodeRef: { value: "TAX" },
+      },
+    },
+    {
+      Id: "2",
+      DetailType: "SalesItemLineDetail",
+      Description: "Setup",
+      Amount: 100,
+      SalesItemLineDetail: { ItemRef: { value: "8", name: "Setup" } },
+    },
+    { DetailType: "SubTotalLineDetail", Amount: 300 },
+  ],
+};
+
+describe("buildCreditLines", () => {
+  it("turns a plain amount into a single line", () => {
+    assert.deepEqual(
+      buildCreditLines(invoice, { amount: "25.555", reason: "Goodwill" }),
+      [
+        {
+          name: "Goodwill",
+          description: "Credit for invoice INV-42",
+          qty: 1,
+          unitPrice: 25.56,
+          amount: 25.56,
+        },
+      ]
+    );
+  });
+
+  it("rejects an amount that is not positive", () => {
+    assert.throws(() => buildCreditLines(invoice, { amount: 0 }), {
+      statusCode: 400,
+    });
+  });
+
+  it("credits a whole invoice line by default", () => {
+    assert.deepEqual(buildCreditLines(invoice, { lines: [{ lineId: 1 }] }), [
+      {
+        description: "Widget",
+        qty: 4,
+        unitPrice: 50,
+        amount: 200,
+        itemId: "7",
+        itemName: "Widget",
+        itemSource: "invoice",
+        taxCodeId: "TAX",
+        lineId: "1",
+      },
+    ]);
+  });
+
+  it("credits part of a line by quantity or amount", () => {
+    const [byQty, byAmount] = buildCreditLines(invoice, {
+      lines: [
+        { lineId: "1", qty: 1 },
+        { lineId: "2", amount: 40 },
+      ],
+    });
+
+    assert.equal(byQty.qty, 1);
+    assert.equal(byQty.amount, 50);
+    assert.equal(byAmount.qty, 1);
+    assert.equal(byAmount.unitPrice, 40);
+    assert.equal(byAmount.amount, 40);
+    assert.equal(byAmount.taxCodeId, undefined);
+  });
+
+  it("rejects lines that are not item lines of the invoice", () => {
+    assert.throws(
+      () => buildCreditLines(invoice, { lines: [{ lineId: "99" }] }),
+      { statusCode: 422 }
+    );
+  });
+
+  it("rejects a quantity or amount above the line", () => {
+    assert.throws(
+      () => buildCreditLines(invoice, { lines: [{ lineId: "1", qty: 5 }] }),
+      { statusCode: 400 }
+    );
+    assert.throws(
+      () =>
+        buildCreditLines(invoice, { lines: [{ lineId: "2", amount: 100.01 }] }),
+      { statusCode: 400 }
+    );
+  });
+});
+
+describe("checkCreditLimits", () => {
+  const credit = (amount, lineId) => ({
+    amount,
+    ...(lineId ? { lineId } : {}),
+  });
+
+  it("allows credits up to the invoice subtotal", () => {
+    assert.doesNotThrow(() =>
+      checkCreditLimits(invoice, [credit(100)], [{ amount: 200 }])
+    );
+  });
+
+  it("compares the total before tax", () => {
+    assert.throws(
+      () => checkCreditLimits(invoice, [credit(100.01)], [{ amount: 200 }]),
+      { statusCode: 409 }
+    );
+  });
+
+  it("limits each line to its own amount across memos", () => {
+    const previous = [{ amount: 150, lines: [credit(150, "1")] }];
+
+    assert.doesNotThrow(() =>
+      checkCreditLimits(invoice, [credit(50, "1")], previous)
+    );
+    assert.throws(
+      () => checkCreditLimits(invoice, [credit(50.01, "1")], previous),
+      { statusCode: 409 }
+    );
+  });
+
+  it("counts repeated lines within the same credit", () => {
+    assert.throws(
+      () => checkCreditLimits(invoice, [credit(60, "2"), credit(60, "2")], []),
+      { statusCode: 409 }
+    );
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toTxnStatus } = require("../services/estimateService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("toTxnStatus", () => {
+  it("accepts approved quotes, whatever their expiry", () => {
+    const expired = String(Date.now() - DAY_MS);
+
+    assert.equal(toTxnStatus({ hs_status: "APPROVED" }), "Accepted");
+    assert.equal(
+      toTxnStatus({
+        hs_status: "approval_not_needed",
+        hs_expiration_date: expired,
+      }),
+      "Accepted"
+    );
+  });
+
+  it("rejects rejected quotes", () => {
+    assert.equal(toTxnStatus({ hs_status: "REJECTED" }), "Rejected");
+  });
+
+  it("closes open quotes that have expired", () => {
+    assert.equal(
+      toTxnStatus({
+        hs_status: "DRAFT",
+        hs_expiration_date: new Date(Date.now() - DAY_MS).toISOString(),
+      }),
+      "Closed"
+    );
+    assert.equal(
+      toTxnStatus({
+        hs_status: "PENDING_APPROVAL",
+        hs_expiration_date: String(Date.now() - DAY_MS),
+      }),
+      "Closed"
+    );
+  });
+
+  it("keeps other quotes pending", () => {
+    assert.equal(
+      toTxnStatus({
+        hs_status: "DRAFT",
+        hs_expiration_date: new Date(Date.now() + DAY_MS).toISOString(),
+      }),
+      "Pending"
+    );
+    assert.equal(
+      toTxnStatus({ hs_status: "DRAFT", hs_expiration_date: "not a date" }),
+      "Pending"
+    );
+    assert.equal(toTxnStatus({}), "Pending");
+    assert.equal(toTxnStatus(null), "Pending");
+  });
+});
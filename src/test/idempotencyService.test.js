@@ -0,0 +1,301 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// In-memory stand-in for the invoice collection, with the unique sparse
+// indexes config/db.js creates for it
+const UNIQUE_FIELDS = [
+  "invoiceId",
+  "idempotencyKey",
+  "lockKey",
+  "pendingDealId",
+];
+
+function sameValue(a, b) {
+  return a instanceof Date && b instanceof Date
+    ? a.getTime() === b.getTime()
+    : a === b;
+}
+
+function matches(doc, query) {
+  return Object.entries(query).every(([key, value]) =>
+    key === "$or"
+      ? value.some((q) => matches(doc, q))
+      : sameValue(doc[key], value)
+  );
+}
+
+function createCollection() {
+  const docs = [];
+  let nextId = 1;
+
+  return {
+    docs,
+    async insertOne(doc) {
+      const conflict = UNIQUE_FIELDS.some(
+        (field) =>
+          doc[field] != null && docs.some((d) => d[field] === doc[field])
+      );
+      if (conflict) {
+        throw Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+        });
+      }
+      doc._id = doc._id ?? nextId++;
+      docs.push({ ...doc });
+      return { insertedId: doc._id };
+    },
+    async findOne(query) {
+      const doc = docs.find((d) => matches(d, query));
+      return doc ? { ...doc } : null;
+    },
+    async findOneAndUpdate(query, update) {
+      const doc = docs.find((d) => matches(d, query));
+      if (!doc) {
+        return null;
+      }
+      Object.assign(doc, update.$set);
+      return { ...doc };
+    },
+    async deleteOne(query) {
+      const index = docs.findIndex((d) => matches(d, query));
+      if (index >= 0) {
+        docs.splice(index, 1);
+      }
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    },
+  };
+}
+
+let collection;
+const db = require("../config/db");
+db.getDB = () => ({ collection: () => collection });
+
+const {
+  LOCK_TTL_MS,
+  computeInvoiceFingerprint,
+  acquireInvoiceLock,
+} = require("../services/idempotencyService");
+
+const line = { name: "Widget", description: "Blue", qty: 2, unitPrice: 50 };
+
+describe("computeInvoiceFingerprint", () => {
+  it("ignores quote and line order", () => {
+    const other = { name: "Gadget", qty: 1, unitPrice: 10 };
+    assert.equal(
+      computeInvoiceFingerprint("1", {
+        quoteIds: ["10", "20"],
+        qbLines: [line, other],
+      }),
+      computeInvoiceFingerprint(1, {
+        quoteIds: [20, 10],
+        qbLines: [other, line],
+      })
+    );
+  });
+
+  it("treats numeric strings like numbers", () => {
+    assert.equal(
+      computeInvoiceFingerprint("1", { qbLines: [line] }),
+      computeInvoiceFingerprint("1", {
+        qbLines: [{ ...line, qty: "2", unitPrice: "50.0" }],
+      })
+    );
+  });
+
+  it("changes with the deal, lines, cycle and progress discriminator", () => {
+    const base = computeInvoiceFingerprint("1", { qbLines: [line] });
+    const variants = [
+      computeInvoiceFingerprint("2", { qbLines: [line] }),
+      computeInvoiceFingerprint("1", { qbLines: [{ ...line, qty: 3 }] }),
+      computeInvoiceFingerprint("1", { qbLines: [line], cycle: "s1:2" }),
+      computeInvoiceFingerprint("1", {
+        qbLines: [line],
+        progress: { billedBefore: 500 },
+      }),
+    ];
+
+    for (const variant of variants) {
+      assert.notEqual(variant, base);
+    }
+    assert.equal(new Set(variants).size, variants.length);
+  });
+
+  it("uses the amount only when there are no lines", () => {
+    assert.notEqual(
+      computeInvoiceFingerprint("1", { amount: 100 }),
+      computeInvoiceFingerprint("1", { amount: 200 })
+    );
+    assert.equal(
+      computeInvoiceFingerprint("1", { qbLines: [line], amount: 100 }),
+      computeInvoiceFingerprint("1", { qbLines: [line], amount: 200 })
+    );
+  });
+});
+
+describe("acquireInvoiceLock", () => {
+  const staleDate = () => new Date(Date.now() - LOCK_TTL_MS - 1000);
+
+  function lockParams(overrides = {}) {
+    return {
+      userId: "u1",
+      dealId: "100",
+      contactId: "c1",
+      fingerprint: "fp-a",
+      billedAmount: 250,
+      ...overrides,
+    };
+  }
+
+  async function seedLock(overrides = {}) {
+    const { lock } = await acquireInvoiceLock(lockParams(overrides));
+    return lock;
+  }
+
+  function setLock(lockId, fields) {
+    Object.assign(
+      collection.docs.find((d) => d.lockId === lockId),
+      fields
+    );
+  }
+
+  beforeEach(() => {
+    collection = createCollection();
+  });
+
+  it("inserts a pending lock for a free deal", async () => {
+    const result = await acquireInvoiceLock(
+      lockParams({ idempotencyKey: "key-1" })
+    );
+
+    assert.equal(result.acquired, true);
+    assert.equal(result.lock.status, "pending");
+    assert.equal(result.lock.lockKey, "100:fp-a");
+    assert.equal(result.lock.pendingDealId, "100");
+    assert.equal(result.lock.invoiceId, `pending:${result.lock.lockId}`);
+    assert.equal(result.lock.billedAmount, 250);
+    assert.equal(result.lock.idempotencyKey, "key-1");
+    assert.equal(collection.docs.length, 1);
+  });
+
+  it("returns a live lock for the same request", async () => {
+    const first = await seedLock();
+    const result = await acquireInvoiceLock(lockParams());
+
+    assert.equal(result.acquired, false);
+    assert.equal(result.existing.lockId, first.lockId);
+  });
+
+  it("returns a live lock for other content on the same deal", async () => {
+    const first = await seedLock();
+    const result = await acquireInvoiceLock(
+      lockParams({ fingerprint: "fp-b" })
+    );
+
+    assert.equal(result.acquired, false);
+    assert.equal(result.existing.lockId, first.lockId);
+    assert.equal(collection.docs.length, 1);
+  });
+
+  it("lets the owner resume its lock before the TTL", async () => {
+    const first = await seedLock();
+    const lockedAt = new Date(Date.now() - 60 * 1000);
+    setLock(first.lockId, { lockedAt });
+
+    const result = await acquireInvoiceLock(
+      lockParams({ lockId: first.lockId })
+    );
+
+    assert.equal(result.acquired, true);
+    assert.equal(result.lock.lockId, first.lockId);
+    assert.ok(result.lock.lockedAt > lockedAt);
+  });
+
+  it("takes over a stale lock for the same request and keeps its lockId", async () => {
+    const first = await seedLock();
+    setLock(first.lockId, { lockedAt: staleDate() });
+
+    const result = await acquireInvoiceLock(lockParams());
+
+    assert.equal(result.acquired, true);
+    assert.equal(result.lock.lockId, first.lockId);
+    assert.equal(collection.docs.length, 1);
+  });
+
+  it("lets only one of two concurrent requests take over a stale lock", async () => {
+    const first = await seedLock();
+    setLock(first.lockId, { lockedAt: staleDate() });
+
+    const results = await Promise.all([
+      acquireInvoiceLock(lockParams()),
+      acquireInvoiceLock(lockParams()),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.acquired).sort(), [false, true]);
+    assert.equal(
+      results.find((r) => !r.acquired).existing.lockId,
+      first.lockId
+    );
+  });
+
+  it("keeps a stale lock that already recorded a QBO invoice", async () => {
+    const first = await seedLock();
+    setLock(first.lockId, { lockedAt: staleDate(), invoiceNumber: "555" });
+
+    const result = await acquireInvoiceLock(lockParams());
+
+    assert.equal(result.acquired, false);
+    assert.equal(result.existing.invoiceNumber, "555");
+  });
+
+  it("keeps a stale lock whose QBO outcome is unknown", async () => {
+    const first = await seedLock();
+    setLock(first.lockId, { lockedAt: staleDate(), qboOutcome: "unknown" });
+
+    const result = await acquireInvoiceLock(
+      lockParams({ fingerprint: "fp-b" })
+    );
+
+    assert.equal(result.acquired, false);
+    assert.equal(result.existing.lockId, first.lockId);
+  });
+
+  it("refuses a stale lock with the same Idempotency-Key but other content", async () => {
+    const first = await seedLock({ idempotencyKey: "key-1" });
+    setLock(first.lockId, { lockedAt: staleDate() });
+
+    const result = await acquireInvoiceLock(
+      lockParams({ fingerprint: "fp-b", idempotencyKey: "key-1" })
+    );
+
+    assert.equal(result.acquired, false);
+    assert.equal(result.existing.lockId, first.lockId);
+  });
+
+  it("drops a stale lock for other content and takes the deal", async () => {
+    const first = await seedLock();
+    setLock(first.lockId, { lockedAt: staleDate() });
+
+    const result = await acquireInvoiceLock(
+      lockParams({ fingerprint: "fp-b" })
+    );
+
+    assert.equal(result.acquired, true);
+    assert.notEqual(result.lock.lockId, first.lockId);
+    assert.deepEqual(
+      collection.docs.map((d) => d.lockKey),
+      ["100:fp-b"]
+    );
+  });
+
+  it("does not treat a completed invoice as a lock on the deal", async () => {
+    const first = await seedLock();
+    setLock(first.lockId, { status: "created", pendingDealId: undefined });
+
+    const result = await acquireInvoiceLock(
+      lockParams({ fingerprint: "fp-b" })
+    );
+
+    assert.equal(result.acquired, true);
+    assert.equal(collection.docs.length, 2);
+  });
+});
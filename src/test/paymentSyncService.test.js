@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computePaymentStatus } = require("../services/paymentSyncService");
+
+function daysFromToday(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+describe("computePaymentStatus", () => {
+  it("is paid once nothing is left to pay, even after the due date", () => {
+    assert.equal(
+      computePaymentStatus({
+        totalAmount: 100,
+        balance: 0,
+        dueDate: daysFromToday(-30),
+      }),
+      "paid"
+    );
+    assert.equal(
+      computePaymentStatus({ totalAmount: 100, balance: -5 }),
+      "paid"
+    );
+  });
+
+  it("is overdue with a balance after the due date", () => {
+    assert.equal(
+      computePaymentStatus({
+        totalAmount: 100,
+        balance: 40,
+        dueDate: daysFromToday(-1),
+      }),
+      "overdue"
+    );
+  });
+
+  it("is not overdue on the due date itself", () => {
+    assert.equal(
+      computePaymentStatus({
+        totalAmount: 100,
+        balance: 100,
+        dueDate: daysFromToday(0),
+      }),
+      "open"
+    );
+  });
+
+  it("tells partially paid from open invoices", () => {
+    assert.equal(
+      computePaymentStatus({
+        totalAmount: 100,
+        balance: 40,
+        dueDate: daysFromToday(10),
+      }),
+      "partially_paid"
+    );
+    assert.equal(
+      computePaymentStatus({ totalAmount: 100, balance: 100 }),
+      "open"
+    );
+  });
+});
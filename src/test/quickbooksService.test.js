@@ -0,0 +1,60 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { matchDealReference } = require("../services/quickbooksService");
+
+describe("matchDealReference", () => {
+  afterEach(() => {
+    delete process.env.QUICKBOOKS_DEAL_ID_FIELD_ID;
+    delete process.env.QUICKBOOKS_DOC_NUMBER_PATTERN;
+  });
+
+  it("matches the deal in the private note", () => {
+    assert.equal(
+      matchDealReference({ PrivateNote: "HubSpot deal 123; quote 9" }, "123"),
+      "privateNote"
+    );
+  });
+
+  it("does not match a longer deal id in the private note", () => {
+    assert.equal(
+      matchDealReference({ PrivateNote: "HubSpot deal 1234" }, "123"),
+      null
+    );
+  });
+
+  it("matches the deal id custom field when configured", () => {
+    const invoice = {
+      CustomField: [{ DefinitionId: "2", StringValue: " 123 " }],
+    };
+
+    assert.equal(matchDealReference(invoice, "123"), null);
+
+    process.env.QUICKBOOKS_DEAL_ID_FIELD_ID = "2";
+    assert.equal(matchDealReference(invoice, "123"), "customField");
+    assert.equal(matchDealReference(invoice, "12"), null);
+  });
+
+  it("matches a doc number built from the configured pattern", () => {
+    process.env.QUICKBOOKS_DOC_NUMBER_PATTERN = "HS.{dealId}-{n}";
+
+    assert.equal(
+      matchDealReference({ DocNumber: "HS.123-2" }, "123"),
+      "docNumber"
+    );
+    assert.equal(matchDealReference({ DocNumber: "HSX123-2" }, "123"), null);
+    assert.equal(matchDealReference({ DocNumber: "HS.1234-2" }, "123"), null);
+    assert.equal(matchDealReference({ DocNumber: "HS.123-" }, "123"), null);
+  });
+
+  it("ignores a doc number pattern without the deal id", () => {
+    process.env.QUICKBOOKS_DOC_NUMBER_PATTERN = "INV-{n}";
+
+    assert.equal(matchDealReference({ DocNumber: "INV-1" }, "123"), null);
+  });
+
+  it("returns null for invoices without a reference", () => {
+    assert.equal(matchDealReference({}, "123"), null);
+    assert.equal(matchDealReference(null, "123"), null);
+  });
+});